@@ -0,0 +1,100 @@
+const SCOPE_WINDOW = 2048; // Samples per channel shown by the oscilloscope
+
+/**
+ * AnalysisGraph class - the analyser nodes every visualization reads from.
+ *
+ * One main analyser for frequency data, a left/right pair for time-domain
+ * views and a left/right pair for per-channel spectra that follows the main
+ * analyser's settings. Shared by live playback and the offline exporter so
+ * both see the same data. Everything hangs off `input`, whose gain only
+ * changes what the visuals see; listeners hear the source untouched.
+ */
+class AnalysisGraph {
+    constructor(context, settings) {
+        this.context = context;
+        this.input = context.createGain();
+        this.analyser = context.createAnalyser();
+        this.input.connect(this.analyser);
+
+        // Up-mixes mono sources so both channel taps carry signal
+        this.stereoInput = context.createGain();
+        this.stereoInput.channelCount = 2;
+        this.stereoInput.channelCountMode = 'explicit';
+        this.stereoInput.channelInterpretation = 'speakers';
+
+        this.input.connect(this.stereoInput);
+        const splitter = context.createChannelSplitter(2);
+        this.stereoInput.connect(splitter);
+
+        this.channelAnalysers = [0, 1].map(channel => {
+            const channelAnalyser = context.createAnalyser();
+            channelAnalyser.fftSize = SCOPE_WINDOW;
+            splitter.connect(channelAnalyser, channel);
+            return channelAnalyser;
+        });
+
+        this.stereoAnalysers = [0, 1].map(channel => {
+            const stereoAnalyser = context.createAnalyser();
+            splitter.connect(stereoAnalyser, channel);
+            return stereoAnalyser;
+        });
+
+        this.frequencyData = null;
+        this.stereoFrequencyData = { left: null, right: null };
+        this.waveform = {
+            left: new Float32Array(SCOPE_WINDOW),
+            right: new Float32Array(SCOPE_WINDOW)
+        };
+
+        this.applySettings(settings);
+    }
+
+    /**
+     * Route a source node into the main analyser and the channel taps
+     */
+    connect(node) {
+        node.connect(this.input);
+    }
+
+    /**
+     * `gain` is the input gain in dB
+     */
+    applySettings({ fftSize, smoothing, minDecibels, maxDecibels, gain = 0 }) {
+        this.input.gain.value = Math.pow(10, gain / 20);
+
+        [this.analyser, ...this.stereoAnalysers].forEach(analyser => {
+            analyser.fftSize = fftSize;
+            analyser.smoothingTimeConstant = smoothing;
+            // Order matters: setting min above the current max (or vice versa) throws
+            if (minDecibels >= analyser.maxDecibels) {
+                analyser.maxDecibels = maxDecibels;
+                analyser.minDecibels = minDecibels;
+            } else {
+                analyser.minDecibels = minDecibels;
+                analyser.maxDecibels = maxDecibels;
+            }
+        });
+
+        const binCount = this.analyser.frequencyBinCount;
+        if (!this.frequencyData || this.frequencyData.length !== binCount) {
+            this.frequencyData = new Uint8Array(binCount);
+            this.stereoFrequencyData = {
+                left: new Uint8Array(binCount),
+                right: new Uint8Array(binCount)
+            };
+        }
+    }
+
+    /**
+     * Pull the current frame into frequencyData, stereoFrequencyData and waveform
+     */
+    update() {
+        this.analyser.getByteFrequencyData(this.frequencyData);
+        this.stereoAnalysers[0].getByteFrequencyData(this.stereoFrequencyData.left);
+        this.stereoAnalysers[1].getByteFrequencyData(this.stereoFrequencyData.right);
+        this.channelAnalysers[0].getFloatTimeDomainData(this.waveform.left);
+        this.channelAnalysers[1].getFloatTimeDomainData(this.waveform.right);
+    }
+}
+
+export default AnalysisGraph;
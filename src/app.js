@@ -1,220 +1,2709 @@
 import Visualizer from './visualizer.js';
+import Playlist from './playlist.js';
+import BeatDetector from './beat-detector.js';
+import FrequencyBinner from './frequency-binner.js';
+import Recorder from './recorder.js';
+import AnalysisGraph from './analysis-graph.js';
+import OfflineRenderer from './offline-renderer.js';
+import PresetLibrary from './preset-library.js';
+import PresetStore from './preset-store.js';
+import PresetImporter from './preset-importer.js';
+import Keymap from './keymap.js';
+import SettingsStore from './settings-store.js';
+import PaletteLibrary from './palette-library.js';
+import Overlay from './overlay.js';
+import TagReader from './tag-reader.js';
+import OutputLink from './output-link.js';
+import MidiMap from './midi-map.js';
+import MidiInput from './midi-input.js';
+import PerformanceMonitor from './performance-monitor.js';
+
+const INPUT_DEVICE_KEY = 'retroviz.inputDevice';
+const MAX_PALETTE_STOPS = 8;
+const PREVIEW_WIDTH = 320; // CSS px, as .output-active .visualizer-wrapper in styles.css
+
+/**
+ * Main application file - handles microphone, tab and file input and audio analysis
+ */
+
+let audioContext;
+let analysis; // AnalysisGraph for the current context
+let streamSource; // MediaStreamSource for microphone or tab capture
+let mediaStream;
+let animationId;
+let visualizer;
+let beatDetector;
+let frequencyBinner;
+let recorder;
+let offlineRenderer;
+let analysisSettings = {
+    fftSize: 2048,
+    smoothing: 0.8,
+    minDecibels: -100,
+    maxDecibels: -30,
+    scale: 'log', // 'linear', 'log', 'octave' or 'third-octave'
+    bandCount: 128,
+    gain: 0 // Input gain in dB; only the visuals hear it
+};
+let isRunning = false;
+let audioSourceType = 'microphone'; // 'microphone', 'display' or 'file'
+let inputDeviceId = ''; // '' = system default
+let audioElement = null; // Deck currently playing
+let standbyElement = null; // Deck holding the preloaded next track
+let fileSource = null; // Shared node both decks feed into
+let outputGain = null; // Volume stage between the analyser and the speakers
+let volume = 1;
+let isMuted = false;
+let isSeeking = false;
+let playlist;
+let presetLibrary;
+let presetStore;
+let keymap;
+let rebindingAction = null; // Action waiting for its new key in the help overlay
+let midiMap;
+let midiInput;
+let midiLearnAction = null; // Action waiting for a pad or knob in the MIDI settings
+const midiHeld = new Set(); // Pads and buttons currently down, so triggers fire once per press
+let settingsStore;
+let saveSettingsTimeout = null;
+let pendingPreset = null; // Saved custom preset to select once IndexedDB has loaded
+let presetFilter = 'all'; // 'all', 'favorites' or 'blocked'
+let presetItems = new Map(); // Preset name -> its <li> in the preset browser
+let currentPresetItem = null; // The <li> marked current
+let presetBrowserStale = false; // Needs a rebuild next time the panel opens
+let paletteLibrary;
+let overlay;
+const trackInfo = new WeakMap(); // Track -> promise of its tags and cover art
+let outputLink = null;
+const outputWindows = new Map(); // Connected output window id -> its { width, height }
+let performanceMonitor;
+
+// DOM elements, looked up by initApp
+let audioFileInput;
+let audioFolderInput;
+let uploadBtn;
+let prevTrackBtn;
+let nextTrackBtn;
+let queueBtn;
+let settingsBtn;
+let settingsPanel;
+let presetsBtn;
+let presetPanel;
+let presetSearchInput;
+let presetFilterButtons;
+let presetList;
+let rotationSourceSelect;
+let importPresetsBtn;
+let prevPresetBtn;
+let nextPresetBtn;
+let rotateIntervalSelect;
+let rotateOrderSelect;
+let blendTimeSelect;
+let presetFileInput;
+let fftSizeSelect;
+let smoothingInput;
+let minDecibelsInput;
+let maxDecibelsInput;
+let frequencyScaleSelect;
+let bandCountInput;
+let bandCountRow;
+let inputGainInput;
+let barCountSelect;
+let barGapInput;
+let barLayoutSelect;
+let barAttackInput;
+let barDecayInput;
+let peakCapsSelect;
+let peakGravityInput;
+let peakGravityRow;
+let recordBtn;
+let popOutBtn;
+let recordResolutionSelect;
+let recordBitrateSelect;
+let exportBtn;
+let exportResolutionSelect;
+let exportFpsSelect;
+let exportBitrateSelect;
+let queuePanel;
+let queueList;
+let addFilesBtn;
+let addFolderBtn;
+let shuffleBtn;
+let repeatBtn;
+let clearQueueBtn;
+let transport;
+let seekBar;
+let elapsedTime;
+let remainingTime;
+let muteBtn;
+let iconVolume;
+let iconMuted;
+let volumeSlider;
+let playPauseBtn;
+let iconPlay;
+let iconStop;
+let inputSelect;
+let vizTypeSelect;
+let colorSchemeSelect;
+let palettesBtn;
+let palettePanel;
+let palettePreview;
+let paletteEditor;
+let paletteNameInput;
+let paletteMappingSelect;
+let paletteBackgroundInput;
+let paletteGlowInput;
+let paletteStopsList;
+let addStopBtn;
+let duplicatePaletteBtn;
+let deletePaletteBtn;
+let presetSelect;
+let colorControl;
+let presetControl;
+let scopeModeSelect;
+let scopeControl;
+let spectrogramViewSelect;
+let spectrogramControl;
+let statusDiv;
+let appContainer;
+let helpOverlay;
+let helpCloseBtn;
+let shortcutList;
+let resetKeysBtn;
+let midiStatus;
+let midiEnableBtn;
+let midiList;
+let exportMidiBtn;
+let importMidiBtn;
+let resetMidiBtn;
+let midiFileInput;
+let copyLinkBtn;
+let canvas;
+let overlayCanvas;
+let overlayCtx;
+let overlayTrackInfoSelect;
+let overlayHoldInput;
+let overlayHoldRow;
+let overlayTrackPositionSelect;
+let overlayCoverSelect;
+let overlayTextSizeSelect;
+let overlayTextColorInput;
+let overlayCustomTextInput;
+let overlayCustomPositionSelect;
+let logoBtn;
+let removeLogoBtn;
+let logoFileInput;
+let visualizerContainer;
+let dropZone;
+let fullscreenBtn;
+let iconFullscreen;
+let iconWindow;
+let fullscreenHint;
+let perfStats;
+let renderScaleInput;
+let fpsCapSelect;
+let adaptiveQualitySelect;
+let showStatsSelect;
+let renderThreadSelect;
+
+/**
+ * Look up the page's elements, create the app's parts and wire up the UI.
+ * Importing this module does nothing by itself; src/index.js calls this.
+ */
+export function initApp() {
+    audioFileInput = document.getElementById('audioFileInput');
+    audioFolderInput = document.getElementById('audioFolderInput');
+    uploadBtn = document.getElementById('uploadBtn');
+    prevTrackBtn = document.getElementById('prevTrackBtn');
+    nextTrackBtn = document.getElementById('nextTrackBtn');
+    queueBtn = document.getElementById('queueBtn');
+    settingsBtn = document.getElementById('settingsBtn');
+    settingsPanel = document.getElementById('settingsPanel');
+    presetsBtn = document.getElementById('presetsBtn');
+    presetPanel = document.getElementById('presetPanel');
+    presetSearchInput = document.getElementById('presetSearch');
+    presetFilterButtons = presetPanel.querySelectorAll('.preset-filter');
+    presetList = document.getElementById('presetList');
+    rotationSourceSelect = document.getElementById('rotationSource');
+    importPresetsBtn = document.getElementById('importPresetsBtn');
+    prevPresetBtn = document.getElementById('prevPresetBtn');
+    nextPresetBtn = document.getElementById('nextPresetBtn');
+    rotateIntervalSelect = document.getElementById('rotateInterval');
+    rotateOrderSelect = document.getElementById('rotateOrder');
+    blendTimeSelect = document.getElementById('blendTime');
+    presetFileInput = document.getElementById('presetFileInput');
+    fftSizeSelect = document.getElementById('fftSize');
+    smoothingInput = document.getElementById('smoothing');
+    minDecibelsInput = document.getElementById('minDecibels');
+    maxDecibelsInput = document.getElementById('maxDecibels');
+    frequencyScaleSelect = document.getElementById('frequencyScale');
+    bandCountInput = document.getElementById('bandCount');
+    bandCountRow = document.getElementById('bandCountRow');
+    inputGainInput = document.getElementById('inputGain');
+    barCountSelect = document.getElementById('barCount');
+    barGapInput = document.getElementById('barGap');
+    barLayoutSelect = document.getElementById('barLayout');
+    barAttackInput = document.getElementById('barAttack');
+    barDecayInput = document.getElementById('barDecay');
+    peakCapsSelect = document.getElementById('peakCaps');
+    peakGravityInput = document.getElementById('peakGravity');
+    peakGravityRow = document.getElementById('peakGravityRow');
+    recordBtn = document.getElementById('recordBtn');
+    popOutBtn = document.getElementById('popOutBtn');
+    recordResolutionSelect = document.getElementById('recordResolution');
+    recordBitrateSelect = document.getElementById('recordBitrate');
+    exportBtn = document.getElementById('exportBtn');
+    exportResolutionSelect = document.getElementById('exportResolution');
+    exportFpsSelect = document.getElementById('exportFps');
+    exportBitrateSelect = document.getElementById('exportBitrate');
+    queuePanel = document.getElementById('queuePanel');
+    queueList = document.getElementById('queueList');
+    addFilesBtn = document.getElementById('addFilesBtn');
+    addFolderBtn = document.getElementById('addFolderBtn');
+    shuffleBtn = document.getElementById('shuffleBtn');
+    repeatBtn = document.getElementById('repeatBtn');
+    clearQueueBtn = document.getElementById('clearQueueBtn');
+    transport = document.getElementById('transport');
+    seekBar = document.getElementById('seekBar');
+    elapsedTime = document.getElementById('elapsedTime');
+    remainingTime = document.getElementById('remainingTime');
+    muteBtn = document.getElementById('muteBtn');
+    iconVolume = muteBtn.querySelector('.icon-volume');
+    iconMuted = muteBtn.querySelector('.icon-muted');
+    volumeSlider = document.getElementById('volumeSlider');
+    playPauseBtn = document.getElementById('playPauseBtn');
+    iconPlay = playPauseBtn.querySelector('.icon-play');
+    iconStop = playPauseBtn.querySelector('.icon-stop');
+    inputSelect = document.getElementById('inputSelect');
+    vizTypeSelect = document.getElementById('vizType');
+    colorSchemeSelect = document.getElementById('colorScheme');
+    palettesBtn = document.getElementById('palettesBtn');
+    palettePanel = document.getElementById('palettePanel');
+    palettePreview = document.getElementById('palettePreview');
+    paletteEditor = document.getElementById('paletteEditor');
+    paletteNameInput = document.getElementById('paletteName');
+    paletteMappingSelect = document.getElementById('paletteMapping');
+    paletteBackgroundInput = document.getElementById('paletteBackground');
+    paletteGlowInput = document.getElementById('paletteGlow');
+    paletteStopsList = document.getElementById('paletteStops');
+    addStopBtn = document.getElementById('addStopBtn');
+    duplicatePaletteBtn = document.getElementById('duplicatePaletteBtn');
+    deletePaletteBtn = document.getElementById('deletePaletteBtn');
+    presetSelect = document.getElementById('presetSelect');
+    colorControl = document.getElementById('colorControl');
+    presetControl = document.getElementById('presetControl');
+    scopeModeSelect = document.getElementById('scopeMode');
+    scopeControl = document.getElementById('scopeControl');
+    spectrogramViewSelect = document.getElementById('spectrogramView');
+    spectrogramControl = document.getElementById('spectrogramControl');
+    statusDiv = document.getElementById('status');
+    appContainer = document.getElementById('appContainer');
+    helpOverlay = document.getElementById('helpOverlay');
+    helpCloseBtn = document.getElementById('helpCloseBtn');
+    shortcutList = document.getElementById('shortcutList');
+    resetKeysBtn = document.getElementById('resetKeysBtn');
+    midiStatus = document.getElementById('midiStatus');
+    midiEnableBtn = document.getElementById('midiEnableBtn');
+    midiList = document.getElementById('midiList');
+    exportMidiBtn = document.getElementById('exportMidiBtn');
+    importMidiBtn = document.getElementById('importMidiBtn');
+    resetMidiBtn = document.getElementById('resetMidiBtn');
+    midiFileInput = document.getElementById('midiFileInput');
+    copyLinkBtn = document.getElementById('copyLinkBtn');
+    canvas = document.getElementById('visualizer');
+    overlayCanvas = document.getElementById('overlayCanvas');
+    overlayCtx = overlayCanvas.getContext('2d');
+    overlayTrackInfoSelect = document.getElementById('overlayTrackInfo');
+    overlayHoldInput = document.getElementById('overlayHold');
+    overlayHoldRow = document.getElementById('overlayHoldRow');
+    overlayTrackPositionSelect = document.getElementById('overlayTrackPosition');
+    overlayCoverSelect = document.getElementById('overlayCover');
+    overlayTextSizeSelect = document.getElementById('overlayTextSize');
+    overlayTextColorInput = document.getElementById('overlayTextColor');
+    overlayCustomTextInput = document.getElementById('overlayCustomText');
+    overlayCustomPositionSelect = document.getElementById('overlayCustomPosition');
+    logoBtn = document.getElementById('logoBtn');
+    removeLogoBtn = document.getElementById('removeLogoBtn');
+    logoFileInput = document.getElementById('logoFileInput');
+    visualizerContainer = document.getElementById('visualizerContainer');
+    dropZone = document.getElementById('dropZone');
+    fullscreenBtn = document.getElementById('fullscreenBtn');
+    iconFullscreen = fullscreenBtn.querySelector('.icon-fullscreen');
+    iconWindow = fullscreenBtn.querySelector('.icon-window');
+    fullscreenHint = document.getElementById('fullscreenHint');
+    perfStats = document.getElementById('perfStats');
+    renderScaleInput = document.getElementById('renderScale');
+    fpsCapSelect = document.getElementById('fpsCap');
+    adaptiveQualitySelect = document.getElementById('adaptiveQuality');
+    showStatsSelect = document.getElementById('showStats');
+    renderThreadSelect = document.getElementById('renderThread');
+
+    inputDeviceId = localStorage.getItem(INPUT_DEVICE_KEY) || '';
+
+    // Initialize visualizer
+    visualizer = new Visualizer(canvas, null, (presetName) => {
+        // Flash preset name when auto-rotating
+        if (visualizer.isAutoRotating) {
+            const shortName = presetName.length > 50 ? presetName.substring(0, 50) + '...' : presetName;
+            showStatus(shortName);
+        }
+        markCurrentPreset(presetName);
+        if (outputWindows.size > 0) {
+            outputLink.send('preset', { name: presetName, blendTime: visualizer.blendTime });
+        }
+    }, {
+        onPresetError: (presetName, error) => showStatus(`Preset failed: ${presetName} (${error.message})`)
+    });
+
+    presetLibrary = new PresetLibrary(() => renderPresetBrowser());
+    visualizer.setPresetLibrary(presetLibrary);
+
+    // Built-in and user color palettes for the 2D modes
+    paletteLibrary = new PaletteLibrary(() => renderColorSchemeOptions());
+    renderColorSchemeOptions();
+
+    // Track info, custom text and logo drawn over the visualization
+    overlay = new Overlay(() => renderOverlay());
+    renderOverlaySettings();
+    renderOverlay();
+    window.addEventListener('resize', () => {
+        if (recorder.isRecording && outputWindows.size > 0) {
+            updateOutputState();
+        } else {
+            renderOverlay();
+        }
+    });
+
+    // Render scale, FPS cap and the adaptive quality they feed
+    performanceMonitor = new PerformanceMonitor(() => {
+        visualizer.setOffscreen(performanceMonitor.settings.offscreen);
+        applyRenderQuality();
+        renderPerformanceSettings();
+        syncOutput();
+    });
+    visualizer.setOffscreen(performanceMonitor.settings.offscreen);
+    applyRenderQuality();
+    renderPerformanceSettings();
+    renderScaleInput.addEventListener('input', () => {
+        performanceMonitor.update({ renderScale: Number(renderScaleInput.value) / 100 });
+    });
+    fpsCapSelect.addEventListener('change', () => {
+        performanceMonitor.update({ fpsCap: Number(fpsCapSelect.value) });
+    });
+    adaptiveQualitySelect.addEventListener('change', () => {
+        performanceMonitor.update({ adaptive: adaptiveQualitySelect.value === 'on' });
+    });
+    showStatsSelect.addEventListener('change', () => {
+        performanceMonitor.update({ showStats: showStatsSelect.value === 'on' });
+    });
+    renderThreadSelect.addEventListener('change', () => {
+        performanceMonitor.update({ offscreen: renderThreadSelect.value === 'worker' });
+    });
+
+    frequencyBinner = new FrequencyBinner(analysisSettings);
+
+    recorder = new Recorder((recording) => {
+        recordBtn.classList.toggle('recording', recording);
+        recordBtn.setAttribute('data-tooltip', recording ? 'Stop Recording' : 'Record Video');
+        // The preview canvas is what gets recorded, so it renders larger meanwhile
+        if (outputWindows.size > 0) {
+            updateOutputState();
+        }
+    });
+    if (!Recorder.isSupported()) {
+        recordBtn.disabled = true;
+        recordBtn.setAttribute('data-tooltip', 'Recording not supported in this browser');
+    }
+
+    // Pop-out output windows for projection, kept in sync over a BroadcastChannel
+    if (OutputLink.isSupported()) {
+        outputLink = new OutputLink(handleOutputMessage);
+        // Outputs left open from before a reload reconnect
+        outputLink.send('control-ready');
+    } else {
+        popOutBtn.disabled = true;
+        popOutBtn.setAttribute('data-tooltip', 'Output windows not supported in this browser');
+    }
+
+    offlineRenderer = new OfflineRenderer((stage, progress) => {
+        showStatus(`${EXPORT_STAGES[stage]}… ${Math.floor(progress * 100)}%`);
+    });
+    if (!OfflineRenderer.isSupported()) {
+        exportBtn.disabled = true;
+        exportBtn.textContent = 'Export needs WebCodecs';
+    }
+
+    // Beat detection drives 2D pulses and downbeat-aligned preset changes
+    beatDetector = new BeatDetector();
+    beatDetector.on('beat', (beat) => {
+        visualizer.onBeat(beat);
+        if (outputWindows.size > 0) {
+            outputLink.send('beat', { beat });
+        }
+    });
+
+    // Initialize playlist
+    playlist = new Playlist(() => {
+        renderQueue();
+        updateTransport();
+        // Queue order or modes changed, so the preloaded track may be stale
+        syncStandby();
+    });
+    renderQueue();
+
+    // Populate visualization types; modes registered later (plugins) show up too
+    renderVizTypeOptions();
+    Visualizer.onModesChange(renderVizTypeOptions);
+    window.retroviz = {
+        registerMode: (id, mode) => Visualizer.registerMode(id, mode)
+    };
+
+    // Populate presets
+    renderPresetSelect();
+    renderPresetBrowser();
+    presetStore = new PresetStore();
+    loadCustomPresets();
+
+    // Event listeners
+    uploadBtn.addEventListener('click', () => audioFileInput.click());
+    audioFileInput.addEventListener('change', handleFileUpload);
+    audioFolderInput.addEventListener('change', handleFileUpload);
+    playPauseBtn.addEventListener('click', toggleVisualization);
+    prevTrackBtn.addEventListener('click', previousTrack);
+    nextTrackBtn.addEventListener('click', () => nextTrack());
+    queueBtn.addEventListener('click', () => togglePanel(queuePanel));
+    settingsBtn.addEventListener('click', () => togglePanel(settingsPanel));
+    presetsBtn.addEventListener('click', () => {
+        togglePanel(presetPanel);
+        if (presetPanel.classList.contains('open')) {
+            if (presetBrowserStale) renderPresetBrowser();
+            presetSearchInput.focus();
+        }
+    });
+    presetSearchInput.addEventListener('input', renderPresetBrowser);
+    importPresetsBtn.addEventListener('click', () => presetFileInput.click());
+    presetFileInput.addEventListener('change', (e) => {
+        const files = Array.from(e.target.files);
+        e.target.value = '';
+        importPresets(files);
+    });
+    presetFilterButtons.forEach(button => {
+        button.addEventListener('click', () => {
+            presetFilter = button.dataset.filter;
+            renderPresetBrowser();
+        });
+    });
+    prevPresetBtn.addEventListener('click', previousPreset);
+    nextPresetBtn.addEventListener('click', nextPreset);
+    rotateIntervalSelect.addEventListener('change', () => {
+        const interval = Number(rotateIntervalSelect.value);
+        visualizer.setAutoRotateSettings({ interval });
+        presetSelect.querySelector('option[value="auto"]').text = `Auto-Rotate (${interval}s)`;
+        saveSettings();
+    });
+    rotateOrderSelect.addEventListener('change', () => {
+        visualizer.setAutoRotateSettings({ order: rotateOrderSelect.value });
+        saveSettings();
+    });
+    blendTimeSelect.addEventListener('change', () => {
+        visualizer.setAutoRotateSettings({ blendTime: Number(blendTimeSelect.value) });
+        saveSettings();
+    });
+    rotationSourceSelect.addEventListener('change', () => {
+        visualizer.setRotationSource(rotationSourceSelect.value);
+        showStatus(rotationSourceSelect.value === 'favorites' ? 'Auto-rotating favorites only' : 'Auto-rotating all presets');
+        saveSettings();
+    });
+    copyLinkBtn.addEventListener('click', copySettingsLink);
+    addFilesBtn.addEventListener('click', () => audioFileInput.click());
+    addFolderBtn.addEventListener('click', () => audioFolderInput.click());
+    shuffleBtn.addEventListener('click', () => {
+        playlist.setShuffle(!playlist.shuffle);
+        showStatus(playlist.shuffle ? 'Shuffle on' : 'Shuffle off');
+    });
+    repeatBtn.addEventListener('click', () => {
+        const mode = playlist.cycleRepeat();
+        if (audioElement) {
+            audioElement.loop = mode === 'one';
+        }
+        showStatus(`Repeat: ${mode}`);
+    });
+    seekBar.addEventListener('input', () => {
+        // Only preview the position while dragging; the seek itself happens on release
+        isSeeking = true;
+        updateTimeReadout(Number(seekBar.value), audioElement ? audioElement.duration : 0);
+    });
+    seekBar.addEventListener('change', () => {
+        isSeeking = false;
+        seekTo(Number(seekBar.value));
+    });
+    volumeSlider.addEventListener('input', () => {
+        setVolume(Number(volumeSlider.value));
+    });
+    muteBtn.addEventListener('click', toggleMute);
+    clearQueueBtn.addEventListener('click', () => {
+        if (audioSourceType === 'file' && isRunning) {
+            stopVisualization();
+        }
+        unloadDecks();
+        playlist.clear();
+    });
+    fullscreenBtn.addEventListener('click', toggleFullscreen);
+
+    recordBtn.addEventListener('click', toggleRecording);
+    popOutBtn.addEventListener('click', toggleOutputWindow);
+    exportBtn.addEventListener('click', exportTrack);
+
+    // Overlay settings
+    overlayTrackInfoSelect.addEventListener('change', () => {
+        updateOverlay({ trackInfo: overlayTrackInfoSelect.value });
+    });
+    overlayHoldInput.addEventListener('input', () => {
+        updateOverlay({ holdSeconds: Number(overlayHoldInput.value) });
+    });
+    overlayTrackPositionSelect.addEventListener('change', () => {
+        updateOverlay({ trackPosition: overlayTrackPositionSelect.value });
+    });
+    overlayCoverSelect.addEventListener('change', () => {
+        updateOverlay({ showCover: overlayCoverSelect.value === 'on' });
+    });
+    overlayTextSizeSelect.addEventListener('change', () => {
+        updateOverlay({ textSize: overlayTextSizeSelect.value });
+    });
+    overlayTextColorInput.addEventListener('input', () => {
+        updateOverlay({ textColor: overlayTextColorInput.value });
+    });
+    overlayCustomTextInput.addEventListener('input', () => {
+        updateOverlay({ customText: overlayCustomTextInput.value });
+    });
+    overlayCustomPositionSelect.addEventListener('change', () => {
+        updateOverlay({ customPosition: overlayCustomPositionSelect.value });
+    });
+    logoBtn.addEventListener('click', () => logoFileInput.click());
+    logoFileInput.addEventListener('change', async (e) => {
+        const [file] = e.target.files;
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            const logo = await Overlay.readLogo(file);
+            showStatus(updateOverlay({ logo }) ? `Logo: ${file.name}` : 'Logo shown, but too large to remember after reload');
+        } catch (error) {
+            console.error('Error loading logo:', error);
+            showStatus(`Error: ${error.message}`);
+        }
+    });
+    removeLogoBtn.addEventListener('click', () => {
+        updateOverlay({ logo: null });
+        showStatus('Logo removed');
+    });
+
+    // Analysis settings
+    fftSizeSelect.addEventListener('change', () => {
+        updateAnalysisSettings({ fftSize: Number(fftSizeSelect.value) });
+    });
+    smoothingInput.addEventListener('input', () => {
+        updateAnalysisSettings({ smoothing: Number(smoothingInput.value) });
+    });
+    minDecibelsInput.addEventListener('input', () => {
+        updateAnalysisSettings({ minDecibels: Number(minDecibelsInput.value) });
+    });
+    maxDecibelsInput.addEventListener('input', () => {
+        updateAnalysisSettings({ maxDecibels: Number(maxDecibelsInput.value) });
+    });
+    frequencyScaleSelect.addEventListener('change', () => {
+        updateAnalysisSettings({ scale: frequencyScaleSelect.value });
+    });
+    bandCountInput.addEventListener('input', () => {
+        updateAnalysisSettings({ bandCount: Number(bandCountInput.value) });
+    });
+    inputGainInput.addEventListener('input', () => {
+        updateAnalysisSettings({ gain: Number(inputGainInput.value) });
+    });
+    renderAnalysisSettings();
+
+    // Bar settings
+    barCountSelect.addEventListener('change', () => updateBarSettings({ count: Number(barCountSelect.value) }));
+    barGapInput.addEventListener('input', () => updateBarSettings({ gap: Number(barGapInput.value) }));
+    barLayoutSelect.addEventListener('change', () => updateBarSettings({ layout: barLayoutSelect.value }));
+    barAttackInput.addEventListener('input', () => updateBarSettings({ attack: Number(barAttackInput.value) }));
+    barDecayInput.addEventListener('input', () => updateBarSettings({ decay: Number(barDecayInput.value) }));
+    peakCapsSelect.addEventListener('change', () => updateBarSettings({ peaks: peakCapsSelect.value }));
+    peakGravityInput.addEventListener('input', () => updateBarSettings({ gravity: Number(peakGravityInput.value) }));
+    renderBarSettings();
+
+    inputSelect.addEventListener('change', (e) => {
+        const [type, ...deviceId] = e.target.value.split(':');
+        if (type === 'file' && playlist.length === 0) {
+            audioFileInput.click();
+        }
+        switchInput(type, deviceId.join(':'));
+    });
+
+    if (navigator.mediaDevices) {
+        navigator.mediaDevices.addEventListener('devicechange', refreshInputDevices);
+        if (!navigator.mediaDevices.getDisplayMedia) {
+            inputSelect.querySelector('option[value="display"]').disabled = true;
+        }
+    }
+    refreshInputDevices();
+
+    // Handle select menu arrow rotation and focus states
+    document.querySelectorAll('select').forEach(select => {
+        select.addEventListener('change', () => {
+            select.blur();
+            select.classList.remove('menu-open');
+        });
+    
+        select.addEventListener('blur', () => {
+            select.classList.remove('menu-open');
+        });
+    
+        select.addEventListener('click', () => {
+            select.classList.toggle('menu-open');
+        });
+    });
+
+    vizTypeSelect.addEventListener('change', (e) => setVisualizationType(e.target.value));
+
+    scopeModeSelect.addEventListener('change', (e) => {
+        visualizer.setScopeMode(e.target.value);
+        showStatus(`Scope: ${e.target.options[e.target.selectedIndex].text}`);
+        saveSettings();
+    });
+
+    spectrogramViewSelect.addEventListener('change', (e) => {
+        visualizer.setSpectrogramView(e.target.value);
+        showStatus(`Spectrogram: ${e.target.options[e.target.selectedIndex].text}`);
+        saveSettings();
+    });
+
+    colorSchemeSelect.addEventListener('change', (e) => {
+        selectPalette(e.target.value);
+        showStatus(`Color: ${e.target.options[e.target.selectedIndex].text}`);
+        saveSettings();
+    });
+
+    palettesBtn.addEventListener('click', () => togglePanel(palettePanel));
+    duplicatePaletteBtn.addEventListener('click', duplicatePalette);
+    deletePaletteBtn.addEventListener('click', deletePalette);
+    addStopBtn.addEventListener('click', addPaletteStop);
+    paletteNameInput.addEventListener('input', (e) => updatePalette({ name: e.target.value.trim() || 'Untitled' }));
+    paletteMappingSelect.addEventListener('change', (e) => updatePalette({ mapping: e.target.value }));
+    paletteBackgroundInput.addEventListener('input', (e) => updatePalette({ background: e.target.value }));
+    paletteGlowInput.addEventListener('input', (e) => {
+        updatePalette({ glow: Number(e.target.value) });
+        e.target.nextElementSibling.textContent = `${Math.round(e.target.value * 100)}%`;
+    });
+
+    presetSelect.addEventListener('change', (e) => {
+        visualizer.setPreset(e.target.value);
+        markCurrentPreset(visualizer.presetKeys[visualizer.currentPresetIndex]);
+        if (e.target.value === 'auto') {
+            showStatus(`Auto-rotating presets (${visualizer.rotateInterval}s)`);
+        } else {
+            showStatus(`Preset: ${e.target.value}`);
+        }
+        saveSettings();
+    });
+
+    // Restore the last setup, or the one a shared link asks for. Restoring
+    // goes through the setters, so only attach the store afterwards: a shared
+    // link must not overwrite the visitor's own saved setup until they change something.
+    const store = new SettingsStore();
+    restoreSettings(store.load());
+    settingsStore = store;
+
+    // Keyboard shortcuts
+    keymap = new Keymap();
+
+    document.addEventListener('keydown', handleKeydown);
+    // A focused dropdown would eat letter and number keys, so let go of it once a choice is made
+    document.addEventListener('change', (e) => {
+        if (e.target.tagName === 'SELECT') e.target.blur();
+    });
+    helpCloseBtn.addEventListener('click', toggleHelp);
+    helpOverlay.addEventListener('click', (e) => {
+        if (e.target === helpOverlay) toggleHelp();
+    });
+    resetKeysBtn.addEventListener('click', () => {
+        keymap.reset();
+        rebindingAction = null;
+        renderShortcutList();
+        showStatus('Shortcuts reset to defaults');
+    });
+
+    // MIDI controller, mapped to midiActions
+    midiMap = new MidiMap();
+    midiInput = new MidiInput(handleMidiMessage, renderMidiSettings);
+
+    midiEnableBtn.addEventListener('click', enableMidi);
+    exportMidiBtn.addEventListener('click', () => {
+        const blob = new Blob([JSON.stringify(midiMap.toJSON(), null, 2)], { type: 'application/json' });
+        downloadBlob(blob, 'retroviz-midi.json');
+    });
+    importMidiBtn.addEventListener('click', () => midiFileInput.click());
+    midiFileInput.addEventListener('change', async (e) => {
+        const [file] = e.target.files;
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const count = midiMap.import(JSON.parse(await file.text()));
+            showStatus(`Imported ${count} MIDI mapping${count === 1 ? '' : 's'}`);
+        } catch (error) {
+            console.error('Error importing MIDI mappings:', error);
+            showStatus(`Could not import ${file.name}`);
+        }
+        renderMidiSettings();
+    });
+    resetMidiBtn.addEventListener('click', () => {
+        midiMap.reset();
+        midiLearnAction = null;
+        renderMidiSettings();
+        showStatus('MIDI mappings cleared');
+    });
+    renderMidiSettings();
+    // Reconnect without a prompt if MIDI was allowed before and something is mapped
+    if (MidiInput.isSupported() && Object.keys(midiMap.bindings).length > 0) {
+        MidiInput.isGranted().then(granted => {
+            if (granted) enableMidi();
+        });
+    }
+
+    // Drag-and-drop of files from the desktop onto the visualizer
+    visualizerContainer.addEventListener('dragenter', (e) => {
+        if (!isFileDrag(e)) return;
+        e.preventDefault();
+        dropZone.classList.add('visible');
+    });
+
+    visualizerContainer.addEventListener('dragover', (e) => {
+        if (!isFileDrag(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    });
+
+    visualizerContainer.addEventListener('dragleave', (e) => {
+        // Ignore leave events fired when moving between child elements
+        if (visualizerContainer.contains(e.relatedTarget)) return;
+        dropZone.classList.remove('visible');
+    });
+
+    visualizerContainer.addEventListener('drop', (e) => {
+        if (!isFileDrag(e)) return;
+        e.preventDefault();
+        dropZone.classList.remove('visible');
+
+        const files = Array.from(e.dataTransfer.files);
+        const presetFiles = files.filter(file => PresetImporter.isPresetFile(file));
+        if (presetFiles.length > 0) {
+            importPresets(presetFiles);
+        }
+        if (presetFiles.length < files.length) {
+            queueFiles(files.filter(file => !PresetImporter.isPresetFile(file)));
+        }
+    });
+
+    // Drag-and-drop reordering inside the queue
+    queueList.addEventListener('dragstart', (e) => {
+        const item = e.target.closest('.queue-item');
+        if (!item) return;
+        draggedIndex = Number(item.dataset.index);
+        e.dataTransfer.effectAllowed = 'move';
+        item.classList.add('dragging');
+    });
+    queueList.addEventListener('dragover', (e) => {
+        if (draggedIndex === null) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+    });
+    queueList.addEventListener('drop', (e) => {
+        const item = e.target.closest('.queue-item');
+        if (draggedIndex === null || !item) return;
+        e.preventDefault();
+        playlist.move(draggedIndex, Number(item.dataset.index));
+    });
+    queueList.addEventListener('dragend', () => {
+        draggedIndex = null;
+        queueList.querySelectorAll('.dragging').forEach(item => item.classList.remove('dragging'));
+    });
+
+    // Listen for fullscreen changes to update UI if needed (e.g. ESC key)
+    document.addEventListener('fullscreenchange', () => {
+        if (!document.fullscreenElement) {
+            fullscreenHint.classList.remove('visible');
+            iconFullscreen.style.display = 'inline';
+            iconWindow.style.display = 'none';
+            fullscreenBtn.setAttribute('data-tooltip', 'Enter Fullscreen');
+        } else {
+            iconFullscreen.style.display = 'none';
+            iconWindow.style.display = 'inline';
+            fullscreenBtn.setAttribute('data-tooltip', 'Exit Fullscreen');
+        }
+    });
+
+    // Handle page visibility changes
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden && isRunning) {
+            cancelAnimationFrame(animationId);
+            animationId = null;
+        } else if (!document.hidden && isRunning && !animationId) {
+            animate();
+        }
+    });
+
+    // Clean up on page unload
+    window.addEventListener('beforeunload', () => {
+        stopVisualization();
+    });
+}
+
+const EXPORT_STAGES = {
+    decoding: 'Decoding audio',
+    audio: 'Encoding audio',
+    video: 'Rendering video',
+    finalizing: 'Finishing file'
+};
+
+// What each keyboard shortcut does, by Keymap action
+const shortcutActions = {
+    togglePlay: toggleVisualization,
+    nextPreset,
+    previousPreset,
+    toggleAutoRotate,
+    lockPreset: togglePresetLock,
+    ...Object.fromEntries(Array.from({ length: 9 }, (_, i) => [`viz${i + 1}`, () => selectModeByNumber(i + 1)])),
+    fullscreen: toggleFullscreen,
+    hideControls: toggleControlsHidden,
+    help: toggleHelp
+};
+
+// MIDI triggers share the shortcut handlers, ranges take a 0..1 value
+const midiActions = {
+    ...shortcutActions,
+    nextColorScheme,
+    colorScheme: setColorSchemeFromMidi,
+    blendTime: setBlendTimeFromMidi,
+    gain: setGainFromMidi
+};
+
+/**
+ * Handle file upload - queues every selected audio file
+ */
+function handleFileUpload(e) {
+    const files = Array.from(e.target.files);
+    // Reset so picking the same files again still fires a change event
+    e.target.value = '';
+    queueFiles(files);
+}
+
+/**
+ * Queue audio files and start the first one unless files are already playing.
+ * Shared by the file pickers and drag-and-drop.
+ */
+async function queueFiles(files) {
+    const rejected = files.filter(file => !Playlist.isAudioFile(file));
+    const added = playlist.add(files);
+
+    if (added.length === 0) {
+        showStatus(rejected.length > 0 ? `Not an audio file: ${rejected[0].name}` : 'No audio files selected');
+        return;
+    }
+
+    const skipped = rejected.length > 0 ? ` (skipped ${rejected.length} non-audio)` : '';
+
+    if (audioSourceType === 'file' && isRunning) {
+        showStatus((added.length === 1 ? `Queued: ${added[0].name}` : `Queued ${added.length} tracks`) + skipped);
+        return;
+    }
+
+    await playTrack(playlist.tracks.indexOf(added[0]));
+    if (skipped) {
+        showStatus(`Playing: ${added[0].name}${skipped}`);
+    }
+}
+
+/**
+ * Drag-and-drop of files from the desktop onto the visualizer
+ */
+function isFileDrag(e) {
+    return e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+}
+
+/**
+ * Create the two playback decks and route them into the analyser graph.
+ * Both decks stay connected so switching tracks never rebuilds the graph.
+ */
+function setupFileGraph() {
+    fileSource = audioContext.createGain();
+    analysis.connect(fileSource);
+
+    // Volume has its own stage beside the analysers so the visuals don't shrink when turned down
+    outputGain = audioContext.createGain();
+    outputGain.gain.value = isMuted ? 0 : volume;
+    fileSource.connect(outputGain);
+    outputGain.connect(audioContext.destination); // Connect to speakers
+
+    audioElement = createDeck();
+    standbyElement = createDeck();
+}
+
+function createDeck() {
+    const deck = new Audio();
+    deck.preload = 'auto';
+    deck.loop = playlist.repeat === 'one';
+    deck.addEventListener('ended', () => handleTrackEnded(deck));
+    deck.addEventListener('timeupdate', () => {
+        if (deck !== audioElement) return;
+        updateTransport();
+        // Preload the next track while the current one is still playing
+        if (deck.duration - deck.currentTime < 10) {
+            syncStandby();
+        }
+    });
+    deck.addEventListener('durationchange', () => {
+        if (deck === audioElement) updateTransport();
+    });
+    audioContext.createMediaElementSource(deck).connect(fileSource);
+    return deck;
+}
+
+function unloadDecks() {
+    [audioElement, standbyElement].forEach(deck => {
+        if (deck) {
+            deck.pause();
+            deck.removeAttribute('src');
+            deck.load();
+        }
+    });
+}
+
+/**
+ * Keep the standby deck loaded with whatever the playlist would play next
+ */
+function syncStandby() {
+    if (!standbyElement) return;
+
+    // Wait until the active deck holds the current track, or a pending swap gets clobbered
+    const current = playlist.current();
+    if (!current || audioElement.src !== current.url) return;
+
+    const next = playlist.tracks[playlist.peekNext(true)];
+    if (!next || next === current) return;
+
+    if (standbyElement.src !== next.url) {
+        standbyElement.src = next.url;
+        standbyElement.load();
+    }
+}
+
+/**
+ * Load a track into the active deck, swapping decks if it was preloaded
+ */
+function loadTrack(track) {
+    if (standbyElement.src === track.url && audioElement.src !== track.url) {
+        [audioElement, standbyElement] = [standbyElement, audioElement];
+        standbyElement.pause();
+    } else if (audioElement.src !== track.url) {
+        audioElement.src = track.url;
+    }
+    audioElement.currentTime = 0;
+    audioElement.loop = playlist.repeat === 'one';
+    syncStandby();
+    updateTransport();
+}
+
+/**
+ * Switch to file input and play the queued track at index
+ */
+async function playTrack(index) {
+    const track = playlist.select(index);
+    if (!track) return;
+
+    if (audioSourceType !== 'file' && isRunning) {
+        stopVisualization();
+    }
+    audioSourceType = 'file';
+    updateInputSelect();
+
+    if (isRunning && audioElement) {
+        loadTrack(track);
+        try {
+            await audioElement.play();
+            showStatus(`Playing: ${track.name}`);
+            showTrackOverlay(track);
+        } catch (error) {
+            console.error('Error playing track:', error);
+            showStatus(`Error: ${error.message}`);
+        }
+    } else {
+        await startVisualization();
+    }
+}
+
+function nextTrack(auto = false) {
+    if (playlist.length === 0) {
+        showStatus('Queue is empty');
+        return;
+    }
+
+    const track = playlist.next(auto);
+    if (!track) {
+        if (audioSourceType === 'file') {
+            stopVisualization();
+        }
+        showStatus('End of queue');
+        return;
+    }
+    playTrack(playlist.currentIndex);
+}
+
+function previousTrack() {
+    // Like most players, restart the track unless we're near its beginning
+    if (audioSourceType === 'file' && audioElement && audioElement.currentTime > 3) {
+        audioElement.currentTime = 0;
+        return;
+    }
+    if (playlist.previous()) {
+        playTrack(playlist.currentIndex);
+    }
+}
+
+function handleTrackEnded(deck) {
+    if (deck !== audioElement || audioSourceType !== 'file') return;
+    nextTrack(true);
+}
+
+/**
+ * Jump to a position in the current track. Butterchurn listens on the analysis
+ * input that fileSource feeds, so it follows the new position without resyncing.
+ */
+function seekTo(seconds) {
+    if (!audioElement || !isFinite(audioElement.duration)) return;
+
+    audioElement.currentTime = Math.min(Math.max(seconds, 0), audioElement.duration);
+    // A preloaded standby may no longer be the right track if we jumped near the end
+    syncStandby();
+    updateTransport();
+}
+
+function setVolume(value) {
+    volume = value;
+    if (isMuted && value > 0) {
+        isMuted = false;
+    }
+    applyVolume();
+}
+
+function toggleMute() {
+    isMuted = !isMuted;
+    applyVolume();
+    showStatus(isMuted ? 'Muted' : `Volume: ${Math.round(volume * 100)}%`);
+}
+
+function applyVolume() {
+    if (outputGain) {
+        // Short ramp avoids zipper noise while dragging the slider
+        outputGain.gain.setTargetAtTime(isMuted ? 0 : volume, audioContext.currentTime, 0.015);
+    }
+
+    const silent = isMuted || volume === 0;
+    iconVolume.style.display = silent ? 'none' : 'inline';
+    iconMuted.style.display = silent ? 'inline' : 'none';
+    muteBtn.setAttribute('data-tooltip', isMuted ? 'Unmute' : 'Mute');
+    volumeSlider.value = isMuted ? 0 : volume;
+}
+
+/**
+ * Refresh the seek bar and time readout for the active deck
+ */
+function updateTransport() {
+    const active = audioSourceType === 'file' && playlist.current() !== null;
+    transport.classList.toggle('visible', active);
+    if (!active || !audioElement || isSeeking) return;
+
+    const duration = isFinite(audioElement.duration) ? audioElement.duration : 0;
+    seekBar.max = duration;
+    seekBar.value = audioElement.currentTime;
+    seekBar.disabled = duration === 0;
+    seekBar.style.setProperty('--progress', duration ? `${(audioElement.currentTime / duration) * 100}%` : '0%');
+    updateTimeReadout(audioElement.currentTime, duration);
+}
+
+function updateTimeReadout(current, duration) {
+    elapsedTime.textContent = formatTime(current);
+    remainingTime.textContent = duration ? `-${formatTime(duration - current)}` : '-0:00';
+}
+
+/**
+ * Format seconds as m:ss, or h:mm:ss for long mixes
+ */
+function formatTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds || 0));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Rebuild the queue panel from the playlist
+ */
+function renderQueue() {
+    queueList.innerHTML = '';
+    queuePanel.classList.toggle('empty', playlist.length === 0);
+
+    playlist.tracks.forEach((track, index) => {
+        const item = document.createElement('li');
+        item.className = 'queue-item';
+        item.draggable = true;
+        item.dataset.index = index;
+        if (index === playlist.currentIndex) {
+            item.classList.add('current');
+        }
+
+        const name = document.createElement('span');
+        name.className = 'queue-name';
+        name.textContent = track.name;
+        name.title = track.file.name;
+        name.addEventListener('click', () => playTrack(index));
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'queue-remove';
+        removeBtn.setAttribute('aria-label', `Remove ${track.name}`);
+        removeBtn.textContent = '×';
+        removeBtn.addEventListener('click', () => removeTrack(index));
+
+        item.append(name, removeBtn);
+        queueList.appendChild(item);
+    });
+
+    shuffleBtn.classList.toggle('active', playlist.shuffle);
+    repeatBtn.classList.toggle('active', playlist.repeat !== 'off');
+    repeatBtn.dataset.mode = playlist.repeat;
+    repeatBtn.setAttribute('data-tooltip', `Repeat: ${playlist.repeat}`);
+}
+
+function removeTrack(index) {
+    const wasCurrent = index === playlist.currentIndex;
+    const track = playlist.remove(index);
+    if (!track || !wasCurrent || !audioElement) return;
+
+    if (audioElement.src === track.url) {
+        if (audioSourceType === 'file' && isRunning && playlist.current()) {
+            playTrack(playlist.currentIndex);
+        } else {
+            if (isRunning) stopVisualization();
+            unloadDecks();
+        }
+    }
+}
+
+let draggedIndex = null; // Queue position being dragged to a new spot
+
+/**
+ * Toggle visualization state
+ */
+export function toggleVisualization() {
+    if (isRunning) {
+        if (audioSourceType === 'file' && audioElement) {
+            audioElement.pause();
+            isRunning = false;
+            iconPlay.style.display = 'inline';
+            iconStop.style.display = 'none';
+            playPauseBtn.setAttribute('data-tooltip', 'Resume Visualization');
+            showStatus('Paused');
+            if (animationId) {
+                cancelAnimationFrame(animationId);
+                animationId = null;
+            }
+        } else {
+            stopVisualization();
+        }
+    } else {
+        startVisualization();
+    }
+}
+
+/**
+ * Ask the browser for the stream behind the current live source type
+ */
+async function openInputStream() {
+    // Raw signal: voice processing would flatten music
+    const audioConstraints = {
+        echoCancellation: false,
+        noiseSuppression: false,
+        autoGainControl: false
+    };
+
+    if (audioSourceType === 'display') {
+        showStatus('Choose a tab or screen and enable audio sharing...');
+        // Chrome only offers audio capture together with video
+        const stream = await navigator.mediaDevices.getDisplayMedia({
+            video: true,
+            audio: audioConstraints,
+            systemAudio: 'include'
+        });
+        const [audioTrack] = stream.getAudioTracks();
+        if (!audioTrack) {
+            stream.getTracks().forEach(track => track.stop());
+            throw new Error('No audio was shared – enable "Share audio" when picking a tab');
+        }
+        // The browser's own "Stop sharing" button ends the track
+        audioTrack.addEventListener('ended', () => {
+            if (audioSourceType === 'display' && isRunning) {
+                stopVisualization();
+            }
+        });
+        return stream;
+    }
+
+    showStatus('Requesting microphone access...');
+    if (inputDeviceId) {
+        try {
+            return await navigator.mediaDevices.getUserMedia({
+                audio: { ...audioConstraints, deviceId: { exact: inputDeviceId } }
+            });
+        } catch (error) {
+            if (error.name !== 'OverconstrainedError' && error.name !== 'NotFoundError') {
+                throw error;
+            }
+            // Remembered device is gone, use the default one instead
+            console.warn('Saved input device unavailable, using default:', error);
+        }
+    }
+
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: audioConstraints });
+    // Labels are only exposed once permission is granted
+    refreshInputDevices();
+    return stream;
+}
+
+/**
+ * Fill the input picker with the available audio inputs
+ */
+async function refreshInputDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return;
+
+    let devices = [];
+    try {
+        devices = (await navigator.mediaDevices.enumerateDevices())
+            .filter(device => device.kind === 'audioinput' && device.deviceId !== 'default');
+    } catch (error) {
+        console.error('Error listing input devices:', error);
+    }
+
+    const micGroup = inputSelect.querySelector('optgroup[data-group="microphone"]');
+    micGroup.innerHTML = '';
+
+    const defaultOption = document.createElement('option');
+    defaultOption.value = 'microphone:';
+    defaultOption.text = 'Default Microphone';
+    micGroup.appendChild(defaultOption);
+
+    devices.forEach((device, index) => {
+        const option = document.createElement('option');
+        option.value = `microphone:${device.deviceId}`;
+        option.text = device.label || `Input ${index + 1}`;
+        micGroup.appendChild(option);
+    });
+
+    updateInputSelect();
+
+    // Follow the saved device being unplugged or plugged back in without forgetting it
+    if (audioSourceType === 'microphone' && isRunning && mediaStream && inputDeviceId) {
+        const [track] = mediaStream.getAudioTracks();
+        const usingSaved = track && track.getSettings().deviceId === inputDeviceId;
+        const available = devices.some(device => device.deviceId === inputDeviceId);
+        if (available !== usingSaved) {
+            stopVisualization();
+            await startVisualization();
+            showStatus(available ? 'Input device reconnected' : 'Input device disconnected, using default');
+        }
+    }
+}
+
+function updateInputSelect() {
+    if (audioSourceType === 'microphone') {
+        const value = `microphone:${inputDeviceId}`;
+        const exists = Array.from(inputSelect.options).some(option => option.value === value);
+        inputSelect.value = exists ? value : 'microphone:';
+    } else {
+        inputSelect.value = audioSourceType;
+    }
+}
+
+/**
+ * Change the live input, restarting the visualization if it was running
+ */
+async function switchInput(type, deviceId = inputDeviceId) {
+    const wasRunning = isRunning;
+    if (isRunning) {
+        stopVisualization();
+    }
+
+    audioSourceType = type;
+    if (type === 'microphone' && deviceId !== inputDeviceId) {
+        inputDeviceId = deviceId;
+        if (deviceId) {
+            localStorage.setItem(INPUT_DEVICE_KEY, deviceId);
+        } else {
+            localStorage.removeItem(INPUT_DEVICE_KEY);
+        }
+    }
+    updateInputSelect();
+    updateTransport();
+
+    // File mode waits for a track; live inputs start right away when chosen or already running
+    if (type !== 'file' || wasRunning) {
+        await startVisualization();
+    }
+}
+
+/**
+ * Rebuild the preset browser list from the search box and active filter.
+ * While the panel is closed the rebuild waits until it opens.
+ */
+function renderPresetBrowser() {
+    if (!presetPanel.classList.contains('open')) {
+        presetBrowserStale = true;
+        return;
+    }
+    presetBrowserStale = false;
+
+    const current = visualizer.presetKeys[visualizer.currentPresetIndex];
+    let names = presetLibrary.search(visualizer.presetKeys, presetSearchInput.value);
+    if (presetFilter === 'favorites') {
+        names = names.filter(name => presetLibrary.isFavorite(name));
+    } else if (presetFilter === 'blocked') {
+        names = names.filter(name => presetLibrary.isBlocked(name));
+    } else if (presetFilter === 'custom') {
+        names = names.filter(name => visualizer.isCustomPreset(name));
+    }
+
+    presetList.innerHTML = '';
+    presetItems = new Map();
+    currentPresetItem = null;
+    presetPanel.classList.toggle('empty', names.length === 0);
+    presetFilterButtons.forEach(button => {
+        button.classList.toggle('active', button.dataset.filter === presetFilter);
+    });
+
+    names.forEach(presetName => {
+        const favorite = presetLibrary.isFavorite(presetName);
+        const blocked = presetLibrary.isBlocked(presetName);
+
+        const item = document.createElement('li');
+        item.className = 'preset-item';
+        item.classList.toggle('current', presetName === current);
+        item.classList.toggle('blocked', blocked);
+
+        const name = document.createElement('span');
+        name.className = 'preset-name';
+        name.textContent = presetName;
+        name.title = presetName;
+        name.addEventListener('click', () => selectPreset(presetName));
+
+        const favoriteBtn = document.createElement('button');
+        favoriteBtn.className = 'preset-toggle preset-favorite';
+        favoriteBtn.classList.toggle('active', favorite);
+        favoriteBtn.setAttribute('aria-label', favorite ? 'Remove from favorites' : 'Add to favorites');
+        favoriteBtn.textContent = favorite ? '★' : '☆';
+        favoriteBtn.addEventListener('click', () => presetLibrary.toggleFavorite(presetName));
+
+        const blockBtn = document.createElement('button');
+        blockBtn.className = 'preset-toggle preset-block';
+        blockBtn.classList.toggle('active', blocked);
+        blockBtn.setAttribute('aria-label', blocked ? 'Unblock preset' : 'Block preset');
+        blockBtn.textContent = '⊘';
+        blockBtn.addEventListener('click', () => {
+            const nowBlocked = presetLibrary.toggleBlocked(presetName);
+            // Skip straight past a preset that was just blocked mid-rotation
+            const showing = visualizer.presetKeys[visualizer.currentPresetIndex];
+            if (nowBlocked && visualizer.isAutoRotating && presetName === showing) {
+                visualizer.rotatePreset();
+            }
+        });
+
+        item.append(name, favoriteBtn, blockBtn);
+
+        if (visualizer.isCustomPreset(presetName)) {
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'preset-toggle preset-remove';
+            removeBtn.setAttribute('aria-label', `Delete ${presetName}`);
+            removeBtn.textContent = '×';
+            removeBtn.addEventListener('click', () => deleteCustomPreset(presetName));
+            item.appendChild(removeBtn);
+        }
+
+        presetList.appendChild(item);
+        presetItems.set(presetName, item);
+        if (presetName === current) currentPresetItem = item;
+    });
+}
+
+/**
+ * Move the preset browser's highlight to `presetName`. Preset changes come
+ * with every rotation, so this leaves the rest of the list alone.
+ */
+function markCurrentPreset(presetName) {
+    if (currentPresetItem) currentPresetItem.classList.remove('current');
+    currentPresetItem = presetItems.get(presetName) || null;
+    if (currentPresetItem) currentPresetItem.classList.add('current');
+}
+
+/**
+ * Fill the preset dropdown: built-in presets, then imported ones under "Custom"
+ */
+function renderPresetSelect() {
+    const selected = presetSelect.value;
+    presetSelect.querySelectorAll('option:not([value="auto"]), optgroup').forEach(node => node.remove());
+
+    const makeOption = (key) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.text = key.length > 50 ? key.substring(0, 50) + '...' : key;
+        return option;
+    };
+
+    const custom = document.createElement('optgroup');
+    custom.label = 'Custom';
+    visualizer.presetKeys.forEach(key => {
+        if (visualizer.isCustomPreset(key)) {
+            custom.appendChild(makeOption(key));
+        } else {
+            presetSelect.appendChild(makeOption(key));
+        }
+    });
+    if (custom.children.length > 0) {
+        presetSelect.appendChild(custom);
+    }
+
+    presetSelect.value = visualizer.presets[selected] ? selected : 'auto';
+}
+
+/**
+ * Fill #colorScheme with the built-in palettes and a "My Palettes" group
+ */
+function renderColorSchemeOptions() {
+    colorSchemeSelect.replaceChildren();
+
+    const custom = document.createElement('optgroup');
+    custom.label = 'My Palettes';
+    paletteLibrary.list().forEach(palette => {
+        (palette.builtIn ? colorSchemeSelect : custom).appendChild(new Option(palette.name, palette.id));
+    });
+    if (custom.children.length > 0) {
+        colorSchemeSelect.appendChild(custom);
+    }
+
+    colorSchemeSelect.value = visualizer.colorScheme;
+}
+
+/**
+ * Switch the visualizer to a palette by id; unknown ids fall back to the default
+ */
+function selectPalette(id) {
+    const palette = paletteLibrary.get(id) || paletteLibrary.get(SettingsStore.defaults.colorScheme);
+    visualizer.setColorScheme(palette);
+    colorSchemeSelect.value = palette.id;
+    renderPaletteEditor();
+}
+
+/**
+ * Show the current palette in the Colors panel; built-ins are read-only
+ */
+function renderPaletteEditor() {
+    const palette = paletteLibrary.get(visualizer.colorScheme);
+    const readOnly = !paletteLibrary.isCustom(palette.id);
+
+    palettePanel.classList.toggle('read-only', readOnly);
+    paletteEditor.disabled = readOnly;
+    deletePaletteBtn.disabled = readOnly;
+    palettePreview.style.background = visualizer.palette.toCss();
+    paletteNameInput.value = palette.name;
+    paletteMappingSelect.value = palette.mapping;
+    paletteBackgroundInput.value = palette.background;
+    paletteGlowInput.value = palette.glow;
+    paletteGlowInput.nextElementSibling.textContent = `${Math.round(palette.glow * 100)}%`;
+
+    paletteStopsList.replaceChildren();
+    palette.stops.forEach((stop, index) => {
+        const item = document.createElement('li');
+        item.className = 'palette-stop';
+
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.value = stop.color;
+        color.setAttribute('aria-label', `Stop ${index + 1} color`);
+        color.addEventListener('input', () => updatePaletteStop(index, { color: color.value }));
+
+        const position = document.createElement('input');
+        position.type = 'range';
+        position.min = 0;
+        position.max = 100;
+        position.value = Math.round(stop.position * 100);
+        position.setAttribute('aria-label', `Stop ${index + 1} position`);
+
+        const output = document.createElement('output');
+        output.textContent = `${position.value}%`;
+        position.addEventListener('input', () => {
+            output.textContent = `${position.value}%`;
+            updatePaletteStop(index, { position: position.value / 100 });
+        });
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'palette-stop-remove';
+        removeBtn.setAttribute('aria-label', `Remove stop ${index + 1}`);
+        removeBtn.textContent = '×';
+        removeBtn.disabled = palette.stops.length === 1;
+        removeBtn.addEventListener('click', () => {
+            updatePalette({ stops: palette.stops.filter((_, i) => i !== index) });
+            renderPaletteEditor();
+        });
+
+        item.append(color, position, output, removeBtn);
+        paletteStopsList.appendChild(item);
+    });
+    addStopBtn.disabled = palette.stops.length >= MAX_PALETTE_STOPS;
+}
+
+/**
+ * Save changes to the current user palette and rebuild its lookup tables.
+ * The editor isn't re-rendered, so a dragged slider keeps its grip.
+ */
+function updatePalette(changes) {
+    const palette = paletteLibrary.update(visualizer.colorScheme, changes);
+    if (!palette) return;
+    visualizer.setColorScheme(palette);
+    palettePreview.style.background = visualizer.palette.toCss();
+    syncOutput();
+}
+
+function updatePaletteStop(index, changes) {
+    const { stops } = paletteLibrary.get(visualizer.colorScheme);
+    updatePalette({ stops: stops.map((stop, i) => (i === index ? { ...stop, ...changes } : stop)) });
+}
+
+/**
+ * Add a stop in the middle of the widest gap, colored like its left neighbor
+ */
+function addPaletteStop() {
+    const { stops } = paletteLibrary.get(visualizer.colorScheme);
+    const sorted = [...stops].sort((a, b) => a.position - b.position);
+
+    let stop = { position: sorted[0].position < 0.5 ? 1 : 0, color: sorted[0].color };
+    let widest = 0;
+    for (let i = 1; i < sorted.length; i++) {
+        const gap = sorted[i].position - sorted[i - 1].position;
+        if (gap > widest) {
+            widest = gap;
+            stop = { position: Math.round((sorted[i - 1].position + gap / 2) * 100) / 100, color: sorted[i - 1].color };
+        }
+    }
+
+    updatePalette({ stops: [...stops, stop] });
+    renderPaletteEditor();
+}
+
+function duplicatePalette() {
+    const palette = paletteLibrary.create(paletteLibrary.get(visualizer.colorScheme));
+    selectPalette(palette.id);
+    saveSettings();
+    showStatus(`Created palette: ${palette.name}`);
+    paletteNameInput.select();
+}
+
+function deletePalette() {
+    const palette = paletteLibrary.get(visualizer.colorScheme);
+    if (!paletteLibrary.isCustom(palette.id)) return;
+
+    paletteLibrary.remove(palette.id);
+    selectPalette(SettingsStore.defaults.colorScheme);
+    saveSettings();
+    showStatus(`Deleted palette: ${palette.name}`);
+}
+
+/**
+ * Restore presets imported in earlier sessions
+ */
+async function loadCustomPresets() {
+    if (!PresetStore.isSupported()) return;
+
+    try {
+        const records = await presetStore.getAll();
+        if (records.length === 0) return;
+
+        const presets = {};
+        records.forEach(record => {
+            presets[record.name] = record.preset;
+        });
+        visualizer.addPresets(presets);
+        renderPresetSelect();
+        syncOutput({ presets: true });
+        if (pendingPreset && visualizer.presets[pendingPreset]) {
+            applyPresetSetting(pendingPreset);
+        }
+        pendingPreset = null;
+        renderPresetBrowser();
+    } catch (error) {
+        console.error('Error loading custom presets:', error);
+        showStatus('Could not load custom presets');
+    }
+}
+
+/**
+ * Convert .milk files / zip packs, add them to the Custom group and save them
+ */
+async function importPresets(files) {
+    showStatus('Importing presets...');
+
+    let result;
+    try {
+        result = await PresetImporter.importFiles(files);
+    } catch (error) {
+        console.error('Error loading preset converter:', error);
+        showStatus(`Import failed: ${error.message}`);
+        return;
+    }
+
+    const imported = {};
+    result.presets.forEach(({ name, preset }) => {
+        // Never shadow a built-in preset
+        const key = visualizer.presets[name] && !visualizer.isCustomPreset(name) ? `${name} (custom)` : name;
+        imported[key] = preset;
+    });
+    const names = Object.keys(imported);
+
+    if (names.length > 0) {
+        visualizer.addPresets(imported);
+        renderPresetSelect();
+        renderPresetBrowser();
+        syncOutput({ presets: true });
+
+        if (PresetStore.isSupported()) {
+            try {
+                await Promise.all(names.map(name => presetStore.put(name, imported[name])));
+            } catch (error) {
+                console.error('Error saving custom presets:', error);
+                showStatus('Presets imported but could not be saved for next time');
+                return;
+            }
+        }
+    }
+
+    result.errors.forEach(({ name, message }) => console.warn(`Preset import failed: ${name}: ${message}`));
+
+    if (names.length === 0) {
+        const [first] = result.errors;
+        showStatus(first ? `Import failed: ${first.name} (${first.message})` : 'No presets found');
+    } else if (result.errors.length > 0) {
+        showStatus(`Imported ${names.length} preset${names.length === 1 ? '' : 's'}, ${result.errors.length} failed (see console)`);
+    } else if (names.length === 1) {
+        selectPreset(names[0]);
+    } else {
+        showStatus(`Imported ${names.length} presets`);
+    }
+}
+
+async function deleteCustomPreset(presetName) {
+    visualizer.removePreset(presetName);
+    renderPresetSelect();
+    renderPresetBrowser();
+    showStatus(`Deleted: ${presetName}`);
+
+    try {
+        await presetStore.delete(presetName);
+    } catch (error) {
+        console.error('Error deleting custom preset:', error);
+    }
+}
+
+/**
+ * Step back through preset history
+ */
+function previousPreset() {
+    if (!visualizer.previousPreset()) {
+        showStatus(visualizer.presetLocked ? 'Preset locked' : 'No earlier presets');
+        return;
+    }
+    syncPresetControls();
+}
+
+/**
+ * Step forward through preset history, or on to a new preset
+ */
+function nextPreset() {
+    if (!visualizer.nextPreset()) {
+        showStatus('Preset locked');
+        return;
+    }
+    syncPresetControls();
+}
+
+function toggleAutoRotate() {
+    visualizer.setAutoRotate(!visualizer.isAutoRotating);
+    presetSelect.value = visualizer.isAutoRotating ? 'auto' : visualizer.presetKeys[visualizer.currentPresetIndex];
+    showStatus(visualizer.isAutoRotating ? `Auto-rotating presets (${visualizer.rotateInterval}s)` : 'Auto-rotate off');
+    saveSettings();
+}
+
+/**
+ * Hold the current preset: rotation and previous/next stop until unlocked
+ */
+function togglePresetLock() {
+    const locked = !visualizer.presetLocked;
+    visualizer.setPresetLocked(locked);
+    prevPresetBtn.disabled = locked;
+    nextPresetBtn.disabled = locked;
+    showStatus(locked ? `Preset locked: ${visualizer.presetKeys[visualizer.currentPresetIndex]}` : 'Preset unlocked');
+}
+
+/**
+ * Reflect a preset change made by navigation in the dropdown and browser.
+ * Auto-rotate keeps running (and keeps flashing names) if it was on.
+ */
+function syncPresetControls() {
+    const presetName = visualizer.presetKeys[visualizer.currentPresetIndex];
+    if (!visualizer.isAutoRotating) {
+        presetSelect.value = presetName;
+        showStatus(`Preset: ${presetName}`);
+        saveSettings();
+    }
+    markCurrentPreset(presetName);
+}
+
+/**
+ * Load a preset picked in the browser, leaving auto-rotate
+ */
+function selectPreset(presetName) {
+    visualizer.setPreset(presetName);
+    presetSelect.value = presetName;
+    markCurrentPreset(presetName);
+    showStatus(`Preset: ${presetName}`);
+    saveSettings();
+}
+
+/**
+ * Switch visualization type and show the controls that apply to it
+ */
+function setVisualizationType(type) {
+    applyVisualizationType(type);
+    showStatus(`Visualization: ${vizTypeSelect.options[vizTypeSelect.selectedIndex].text}`);
+    saveSettings();
+}
+
+function applyVisualizationType(type) {
+    vizTypeSelect.value = type;
+    visualizer.setType(type);
+
+    // Toggle controls based on type
+    if (type === 'milkdrop') {
+        colorControl.style.display = 'none';
+        presetControl.style.display = 'flex';
+    } else {
+        colorControl.style.display = 'flex';
+        presetControl.style.display = 'none';
+    }
+    const mode = Visualizer.getMode(type);
+    scopeControl.style.display = mode && mode.usesScopeMode ? 'flex' : 'none';
+    spectrogramControl.style.display = mode && mode.usesSpectrogramView ? 'flex' : 'none';
+}
+
+/**
+ * Fill the visualization menu from the registered modes
+ */
+function renderVizTypeOptions() {
+    vizTypeSelect.innerHTML = '';
+    Visualizer.getModes().forEach(({ id, label }) => {
+        vizTypeSelect.add(new Option(label, id));
+    });
+    vizTypeSelect.value = visualizer.type;
+}
+
+function selectModeByNumber(number) {
+    const mode = Visualizer.getModes()[number - 1];
+    if (mode) {
+        setVisualizationType(mode.id);
+    }
+}
+
+/**
+ * Apply loaded settings (see SettingsStore) to the visualizer and controls.
+ * Names the app doesn't know, like a removed preset, fall back to defaults.
+ */
+function restoreSettings(saved) {
+    const defaults = SettingsStore.defaults;
+    const hasOption = (select, value) => Array.from(select.options).some(option => option.value === String(value));
+
+    applyVisualizationType(hasOption(vizTypeSelect, saved.vizType) ? saved.vizType : defaults.vizType);
+
+    selectPalette(hasOption(colorSchemeSelect, saved.colorScheme) ? saved.colorScheme : defaults.colorScheme);
+    scopeModeSelect.value = saved.scopeMode;
+    visualizer.setScopeMode(saved.scopeMode);
+    spectrogramViewSelect.value = saved.spectrogramView;
+    visualizer.setSpectrogramView(saved.spectrogramView);
+
+    // Links may carry timings the dropdowns don't list
+    if (!hasOption(rotateIntervalSelect, saved.rotateInterval)) {
+        rotateIntervalSelect.add(new Option(`${saved.rotateInterval} s`, saved.rotateInterval));
+    }
+    if (!hasOption(blendTimeSelect, saved.blendTime)) {
+        blendTimeSelect.add(new Option(`${saved.blendTime} s`, saved.blendTime));
+    }
+    rotateIntervalSelect.value = saved.rotateInterval;
+    rotateOrderSelect.value = saved.rotateOrder;
+    blendTimeSelect.value = saved.blendTime;
+    rotationSourceSelect.value = saved.rotationSource;
+    visualizer.setAutoRotateSettings({
+        interval: saved.rotateInterval,
+        order: saved.rotateOrder,
+        blendTime: saved.blendTime
+    });
+    visualizer.setRotationSource(saved.rotationSource);
+    presetSelect.querySelector('option[value="auto"]').text = `Auto-Rotate (${saved.rotateInterval}s)`;
+
+    if (!hasOption(barCountSelect, saved.barCount)) {
+        barCountSelect.add(new Option(saved.barCount, saved.barCount));
+    }
+    visualizer.setBarSettings({
+        count: saved.barCount,
+        gap: saved.barGap,
+        layout: saved.barLayout,
+        attack: saved.barAttack,
+        decay: saved.barDecay,
+        peaks: saved.peakCaps,
+        gravity: saved.peakGravity
+    });
+    renderBarSettings();
+
+    updateAnalysisSettings({
+        fftSize: saved.fftSize,
+        smoothing: saved.smoothing,
+        minDecibels: saved.minDecibels,
+        maxDecibels: saved.maxDecibels,
+        scale: saved.scale,
+        bandCount: saved.bandCount,
+        gain: saved.gain
+    });
+
+    if (saved.preset !== 'auto') {
+        if (visualizer.presets[saved.preset]) {
+            applyPresetSetting(saved.preset);
+        } else {
+            // Possibly a custom preset that is still loading
+            pendingPreset = saved.preset;
+        }
+    }
+}
+
+function applyPresetSetting(presetName) {
+    visualizer.setPreset(presetName);
+    presetSelect.value = presetName;
+}
+
+function currentSettings() {
+    return {
+        vizType: visualizer.type,
+        colorScheme: visualizer.colorScheme,
+        scopeMode: visualizer.scopeMode,
+        spectrogramView: visualizer.spectrogramView,
+        barCount: visualizer.barSettings.count,
+        barGap: visualizer.barSettings.gap,
+        barLayout: visualizer.barSettings.layout,
+        barAttack: visualizer.barSettings.attack,
+        barDecay: visualizer.barSettings.decay,
+        peakCaps: visualizer.barSettings.peaks,
+        peakGravity: visualizer.barSettings.gravity,
+        preset: visualizer.isAutoRotating ? 'auto' : visualizer.presetKeys[visualizer.currentPresetIndex],
+        rotateInterval: visualizer.rotateInterval,
+        rotateOrder: visualizer.rotateOrder,
+        blendTime: visualizer.blendTime,
+        rotationSource: visualizer.rotationSource,
+        fftSize: analysisSettings.fftSize,
+        smoothing: analysisSettings.smoothing,
+        minDecibels: analysisSettings.minDecibels,
+        maxDecibels: analysisSettings.maxDecibels,
+        scale: analysisSettings.scale,
+        bandCount: analysisSettings.bandCount,
+        gain: analysisSettings.gain
+    };
+}
+
+/**
+ * Save the current setup and mirror it in the address bar, so the page URL
+ * is always a bookmarkable link to it. Debounced because sliders fire per step.
+ */
+function saveSettings() {
+    if (!settingsStore) return; // Startup, before anything was restored
+
+    syncOutput();
+
+    clearTimeout(saveSettingsTimeout);
+    saveSettingsTimeout = setTimeout(() => {
+        const settings = currentSettings();
+        settingsStore.save(settings);
+        const query = SettingsStore.toQuery(settings);
+        history.replaceState(null, '', query ? `?${query}` : window.location.pathname);
+    }, 300);
+}
+
+async function copySettingsLink() {
+    const query = SettingsStore.toQuery(currentSettings());
+    const url = `${window.location.origin}${window.location.pathname}${query ? `?${query}` : ''}`;
+    try {
+        await navigator.clipboard.writeText(url);
+        showStatus('Link to this setup copied');
+    } catch (error) {
+        console.error('Error copying link:', error);
+        showStatus('Could not copy link');
+    }
+}
+
+/**
+ * Global shortcut handler. Typing in a text field never triggers shortcuts.
+ */
+function handleKeydown(e) {
+    if (rebindingAction) {
+        e.preventDefault();
+        finishRebind(e);
+        return;
+    }
+    if (midiLearnAction && ['Escape', 'Delete', 'Backspace'].includes(e.key)) {
+        e.preventDefault();
+        if (e.key !== 'Escape') {
+            midiMap.clear(midiLearnAction);
+        }
+        midiLearnAction = null;
+        renderMidiSettings();
+        return;
+    }
+
+    if (e.key === 'Escape') {
+        // Fullscreen handles its own ESC; this closes whatever overlay is open
+        if (helpOverlay.classList.contains('open')) {
+            toggleHelp();
+        } else {
+            document.querySelectorAll('.side-panel.open').forEach(panel => panel.classList.remove('open'));
+        }
+        return;
+    }
+
+    if (e.ctrlKey || e.metaKey || e.altKey || isEditingTarget(e.target)) return;
+
+    const action = keymap.actionFor(Keymap.keyFromEvent(e));
+    if (!action) return;
+
+    // Also stops Space from clicking whichever button has focus
+    e.preventDefault();
+    if (!e.repeat || action === 'nextPreset' || action === 'previousPreset') {
+        shortcutActions[action]();
+    }
+}
+
+function isEditingTarget(target) {
+    if (target.isContentEditable) return true;
+    if (target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+    return target.tagName === 'INPUT' && target.type !== 'range' && target.type !== 'checkbox';
+}
+
+function toggleControlsHidden() {
+    const hidden = appContainer.classList.toggle('controls-hidden');
+    if (hidden) {
+        showStatus(`Controls hidden – press ${Keymap.describeKey(keymap.getKey('hideControls'))} to show`);
+    }
+}
+
+function toggleHelp() {
+    rebindingAction = null;
+    if (helpOverlay.classList.toggle('open')) {
+        renderShortcutList();
+    }
+}
+
+function renderShortcutList() {
+    shortcutList.innerHTML = '';
+
+    const modes = Visualizer.getModes();
+    Keymap.actions.forEach(action => {
+        // Number keys are listed under the mode they select
+        const modeNumber = /^viz(\d)$/.exec(action.id);
+        const mode = modeNumber && modes[modeNumber[1] - 1];
+        if (modeNumber && !mode) return;
+
+        const item = document.createElement('li');
+
+        const label = document.createElement('span');
+        label.textContent = mode ? mode.label : action.label;
+
+        const keyBtn = document.createElement('button');
+        keyBtn.className = 'key-cap';
+        const listening = rebindingAction === action.id;
+        keyBtn.classList.toggle('listening', listening);
+        keyBtn.textContent = listening ? 'Press a key…' : Keymap.describeKey(keymap.getKey(action.id));
+        keyBtn.setAttribute('aria-label', `Change key for ${action.label}`);
+        keyBtn.addEventListener('click', () => {
+            rebindingAction = action.id;
+            renderShortcutList();
+        });
+
+        item.append(label, keyBtn);
+        shortcutList.appendChild(item);
+    });
+}
 
 /**
- * Main application file - handles microphone input and audio analysis
+ * Take the key pressed while an action is listening as its new binding
  */
+function finishRebind(e) {
+    if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return;
 
-let audioContext;
-let analyser;
-let microphone;
-let mediaStream;
-let dataArray;
-let bufferLength;
-let animationId;
-let visualizer;
-let isRunning = false;
-let audioSourceType = 'microphone'; // 'microphone' or 'file'
-let audioElement = null;
-let fileSource = null;
-
-// DOM elements
-const audioFileInput = document.getElementById('audioFileInput');
-const uploadBtn = document.getElementById('uploadBtn');
-const playPauseBtn = document.getElementById('playPauseBtn');
-const iconPlay = playPauseBtn.querySelector('.icon-play');
-const iconStop = playPauseBtn.querySelector('.icon-stop');
-const vizTypeSelect = document.getElementById('vizType');
-const colorSchemeSelect = document.getElementById('colorScheme');
-const presetSelect = document.getElementById('presetSelect');
-const colorControl = document.getElementById('colorControl');
-const presetControl = document.getElementById('presetControl');
-const statusDiv = document.getElementById('status');
-const canvas = document.getElementById('visualizer');
-const fullscreenBtn = document.getElementById('fullscreenBtn');
-const iconFullscreen = fullscreenBtn.querySelector('.icon-fullscreen');
-const iconWindow = fullscreenBtn.querySelector('.icon-window');
-const fullscreenHint = document.getElementById('fullscreenHint');
-
-// Initialize visualizer
-visualizer = new Visualizer(canvas, null, (presetName) => {
-    // Flash preset name when auto-rotating
-    if (visualizer.isAutoRotating) {
-        const shortName = presetName.length > 50 ? presetName.substring(0, 50) + '...' : presetName;
-        showStatus(shortName);
-    }
-});
-
-// Ensure initial state is Milkdrop
-vizTypeSelect.value = 'milkdrop';
-visualizer.setType('milkdrop');
-colorControl.style.display = 'none';
-presetControl.style.display = 'flex';
-
-// Populate presets
-const presets = visualizer.getPresets();
-Object.keys(presets).forEach(key => {
-    const option = document.createElement('option');
-    option.value = key;
-    option.text = key.length > 50 ? key.substring(0, 50) + '...' : key;
-    presetSelect.appendChild(option);
-});
-
-// Event listeners
-uploadBtn.addEventListener('click', () => audioFileInput.click());
-audioFileInput.addEventListener('change', handleFileUpload);
-playPauseBtn.addEventListener('click', toggleVisualization);
-fullscreenBtn.addEventListener('click', toggleFullscreen);
-
-// Handle select menu arrow rotation and focus states
-document.querySelectorAll('select').forEach(select => {
-    select.addEventListener('change', () => {
-        select.blur();
-        select.classList.remove('menu-open');
-    });
-    
-    select.addEventListener('blur', () => {
-        select.classList.remove('menu-open');
+    const actionId = rebindingAction;
+    rebindingAction = null;
+
+    if (e.key !== 'Escape') {
+        const key = Keymap.keyFromEvent(e);
+        const displaced = keymap.rebind(actionId, key);
+        if (displaced) {
+            const label = Keymap.actions.find(action => action.id === displaced).label;
+            showStatus(`${label} moved to ${Keymap.describeKey(keymap.getKey(displaced))}`);
+        }
+    }
+    renderShortcutList();
+}
+
+async function enableMidi() {
+    try {
+        await midiInput.enable();
+    } catch (error) {
+        console.error('Error enabling MIDI:', error);
+        showStatus('MIDI access was denied');
+    }
+}
+
+/**
+ * Route a raw MIDI message to the action it's mapped to, or to the action
+ * waiting in MIDI learn
+ */
+function handleMidiMessage(data) {
+    const message = MidiMap.parseMessage(data);
+    if (!message) return;
+    const { control, value, pressed } = message;
+
+    if (midiLearnAction) {
+        // Note offs follow every press; only the press itself should bind
+        if (control.type === 'note' && !pressed) return;
+        finishMidiLearn(control);
+        return;
+    }
+
+    const actionId = midiMap.actionFor(control);
+    if (!actionId) return;
+
+    if (MidiMap.getAction(actionId).kind === 'range') {
+        midiActions[actionId](value);
+        return;
+    }
+
+    // Triggers fire on the way down; a CC has to drop back below halfway before it fires again
+    const held = `${control.type}:${control.channel}:${control.number}`;
+    if (!pressed) {
+        midiHeld.delete(held);
+    } else if (!midiHeld.has(held)) {
+        midiHeld.add(held);
+        midiActions[actionId]();
+    }
+}
+
+function finishMidiLearn(control) {
+    const action = MidiMap.getAction(midiLearnAction);
+    if (action.kind === 'range' && control.type !== 'cc') {
+        showStatus(`${action.label} needs a knob or fader`);
+        return;
+    }
+
+    midiLearnAction = null;
+    const displaced = midiMap.learn(action.id, control);
+    if (displaced) {
+        showStatus(`${MidiMap.describeControl(control)} moved from ${MidiMap.getAction(displaced).label} to ${action.label}`);
+    } else {
+        showStatus(`${action.label} mapped to ${MidiMap.describeControl(control)}`);
+    }
+    renderMidiSettings();
+}
+
+function renderMidiSettings() {
+    if (!MidiInput.isSupported()) {
+        midiStatus.textContent = 'Web MIDI is not supported in this browser.';
+        midiEnableBtn.disabled = true;
+    } else if (midiInput.isEnabled) {
+        const names = midiInput.inputNames;
+        midiStatus.textContent = names.length > 0 ? `Connected: ${names.join(', ')}` : 'No MIDI devices connected.';
+        midiEnableBtn.disabled = true;
+    }
+
+    midiList.innerHTML = '';
+    const modes = Visualizer.getModes();
+    MidiMap.actions.forEach(action => {
+        // Like the shortcut list, visualizations show under their own names
+        const modeNumber = /^viz(\d)$/.exec(action.id);
+        const mode = modeNumber && modes[modeNumber[1] - 1];
+        if (modeNumber && !mode) return;
+
+        const item = document.createElement('li');
+
+        const label = document.createElement('span');
+        label.textContent = mode ? mode.label : action.label;
+
+        const controlBtn = document.createElement('button');
+        controlBtn.className = 'key-cap';
+        const listening = midiLearnAction === action.id;
+        controlBtn.classList.toggle('listening', listening);
+        if (listening) {
+            controlBtn.textContent = action.kind === 'range' ? 'Move a knob…' : 'Press a pad…';
+        } else {
+            controlBtn.textContent = MidiMap.describeControl(midiMap.getControl(action.id));
+        }
+        controlBtn.setAttribute('aria-label', `Map a MIDI control to ${action.label}`);
+        controlBtn.addEventListener('click', async () => {
+            midiLearnAction = listening ? null : action.id;
+            renderMidiSettings();
+            if (midiLearnAction && !midiInput.isEnabled) {
+                await enableMidi();
+            }
+        });
+
+        item.append(label, controlBtn);
+        midiList.appendChild(item);
     });
-    
-    select.addEventListener('click', () => {
-        select.classList.toggle('menu-open');
+}
+
+function nextColorScheme() {
+    const palettes = paletteLibrary.list();
+    const index = palettes.findIndex(palette => palette.id === visualizer.colorScheme);
+    const palette = palettes[(index + 1) % palettes.length];
+    selectPalette(palette.id);
+    showStatus(`Color: ${palette.name}`);
+    saveSettings();
+}
+
+/**
+ * Spread the palettes over the knob's travel
+ */
+function setColorSchemeFromMidi(value) {
+    const palettes = paletteLibrary.list();
+    const palette = palettes[Math.min(palettes.length - 1, Math.floor(value * palettes.length))];
+    if (palette.id === visualizer.colorScheme) return;
+    selectPalette(palette.id);
+    showStatus(`Color: ${palette.name}`);
+    saveSettings();
+}
+
+/**
+ * Snap to the Transition menu's steps
+ */
+function setBlendTimeFromMidi(value) {
+    const option = blendTimeSelect.options[Math.round(value * (blendTimeSelect.options.length - 1))];
+    if (option.value === blendTimeSelect.value) return;
+    blendTimeSelect.value = option.value;
+    visualizer.setAutoRotateSettings({ blendTime: Number(option.value) });
+    showStatus(`Transition: ${option.text}`);
+    saveSettings();
+}
+
+/**
+ * -24 to +24 dB over the knob's travel
+ */
+function setGainFromMidi(value) {
+    const gain = Math.round(value * 48 - 24);
+    if (gain === analysisSettings.gain) return;
+    updateAnalysisSettings({ gain });
+    showStatus(`Input gain: ${formatGain(gain)}`);
+}
+
+/**
+ * Open a side panel, closing any other one
+ */
+function togglePanel(panel) {
+    document.querySelectorAll('.side-panel.open').forEach(open => {
+        if (open !== panel) open.classList.remove('open');
     });
-});
+    panel.classList.toggle('open');
+}
 
-vizTypeSelect.addEventListener('change', (e) => {
-    const type = e.target.value;
-    visualizer.setType(type);
-    
-    // Toggle controls based on type
-    if (type === 'milkdrop') {
-        colorControl.style.display = 'none';
-        presetControl.style.display = 'flex';
-    } else {
-        colorControl.style.display = 'flex';
-        presetControl.style.display = 'none';
+/**
+ * Merge changed analysis settings and apply them to the live analyser
+ */
+function updateAnalysisSettings(changes) {
+    analysisSettings = { ...analysisSettings, ...changes };
+
+    // The analyser throws unless min stays below max, so push the other end along
+    const gap = 10;
+    if (analysisSettings.maxDecibels - analysisSettings.minDecibels < gap) {
+        if ('minDecibels' in changes) {
+            analysisSettings.maxDecibels = analysisSettings.minDecibels + gap;
+        } else {
+            analysisSettings.minDecibels = analysisSettings.maxDecibels - gap;
+        }
     }
-    
-    showStatus(`Visualization: ${e.target.options[e.target.selectedIndex].text}`);
-});
-
-colorSchemeSelect.addEventListener('change', (e) => {
-    visualizer.setColorScheme(e.target.value);
-    showStatus(`Color: ${e.target.options[e.target.selectedIndex].text}`);
-});
-
-presetSelect.addEventListener('change', (e) => {
-    visualizer.setPreset(e.target.value);
-    if (e.target.value === 'auto') {
-        showStatus('Auto-rotating presets (15s)');
-    } else {
-        showStatus(`Preset: ${e.target.value}`);
+
+    frequencyBinner.setScale(analysisSettings.scale);
+    frequencyBinner.setBandCount(analysisSettings.bandCount);
+    applyAnalysisSettings();
+    renderAnalysisSettings();
+    saveSettings();
+}
+
+function applyAnalysisSettings() {
+    if (analysis) {
+        analysis.applySettings(analysisSettings);
     }
-});
+}
+
+function formatGain(gain) {
+    return `${gain > 0 ? '+' : ''}${gain} dB`;
+}
+
+function renderAnalysisSettings() {
+    fftSizeSelect.value = analysisSettings.fftSize;
+    smoothingInput.value = analysisSettings.smoothing;
+    smoothingInput.nextElementSibling.textContent = analysisSettings.smoothing.toFixed(2);
+    minDecibelsInput.value = analysisSettings.minDecibels;
+    minDecibelsInput.nextElementSibling.textContent = `${analysisSettings.minDecibels} dB`;
+    maxDecibelsInput.value = analysisSettings.maxDecibels;
+    maxDecibelsInput.nextElementSibling.textContent = `${analysisSettings.maxDecibels} dB`;
+    frequencyScaleSelect.value = analysisSettings.scale;
+    bandCountInput.value = analysisSettings.bandCount;
+    bandCountInput.nextElementSibling.textContent = analysisSettings.bandCount;
+    bandCountRow.style.display = analysisSettings.scale === 'log' ? '' : 'none';
+    inputGainInput.value = analysisSettings.gain;
+    inputGainInput.nextElementSibling.textContent = formatGain(analysisSettings.gain);
+}
 
 /**
- * Handle file upload
+ * Merge changed bar settings into the visualizer
  */
-function handleFileUpload(e) {
-    const file = e.target.files[0];
-    if (!file) return;
+function updateBarSettings(changes) {
+    visualizer.setBarSettings(changes);
+    renderBarSettings();
+    saveSettings();
+}
 
-    // Stop current visualization
-    if (isRunning) {
-        stopVisualization();
+function renderBarSettings() {
+    const bars = visualizer.barSettings;
+    barCountSelect.value = bars.count;
+    barGapInput.value = bars.gap;
+    barGapInput.nextElementSibling.textContent = `${bars.gap} px`;
+    barLayoutSelect.value = bars.layout;
+    barAttackInput.value = bars.attack;
+    barAttackInput.nextElementSibling.textContent = bars.attack > 0 ? `${bars.attack} ms` : 'Instant';
+    barDecayInput.value = bars.decay;
+    barDecayInput.nextElementSibling.textContent = bars.decay > 0 ? `${bars.decay} ms` : 'Instant';
+    peakCapsSelect.value = bars.peaks;
+    peakGravityInput.value = bars.gravity;
+    peakGravityInput.nextElementSibling.textContent = bars.gravity.toFixed(1);
+    peakGravityRow.style.display = bars.peaks === 'on' ? '' : 'none';
+}
+
+/**
+ * Merge changed overlay settings. Returns false if they couldn't be saved.
+ */
+function updateOverlay(changes) {
+    const saved = overlay.update(changes);
+    // Bring the track info back up so the change can be seen
+    if (overlay.track) {
+        overlay.showTrack(overlay.track);
+    }
+    renderOverlaySettings();
+    if (outputWindows.size > 0) {
+        outputLink.send('overlay', { settings: overlay.settings });
+        sendOutputTrack();
     }
+    return saved;
+}
 
-    // Clean up previous audio element if exists
-    if (audioElement) {
-        audioElement.pause();
-        audioElement.src = '';
-        audioElement = null;
+function renderOverlaySettings() {
+    const settings = overlay.settings;
+    overlayTrackInfoSelect.value = settings.trackInfo;
+    overlayHoldInput.value = settings.holdSeconds;
+    overlayHoldInput.nextElementSibling.textContent = `${settings.holdSeconds} s`;
+    overlayHoldRow.style.display = settings.trackInfo === 'fade' ? '' : 'none';
+    overlayTrackPositionSelect.value = settings.trackPosition;
+    overlayCoverSelect.value = settings.showCover ? 'on' : 'off';
+    overlayTextSizeSelect.value = settings.textSize;
+    overlayTextColorInput.value = settings.textColor;
+    if (overlayCustomTextInput.value !== settings.customText) {
+        overlayCustomTextInput.value = settings.customText;
     }
+    overlayCustomPositionSelect.value = settings.customPosition;
+    removeLogoBtn.disabled = !settings.logo;
+}
 
-    audioSourceType = 'file';
-    audioElement = new Audio(URL.createObjectURL(file));
-    audioElement.loop = true; // Loop the song
-    
-    showStatus(`Loaded: ${file.name}`);
-    
-    // Start visualization with new file
-    startVisualization();
+/**
+ * Redraw the overlay canvas at the visualizer's size
+ */
+function renderOverlay() {
+    if (overlayCanvas.width !== visualizer.width || overlayCanvas.height !== visualizer.height) {
+        overlayCanvas.width = visualizer.width;
+        overlayCanvas.height = visualizer.height;
+    }
+    overlayCtx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
+    overlay.draw(overlayCtx, overlayCanvas.width, overlayCanvas.height);
 }
 
 /**
- * Toggle visualization state
+ * Give the visualizer the render scale and mesh size the monitor settled on
  */
-function toggleVisualization() {
-    if (isRunning) {
-        if (audioSourceType === 'file' && audioElement) {
-            audioElement.pause();
-            isRunning = false;
-            iconPlay.style.display = 'inline';
-            iconStop.style.display = 'none';
-            playPauseBtn.setAttribute('data-tooltip', 'Resume Visualization');
-            showStatus('Paused');
-            if (animationId) {
-                cancelAnimationFrame(animationId);
-                animationId = null;
+function applyRenderQuality() {
+    const { width, height } = visualizer;
+    visualizer.setRenderQuality(performanceMonitor.quality);
+    if (visualizer.width !== width || visualizer.height !== height) {
+        renderOverlay();
+    }
+}
+
+function renderPerformanceSettings() {
+    const { renderScale, fpsCap, adaptive, showStats, offscreen } = performanceMonitor.settings;
+    renderScaleInput.value = Math.round(renderScale * 100);
+    renderScaleInput.nextElementSibling.textContent = `${Math.round(renderScale * 100)}%`;
+    fpsCapSelect.value = fpsCap;
+    adaptiveQualitySelect.value = adaptive ? 'on' : 'off';
+    showStatsSelect.value = showStats ? 'on' : 'off';
+    renderThreadSelect.value = offscreen ? 'worker' : 'main';
+    renderThreadSelect.disabled = !Visualizer.supportsOffscreen();
+    renderPerformanceStats();
+}
+
+/**
+ * FPS, frame time, draw time and the resolution currently rendered
+ */
+function renderPerformanceStats() {
+    perfStats.classList.toggle('hidden', !performanceMonitor.settings.showStats);
+    if (!performanceMonitor.settings.showStats) return;
+
+    const { stats, level } = performanceMonitor;
+    if (!isRunning || !stats) {
+        perfStats.textContent = '– fps';
+        return;
+    }
+
+    const resolution = [`${visualizer.width}×${visualizer.height}`];
+    if (visualizer.type === 'milkdrop') {
+        resolution.push(`mesh ${visualizer.meshSize.width}×${visualizer.meshSize.height}`);
+    } else if (visualizer.renderTarget === 'worker') {
+        // Main-thread draw time leaves out the worker's share
+        resolution.push('worker');
+    }
+    if (level > 0) {
+        resolution.push(`auto −${level}`);
+    }
+    perfStats.textContent = [
+        `${Math.round(stats.fps)} fps  ${stats.frameTime.toFixed(1)} ms (worst ${stats.worstFrameTime.toFixed(1)})`,
+        `draw ${stats.workTime.toFixed(1)} ms`,
+        resolution.join(' · ')
+    ].join('\n');
+}
+
+/**
+ * Tags and cover art for a track, read once and cached
+ */
+function readTrackInfo(track) {
+    if (!trackInfo.has(track)) {
+        trackInfo.set(track, TagReader.read(track.file).then(async (tags) => {
+            // Browsers can't decode every embedded image format; go without a cover then
+            const cover = tags.picture ? await createImageBitmap(tags.picture).catch(() => null) : null;
+            return { title: tags.title || track.name, artist: tags.artist, album: tags.album, picture: tags.picture, cover };
+        }));
+    }
+    return trackInfo.get(track);
+}
+
+/**
+ * Put a track's info on the overlay once its tags have been read
+ */
+async function showTrackOverlay(track) {
+    const info = await readTrackInfo(track);
+    // Another track may have started while the tags were being read
+    if (playlist.current() === track && audioSourceType === 'file') {
+        overlay.showTrack(info);
+        sendOutputTrack();
+    }
+}
+
+/**
+ * Scene settings shared by output windows and offline exports
+ */
+function currentScene() {
+    return {
+        type: visualizer.type,
+        palette: visualizer.palette.definition,
+        scopeMode: visualizer.scopeMode,
+        spectrogramView: visualizer.spectrogramView,
+        bars: visualizer.barSettings,
+        presetName: visualizer.presetKeys[visualizer.currentPresetIndex]
+    };
+}
+
+/**
+ * Open an output window, or close the open ones
+ */
+function toggleOutputWindow() {
+    if (outputWindows.size > 0) {
+        outputLink.send('close');
+        return;
+    }
+    const popup = window.open('output.html', 'retroviz-output', 'popup,width=1280,height=720');
+    if (!popup) {
+        showStatus('Pop-up blocked – allow pop-ups to open the output window');
+    }
+}
+
+function handleOutputMessage(message) {
+    switch (message.type) {
+        case 'hello': {
+            const isNew = !outputWindows.has(message.id);
+            outputWindows.set(message.id, { width: message.width, height: message.height });
+            updateOutputState();
+            // Full state for the newcomer; windows already in sync just get it again
+            syncOutput({ presets: true });
+            outputLink.send('overlay', { settings: overlay.settings });
+            sendOutputTrack();
+            if (isNew) showStatus('Output window connected');
+            break;
+        }
+        case 'resize':
+            outputWindows.set(message.id, { width: message.width, height: message.height });
+            updateOutputState();
+            break;
+        case 'bye':
+            if (outputWindows.delete(message.id)) {
+                updateOutputState();
+                showStatus('Output window closed');
             }
-        } else {
-            stopVisualization();
+            break;
+    }
+}
+
+/**
+ * Shrink the main view to a preview shaped like the output while one is
+ * open, rendering only the preview's pixels. While recording it renders
+ * in that shape at no less than the window's size instead, as recordings
+ * are copied from this canvas.
+ */
+function updateOutputState() {
+    const active = outputWindows.size > 0;
+    appContainer.classList.toggle('output-active', active);
+    popOutBtn.classList.toggle('active', active);
+    popOutBtn.setAttribute('data-tooltip', active ? 'Close Output Window' : 'Pop Out Output Window');
+
+    const [size] = outputWindows.values();
+    const aspect = active && size.width && size.height ? size.width / size.height : 16 / 9;
+    visualizerContainer.style.aspectRatio = active ? `${aspect}` : '';
+    visualizer.setDisplaySize(active ? previewSize(aspect) : null);
+    renderOverlay();
+}
+
+/**
+ * CSS size to render the preview at for an output `aspect` (width / height)
+ */
+function previewSize(aspect) {
+    const width = recorder.isRecording ? Math.max(window.innerWidth, window.innerHeight * aspect) : PREVIEW_WIDTH;
+    return { width: Math.round(width), height: Math.round(width / aspect) };
+}
+
+/**
+ * Send the current scene to output windows. Custom presets can be large,
+ * so they only go along when asked for.
+ */
+function syncOutput({ presets = false } = {}) {
+    if (outputWindows.size === 0) return;
+
+    outputLink.send('scene', {
+        scene: {
+            ...currentScene(),
+            blendTime: visualizer.blendTime,
+            sampleRate: audioContext ? audioContext.sampleRate : 48000,
+            performance: performanceMonitor.settings,
+            customPresets: presets ? visualizer.getCustomPresets() : null
         }
-    } else {
-        startVisualization();
+    });
+}
+
+function sendOutputTrack() {
+    if (outputWindows.size === 0) return;
+
+    // The cover goes as its image Blob; output windows decode their own bitmap
+    const info = overlay.track && { ...overlay.track, cover: null };
+    outputLink.send('track', { info, elapsed: performance.now() / 1000 - overlay.trackShownAt });
+}
+
+/**
+ * Start or finish a WebM recording of the canvas and current audio
+ */
+async function toggleRecording() {
+    if (recorder.isRecording) {
+        await finishRecording();
+        return;
+    }
+
+    if (!isRunning) {
+        showStatus('Start the visualization to record');
+        return;
+    }
+
+    const [width, height] = recordResolutionSelect.value === 'window'
+        ? [window.innerWidth, window.innerHeight]
+        : recordResolutionSelect.value.split('x').map(Number);
+
+    try {
+        recorder.start(audioContext, audioSourceType === 'file' ? fileSource : streamSource, {
+            width,
+            height,
+            videoBitsPerSecond: Number(recordBitrateSelect.value)
+        });
+        showStatus(`Recording ${recorder.canvas.width}×${recorder.canvas.height}`);
+    } catch (error) {
+        console.error('Error starting recording:', error);
+        showStatus(`Error: ${error.message}`);
+    }
+}
+
+async function finishRecording() {
+    const blob = await recorder.stop();
+    if (!blob) return;
+
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+    downloadBlob(blob, `retroviz-${stamp}.webm`);
+    showStatus('Recording saved');
+}
+
+/**
+ * Render the current track offline to a video file, or cancel a running export
+ */
+async function exportTrack() {
+    if (offlineRenderer.isRendering) {
+        offlineRenderer.cancel();
+        return;
+    }
+
+    const track = playlist.current();
+    if (!track) {
+        showStatus('Load a track to export');
+        return;
+    }
+
+    const filename = `${track.name}.webm`;
+    let writable = null;
+    // Stream to disk where possible; long 4K renders don't fit in memory
+    if (window.showSaveFilePicker) {
+        try {
+            const handle = await window.showSaveFilePicker({
+                suggestedName: filename,
+                types: [{ description: 'WebM video', accept: { 'video/webm': ['.webm'] } }]
+            });
+            writable = await handle.createWritable();
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Error opening export file:', error);
+                showStatus(`Error: ${error.message}`);
+            }
+            return;
+        }
+    }
+
+    const [width, height] = exportResolutionSelect.value.split('x').map(Number);
+    exportBtn.textContent = 'Cancel Export';
+
+    try {
+        const blob = await offlineRenderer.render(track.file, {
+            width,
+            height,
+            fps: Number(exportFpsSelect.value),
+            videoBitsPerSecond: Number(exportBitrateSelect.value),
+            scene: {
+                ...currentScene(),
+                customPresets: visualizer.getCustomPresets(),
+                autoRotate: visualizer.isAutoRotating,
+                rotation: {
+                    interval: visualizer.rotateInterval,
+                    order: visualizer.rotateOrder,
+                    blendTime: visualizer.blendTime
+                },
+                presetLibrary,
+                rotationSource: visualizer.rotationSource,
+                overlay,
+                track: await readTrackInfo(track)
+            },
+            analysis: analysisSettings,
+            writable
+        });
+        if (blob) {
+            downloadBlob(blob, filename);
+        }
+        showStatus(`Exported: ${filename}`);
+    } catch (error) {
+        console.error('Error exporting video:', error);
+        showStatus(offlineRenderer.cancelled ? 'Export cancelled' : `Export failed: ${error.message}`);
+    } finally {
+        exportBtn.textContent = 'Render Current Track';
     }
 }
 
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Give the download a moment to start before releasing the data
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
 /**
  * Start the visualization
  */
-async function startVisualization() {
+export async function startVisualization() {
     try {
         if (!audioContext) {
             audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            analyser = audioContext.createAnalyser();
-            analyser.fftSize = 256;
-            bufferLength = analyser.frequencyBinCount;
-            dataArray = new Uint8Array(bufferLength);
+            analysis = new AnalysisGraph(audioContext, analysisSettings);
         }
 
         if (audioContext.state === 'suspended') {
             await audioContext.resume();
         }
 
-        if (audioSourceType === 'microphone') {
+        if (audioSourceType === 'microphone' || audioSourceType === 'display') {
             if (!mediaStream) {
-                showStatus('Requesting microphone access...');
-                mediaStream = await navigator.mediaDevices.getUserMedia({ 
-                    audio: {
-                        echoCancellation: false,
-                        noiseSuppression: false,
-                        autoGainControl: false
-                    } 
-                });
-                microphone = audioContext.createMediaStreamSource(mediaStream);
-                microphone.connect(analyser);
+                mediaStream = await openInputStream();
+                streamSource = audioContext.createMediaStreamSource(mediaStream);
+                analysis.connect(streamSource);
             }
-            visualizer.initButterchurn(audioContext, microphone);
-            showStatus('Microphone Active');
+            visualizer.initButterchurn(audioContext, analysis.input);
+            showStatus(audioSourceType === 'display' ? 'Tab Audio Active' : 'Microphone Active');
         } else if (audioSourceType === 'file') {
-            if (!audioElement) {
+            const track = playlist.current();
+            if (!track) {
                 showStatus('No file loaded');
                 return;
             }
             
             if (!fileSource) {
-                fileSource = audioContext.createMediaElementSource(audioElement);
-                fileSource.connect(analyser);
-                analyser.connect(audioContext.destination); // Connect to speakers
+                setupFileGraph();
+            }
+            if (audioElement.src !== track.url) {
+                loadTrack(track);
             }
             
-            visualizer.initButterchurn(audioContext, fileSource);
+            visualizer.initButterchurn(audioContext, analysis.input);
             await audioElement.play();
-            showStatus('Playing Audio');
+            showStatus(`Playing: ${track.name}`);
+            showTrackOverlay(track);
         }
         
         // Update UI
         isRunning = true;
+        updateTransport();
         iconPlay.style.display = 'none';
         iconStop.style.display = 'inline';
         playPauseBtn.setAttribute('data-tooltip', 'Stop Visualization');
@@ -234,22 +2723,27 @@ async function startVisualization() {
 /**
  * Stop the visualization
  */
-function stopVisualization() {
+export function stopVisualization() {
     isRunning = false;
+
+    // The audio graph may be torn down below, so end the take here
+    if (recorder.isRecording) {
+        finishRecording();
+    }
     
     if (animationId) {
         cancelAnimationFrame(animationId);
         animationId = null;
     }
     
-    if (audioSourceType === 'microphone') {
+    if (audioSourceType !== 'file') {
         if (mediaStream) {
             mediaStream.getTracks().forEach(track => track.stop());
             mediaStream = null;
         }
-        if (microphone) {
-            microphone.disconnect();
-            microphone = null;
+        if (streamSource) {
+            streamSource.disconnect();
+            streamSource = null;
         }
     } else if (audioSourceType === 'file') {
         if (audioElement) {
@@ -259,15 +2753,31 @@ function stopVisualization() {
     }
     
     // We don't close audioContext anymore to allow reuse, just suspend if needed or leave open
-    // But to be safe and reset state completely for mic:
-    if (audioSourceType === 'microphone' && audioContext) {
+    // But to be safe and reset state completely for mic and tab capture:
+    if (audioSourceType !== 'file' && audioContext) {
         audioContext.close();
         audioContext = null;
-        analyser = null;
+        analysis = null;
+        // Media elements can't be rebound to a new context, so drop the decks too
+        if (fileSource) {
+            unloadDecks();
+            fileSource = null;
+            outputGain = null;
+            audioElement = null;
+            standbyElement = null;
+        }
     }
 
-    // Clear canvas
+    beatDetector.reset();
+
+    // Clear canvas; custom text and logo stay up
     visualizer.clear();
+    overlay.showTrack(null);
+    renderOverlay();
+    renderPerformanceStats();
+    if (outputWindows.size > 0) {
+        outputLink.send('stop');
+    }
     
     // Update UI
     iconPlay.style.display = 'inline';
@@ -279,16 +2789,39 @@ function stopVisualization() {
 /**
  * Animation loop for continuous visualization
  */
-function animate() {
+function animate(now = performance.now()) {
     if (!isRunning) return;
     
     animationId = requestAnimationFrame(animate);
+
+    // Under an FPS cap, skip display frames until the next one is due
+    if (!performanceMonitor.due(now)) return;
+    const frameStart = performance.now();
     
     // Get frequency data
-    analyser.getByteFrequencyData(dataArray);
+    analysis.update();
+    beatDetector.update(analysis.frequencyData, audioContext.sampleRate, audioContext.currentTime);
+    const bands = frequencyBinner.map(analysis.frequencyData, audioContext.sampleRate);
     
     // Draw visualization
-    visualizer.draw(dataArray, bufferLength);
+    const frame = {
+        waveform: analysis.waveform,
+        stereo: frequencyBinner.mapStereo(analysis.stereoFrequencyData, audioContext.sampleRate),
+        bandFrequencies: frequencyBinner.getBandFrequencies(analysis.frequencyData.length, audioContext.sampleRate),
+        energy: beatDetector.getEnergies()
+    };
+    visualizer.draw(bands, bands.length, frame);
+    if (outputWindows.size > 0) {
+        // Posting copies the arrays, so reusing them next frame is safe
+        outputLink.send('frame', { frame: { bands, ...frame } });
+    }
+    renderOverlay();
+    recorder.captureFrame(visualizer.canvas, overlayCanvas);
+
+    if (performanceMonitor.frame(now, performance.now() - frameStart)) {
+        applyRenderQuality();
+        renderPerformanceStats();
+    }
 }
 
 let statusTimeout;
@@ -325,32 +2858,3 @@ function toggleFullscreen() {
     }
 }
 
-// Listen for fullscreen changes to update UI if needed (e.g. ESC key)
-document.addEventListener('fullscreenchange', () => {
-    if (!document.fullscreenElement) {
-        fullscreenHint.classList.remove('visible');
-        iconFullscreen.style.display = 'inline';
-        iconWindow.style.display = 'none';
-        fullscreenBtn.setAttribute('data-tooltip', 'Enter Fullscreen');
-    } else {
-        iconFullscreen.style.display = 'none';
-        iconWindow.style.display = 'inline';
-        fullscreenBtn.setAttribute('data-tooltip', 'Exit Fullscreen');
-    }
-});
-
-// Handle page visibility changes
-document.addEventListener('visibilitychange', () => {
-    if (document.hidden && isRunning) {
-        cancelAnimationFrame(animationId);
-        animationId = null;
-    } else if (!document.hidden && isRunning && !animationId) {
-        animate();
-    }
-});
-
-// Clean up on page unload
-window.addEventListener('beforeunload', () => {
-    stopVisualization();
-});
-
@@ -0,0 +1,89 @@
+const PEAK_HOLD_SECONDS = 0.4; // How long a cap rests before it starts to fall
+
+/**
+ * BarMeter class - the memory behind the bar modes.
+ *
+ * Regroups a frame of frequency data into a fixed number of bars, smooths
+ * each bar with separate attack and decay times and keeps falling peak caps.
+ * Levels and peaks are 0..1. Settings are the visualizer's barSettings:
+ *   count    bars to show, 0 = one per band
+ *   gap      pixels between bars
+ *   layout   'normal', 'mirrored' (up and down from the middle) or 'center-out'
+ *   attack   rise time constant in ms, 0 = instant
+ *   decay    fall time constant in ms, 0 = instant
+ *   peaks    'on' or 'off'
+ *   gravity  cap acceleration in bar heights per second squared
+ */
+class BarMeter {
+    constructor() {
+        this.count = 0;
+        this.levels = new Float32Array(0);
+        this.peaks = new Float32Array(0);
+        this.peakVelocity = new Float32Array(0);
+        this.peakHold = new Float32Array(0);
+    }
+
+    update(frequencyData, bufferLength, settings, deltaTime) {
+        const count = settings.count > 0 ? settings.count : bufferLength;
+        if (count !== this.count) {
+            this.count = count;
+            this.levels = new Float32Array(count);
+            this.peaks = new Float32Array(count);
+            this.peakVelocity = new Float32Array(count);
+            this.peakHold = new Float32Array(count);
+        }
+
+        const attack = settings.attack > 0 ? 1 - Math.exp(-deltaTime * 1000 / settings.attack) : 1;
+        const decay = settings.decay > 0 ? 1 - Math.exp(-deltaTime * 1000 / settings.decay) : 1;
+        const perBar = bufferLength / count;
+
+        for (let b = 0; b < count; b++) {
+            // Loudest band under this bar; bars narrower than a band repeat it
+            const start = Math.floor(b * perBar);
+            const end = Math.max(start + 1, Math.floor((b + 1) * perBar));
+            let target = 0;
+            for (let i = start; i < end && i < bufferLength; i++) {
+                if (frequencyData[i] > target) target = frequencyData[i];
+            }
+            target /= 255;
+
+            const level = this.levels[b];
+            this.levels[b] = level + (target - level) * (target > level ? attack : decay);
+
+            if (this.levels[b] >= this.peaks[b]) {
+                this.peaks[b] = this.levels[b];
+                this.peakVelocity[b] = 0;
+                this.peakHold[b] = PEAK_HOLD_SECONDS;
+            } else if (this.peakHold[b] > 0) {
+                this.peakHold[b] -= deltaTime;
+            } else {
+                this.peakVelocity[b] += settings.gravity * deltaTime;
+                this.peaks[b] = Math.max(this.levels[b], this.peaks[b] - this.peakVelocity[b] * deltaTime);
+            }
+        }
+    }
+
+    /**
+     * Call `callback(x, barWidth, index)` for every bar across `width`.
+     * Center-out draws each bar twice, lows in the middle spreading outward.
+     */
+    forEachBar(width, { gap, layout }, callback) {
+        const centerOut = layout === 'center-out';
+        const slot = (centerOut ? width / 2 : width) / this.count;
+        // Never let the gap swallow the bar
+        const space = Math.min(gap, slot - 1);
+        const barWidth = Math.max(1, slot - Math.max(0, space));
+        const offset = Math.max(0, space) / 2;
+
+        for (let i = 0; i < this.count; i++) {
+            if (centerOut) {
+                callback(width / 2 + i * slot + offset, barWidth, i);
+                callback(width / 2 - (i + 1) * slot + offset, barWidth, i);
+            } else {
+                callback(i * slot + offset, barWidth, i);
+            }
+        }
+    }
+}
+
+export default BarMeter;
@@ -0,0 +1,211 @@
+// Frequency ranges (Hz) analysed independently for onsets
+const BANDS = {
+    bass: [20, 250],
+    mid: [250, 4000],
+    treble: [4000, 16000]
+};
+
+const HISTORY_SECONDS = 1.5; // Window for the adaptive threshold
+const BEAT_MEMORY_SECONDS = 8; // Beats kept for tempo estimation
+const MIN_BPM = 70;
+const MAX_BPM = 180;
+
+/**
+ * BeatDetector class - spectral flux onset detection with tempo estimation.
+ *
+ * Feed it one frame of byte frequency data per animation frame via update().
+ * Events:
+ *   'onset' { band, strength, time }               any band crossed its threshold
+ *   'beat'  { strength, time, bpm, index, downbeat } bass onset, the main pulse
+ *   'bpm'   { bpm }                                 tempo estimate changed
+ */
+class BeatDetector {
+    constructor({ sensitivity = 1.5, minInterval = 0.25 } = {}) {
+        this.sensitivity = sensitivity; // Standard deviations above the mean flux
+        this.minInterval = minInterval; // Seconds between onsets in one band
+        this.listeners = {};
+        this.reset();
+    }
+
+    reset() {
+        this.previous = null;
+        this.binRanges = null;
+        this.bands = {};
+        Object.keys(BANDS).forEach(band => {
+            this.bands[band] = { history: [], lastOnset: -Infinity, energy: 0 };
+        });
+        this.beatTimes = [];
+        this.beatIndex = 0;
+        this.accents = [0, 0, 0, 0]; // Average loudness of the beats at each position in a 4/4 bar
+        this.bpm = 0;
+    }
+
+    on(event, callback) {
+        (this.listeners[event] = this.listeners[event] || []).push(callback);
+        return this;
+    }
+
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+        }
+        return this;
+    }
+
+    emit(event, data) {
+        (this.listeners[event] || []).forEach(callback => callback(data));
+    }
+
+    /**
+     * Current normalised energy (0..1) of a band, updated every frame
+     */
+    getEnergy(band) {
+        return this.bands[band] ? this.bands[band].energy : 0;
+    }
+
+    /**
+     * Energy of every band at once, as `{ bass, mid, treble }`
+     */
+    getEnergies() {
+        const energies = {};
+        Object.keys(BANDS).forEach(band => {
+            energies[band] = this.bands[band].energy;
+        });
+        return energies;
+    }
+
+    /**
+     * Analyse one frame. `time` is in seconds and only needs to be monotonic.
+     */
+    update(frequencyData, sampleRate, time) {
+        const length = frequencyData.length;
+        if (!this.previous || this.previous.length !== length) {
+            // FFT size changed: start over rather than diff incompatible frames
+            this.reset();
+            this.previous = new Uint8Array(length);
+            this.previous.set(frequencyData);
+            this.binRanges = this.computeBinRanges(length, sampleRate);
+            return;
+        }
+
+        Object.keys(BANDS).forEach(band => {
+            const [start, end] = this.binRanges[band];
+            let flux = 0;
+            let energy = 0;
+            for (let i = start; i < end; i++) {
+                const diff = frequencyData[i] - this.previous[i];
+                if (diff > 0) flux += diff;
+                energy += frequencyData[i];
+            }
+            const bins = Math.max(1, end - start);
+            this.detectOnset(band, flux / (bins * 255), time);
+            this.bands[band].energy = energy / (bins * 255);
+        });
+
+        this.previous.set(frequencyData);
+    }
+
+    computeBinRanges(length, sampleRate) {
+        const binWidth = sampleRate / 2 / length;
+        const ranges = {};
+        Object.keys(BANDS).forEach(band => {
+            const [low, high] = BANDS[band];
+            const start = Math.min(length - 1, Math.floor(low / binWidth));
+            const end = Math.min(length, Math.max(start + 1, Math.ceil(high / binWidth)));
+            ranges[band] = [start, end];
+        });
+        return ranges;
+    }
+
+    detectOnset(band, flux, time) {
+        const state = this.bands[band];
+        const history = state.history;
+
+        history.push({ time, flux });
+        while (history.length > 0 && time - history[0].time > HISTORY_SECONDS) {
+            history.shift();
+        }
+        if (history.length < 10) return;
+
+        let mean = 0;
+        history.forEach(entry => { mean += entry.flux; });
+        mean /= history.length;
+        let variance = 0;
+        history.forEach(entry => { variance += (entry.flux - mean) ** 2; });
+        const threshold = mean + this.sensitivity * Math.sqrt(variance / history.length);
+
+        // The small floor keeps near-silence from triggering on noise
+        if (flux <= threshold || flux < 0.01 || time - state.lastOnset < this.minInterval) return;
+
+        state.lastOnset = time;
+        const strength = Math.min(1, (flux - mean) / (threshold - mean + 1e-6) / 2);
+        this.emit('onset', { band, strength, time });
+
+        if (band === 'bass') {
+            // Unclamped, so accented beats can be told apart from the rest
+            this.registerBeat(strength, flux / (mean + 1e-6), time);
+        }
+    }
+
+    registerBeat(strength, accent, time) {
+        this.beatTimes.push(time);
+        while (this.beatTimes.length > 0 && time - this.beatTimes[0] > BEAT_MEMORY_SECONDS) {
+            this.beatTimes.shift();
+        }
+
+        const bpm = this.estimateBpm();
+        if (bpm && Math.abs(bpm - this.bpm) >= 1) {
+            this.bpm = bpm;
+            this.emit('bpm', { bpm });
+        }
+
+        // Bars tend to start on the loudest beat, so the position with the highest average wins
+        const position = this.beatIndex % 4;
+        this.accents[position] = this.accents[position] * 0.75 + accent * 0.25;
+        const downbeatPosition = this.accents.indexOf(Math.max(...this.accents));
+
+        this.emit('beat', {
+            strength,
+            time,
+            bpm: this.bpm,
+            index: this.beatIndex,
+            downbeat: position === downbeatPosition
+        });
+        this.beatIndex++;
+    }
+
+    /**
+     * Tempo from a histogram of inter-onset intervals, folded into MIN_BPM..MAX_BPM
+     */
+    estimateBpm() {
+        if (this.beatTimes.length < 4) return 0;
+
+        const votes = {};
+        for (let i = 1; i < this.beatTimes.length; i++) {
+            // Compare against a few earlier beats so skipped onsets still vote
+            for (let j = Math.max(0, i - 4); j < i; j++) {
+                let bpm = 60 / (this.beatTimes[i] - this.beatTimes[j]);
+                if (!isFinite(bpm) || bpm <= 0) continue;
+                while (bpm < MIN_BPM) bpm *= 2;
+                while (bpm > MAX_BPM) bpm /= 2;
+                const bucket = Math.round(bpm);
+                votes[bucket] = (votes[bucket] || 0) + 1 / (i - j);
+            }
+        }
+
+        // Merge neighbouring buckets so 127/128/129 count together
+        let best = 0;
+        let bestScore = 0;
+        Object.keys(votes).forEach(key => {
+            const bucket = Number(key);
+            const score = (votes[bucket - 1] || 0) + votes[bucket] + (votes[bucket + 1] || 0);
+            if (score > bestScore) {
+                bestScore = score;
+                best = bucket;
+            }
+        });
+        return best;
+    }
+}
+
+export default BeatDetector;
@@ -0,0 +1,154 @@
+const MIN_FREQUENCY = 20;
+const MAX_FREQUENCY = 20000;
+
+/**
+ * FrequencyBinner class - regroups linear FFT bins onto a musical frequency axis.
+ *
+ * Scales:
+ *   'linear'       pass-through, one output value per FFT bin
+ *   'log'          `bandCount` bands spaced evenly in log frequency
+ *   'octave'       one band per octave (ISO centres, 31.5 Hz - 16 kHz)
+ *   'third-octave' three bands per octave (ISO centres, 25 Hz - 20 kHz)
+ *
+ * The output length depends only on the scale and band count, never on the FFT size.
+ */
+class FrequencyBinner {
+    constructor({ scale = 'log', bandCount = 128 } = {}) {
+        this.scale = scale;
+        this.bandCount = bandCount;
+        this.bands = null; // Cached [startBin, endBin, weight] per band
+        this.output = null;
+        this.stereoOutput = null;
+        this.cacheKey = '';
+        this.frequencies = null; // Cached centre frequencies for getBandFrequencies
+        this.frequenciesKey = '';
+    }
+
+    setScale(scale) {
+        this.scale = scale;
+        this.bands = null;
+    }
+
+    setBandCount(count) {
+        this.bandCount = count;
+        this.bands = null;
+    }
+
+    /**
+     * Map one frame of byte frequency data. The returned array is reused between calls.
+     */
+    map(frequencyData, sampleRate) {
+        if (this.scale === 'linear') return frequencyData;
+
+        this.prepare(frequencyData.length, sampleRate);
+        return this.fill(frequencyData, this.output);
+    }
+
+    /**
+     * Map a `{ left, right }` pair of byte frequency data the same way as map,
+     * into a reused `{ left, right }` pair
+     */
+    mapStereo({ left, right }, sampleRate) {
+        if (this.scale === 'linear') return { left, right };
+
+        this.prepare(left.length, sampleRate);
+        if (!this.stereoOutput || this.stereoOutput.left.length !== this.bands.length) {
+            this.stereoOutput = {
+                left: new Uint8Array(this.bands.length),
+                right: new Uint8Array(this.bands.length)
+            };
+        }
+        this.fill(left, this.stereoOutput.left);
+        this.fill(right, this.stereoOutput.right);
+        return this.stereoOutput;
+    }
+
+    prepare(binCount, sampleRate) {
+        const key = `${binCount}:${sampleRate}`;
+        if (!this.bands || key !== this.cacheKey) {
+            this.bands = this.buildBands(binCount, sampleRate);
+            this.output = new Uint8Array(this.bands.length);
+            this.cacheKey = key;
+        }
+    }
+
+    fill(frequencyData, output) {
+        for (let b = 0; b < this.bands.length; b++) {
+            const [start, end, fraction] = this.bands[b];
+            if (end - start <= 1) {
+                // Band narrower than one FFT bin: interpolate between neighbours
+                const next = Math.min(start + 1, frequencyData.length - 1);
+                output[b] = frequencyData[start] + (frequencyData[next] - frequencyData[start]) * fraction;
+            } else {
+                // Peak rather than mean, so narrow tones in wide bands stay visible
+                let peak = 0;
+                for (let i = start; i < end; i++) {
+                    if (frequencyData[i] > peak) peak = frequencyData[i];
+                }
+                output[b] = peak;
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * Centre frequency in Hz of each value `map` returns, for axis labels.
+     * The returned array is reused until the scale, band count or input changes.
+     */
+    getBandFrequencies(binCount, sampleRate) {
+        const key = `${this.scale}:${this.bandCount}:${binCount}:${sampleRate}`;
+        if (!this.frequencies || key !== this.frequenciesKey) {
+            const binWidth = sampleRate / 2 / binCount;
+            this.frequencies = this.scale === 'linear'
+                ? Float32Array.from({ length: binCount }, (_, i) => i * binWidth)
+                : Float32Array.from(this.getBandEdges(sampleRate), ([low, high]) => Math.sqrt(low * high));
+            this.frequenciesKey = key;
+        }
+        return this.frequencies;
+    }
+
+    /**
+     * Band edges in Hz for the current scale
+     */
+    getBandEdges(sampleRate) {
+        const nyquist = sampleRate / 2;
+        const top = Math.min(MAX_FREQUENCY, nyquist);
+
+        if (this.scale === 'octave' || this.scale === 'third-octave') {
+            const step = this.scale === 'octave' ? 1 : 1 / 3;
+            const first = this.scale === 'octave' ? -5 : -16; // 31.5 Hz / 25 Hz relative to 1 kHz
+            const edges = [];
+            for (let n = first; ; n += 1) {
+                const centre = 1000 * Math.pow(2, n * step);
+                const low = centre * Math.pow(2, -step / 2);
+                const high = centre * Math.pow(2, step / 2);
+                if (low >= top) break;
+                edges.push([low, Math.min(high, top)]);
+            }
+            return edges;
+        }
+
+        const ratio = Math.pow(top / MIN_FREQUENCY, 1 / this.bandCount);
+        const edges = [];
+        for (let b = 0; b < this.bandCount; b++) {
+            edges.push([MIN_FREQUENCY * Math.pow(ratio, b), MIN_FREQUENCY * Math.pow(ratio, b + 1)]);
+        }
+        return edges;
+    }
+
+    buildBands(binCount, sampleRate) {
+        const binWidth = sampleRate / 2 / binCount;
+
+        return this.getBandEdges(sampleRate).map(([low, high]) => {
+            const start = Math.min(binCount - 1, Math.floor(low / binWidth));
+            const end = Math.min(binCount, Math.max(start + 1, Math.ceil(high / binWidth)));
+            // Position of the band centre between bin `start` and the next one
+            const centre = Math.sqrt(low * high) / binWidth;
+            const fraction = Math.min(1, Math.max(0, centre - start));
+            return [start, end, fraction];
+        });
+    }
+}
+
+export default FrequencyBinner;
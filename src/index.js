@@ -1,3 +1,5 @@
 // Main entry point for the application
 import '../styles.css';
-import './app.js';
+import { initApp } from './app.js';
+
+initApp();
@@ -0,0 +1,104 @@
+const KEYMAP_KEY = 'retroviz.keymap';
+
+/**
+ * Every bindable action, in the order the help overlay lists them
+ */
+const ACTIONS = [
+    { id: 'togglePlay', label: 'Play / pause', key: ' ' },
+    { id: 'nextPreset', label: 'Next preset', key: 'n' },
+    { id: 'previousPreset', label: 'Previous preset', key: 'p' },
+    { id: 'toggleAutoRotate', label: 'Toggle auto-rotate', key: 'r' },
+    { id: 'lockPreset', label: 'Lock current preset', key: 'l' },
+    // Nth entry of the visualization menu, so registered modes get keys too
+    ...Array.from({ length: 9 }, (_, i) => ({ id: `viz${i + 1}`, label: `Visualization ${i + 1}`, key: String(i + 1) })),
+    { id: 'fullscreen', label: 'Toggle fullscreen', key: 'f' },
+    { id: 'hideControls', label: 'Hide / show controls', key: 'h' },
+    { id: 'help', label: 'Show this help', key: '?' }
+];
+
+const KEY_NAMES = {
+    ' ': 'Space',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓'
+};
+
+/**
+ * Keymap class - remappable keyboard shortcuts, saved to localStorage.
+ * Keys are stored as KeyboardEvent.key values, letters lowercased.
+ */
+class Keymap {
+    constructor() {
+        this.bindings = {};
+        ACTIONS.forEach(action => {
+            this.bindings[action.id] = action.key;
+        });
+        this.load();
+    }
+
+    static get actions() {
+        return ACTIONS;
+    }
+
+    /**
+     * Normalized key for an event; Shift is part of the key itself ("?", "A" -> "a")
+     */
+    static keyFromEvent(e) {
+        return e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    }
+
+    static describeKey(key) {
+        if (!key) return '—';
+        return KEY_NAMES[key] || (key.length === 1 ? key.toUpperCase() : key);
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(KEYMAP_KEY));
+            if (stored && typeof stored === 'object') {
+                // Only known actions; ones added since the map was saved keep their defaults
+                Object.keys(this.bindings).forEach(id => {
+                    if (typeof stored[id] === 'string') this.bindings[id] = stored[id];
+                });
+            }
+        } catch (e) {
+            // Corrupt entry: stay on defaults
+        }
+    }
+
+    save() {
+        localStorage.setItem(KEYMAP_KEY, JSON.stringify(this.bindings));
+    }
+
+    getKey(actionId) {
+        return this.bindings[actionId];
+    }
+
+    actionFor(key) {
+        return Object.keys(this.bindings).find(id => this.bindings[id] === key) || null;
+    }
+
+    /**
+     * Bind `key` to an action. If another action had that key the two swap,
+     * so no binding is ever silently lost.
+     */
+    rebind(actionId, key) {
+        const previous = this.actionFor(key);
+        if (previous && previous !== actionId) {
+            this.bindings[previous] = this.bindings[actionId];
+        }
+        this.bindings[actionId] = key;
+        this.save();
+        return previous !== actionId ? previous : null;
+    }
+
+    reset() {
+        ACTIONS.forEach(action => {
+            this.bindings[action.id] = action.key;
+        });
+        localStorage.removeItem(KEYMAP_KEY);
+    }
+}
+
+export default Keymap;
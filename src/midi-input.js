@@ -0,0 +1,65 @@
+/**
+ * MidiInput class - listens to every connected Web MIDI input, including
+ * devices plugged in later, and hands each raw message to `onMessage`.
+ * `onStateChange` is called whenever the set of inputs changes.
+ */
+class MidiInput {
+    constructor(onMessage, onStateChange = null) {
+        this.onMessage = onMessage;
+        this.onStateChange = onStateChange;
+        this.access = null;
+        this.handleMessage = (e) => this.onMessage(e.data);
+    }
+
+    static isSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+    }
+
+    /**
+     * Whether MIDI was allowed before, so enabling won't prompt
+     */
+    static async isGranted() {
+        try {
+            const status = await navigator.permissions.query({ name: 'midi', sysex: false });
+            return status.state === 'granted';
+        } catch (e) {
+            // Browsers without a 'midi' permission name
+            return false;
+        }
+    }
+
+    get isEnabled() {
+        return this.access !== null;
+    }
+
+    get inputNames() {
+        if (!this.access) return [];
+        return Array.from(this.access.inputs.values()).map(input => input.name || 'MIDI input');
+    }
+
+    /**
+     * Ask for MIDI access (no sysex) and start listening. Rejects if the
+     * browser or the user refuses.
+     */
+    async enable() {
+        if (this.access) return;
+
+        this.access = await navigator.requestMIDIAccess({ sysex: false });
+        this.access.inputs.forEach(input => this.attach(input));
+        this.access.addEventListener('statechange', (e) => {
+            if (e.port.type !== 'input') return;
+            if (e.port.state === 'connected') {
+                this.attach(e.port);
+            }
+            if (this.onStateChange) this.onStateChange();
+        });
+        if (this.onStateChange) this.onStateChange();
+    }
+
+    attach(input) {
+        // Listeners are deduplicated, so reconnects are safe to attach again
+        input.addEventListener('midimessage', this.handleMessage);
+    }
+}
+
+export default MidiInput;
@@ -0,0 +1,152 @@
+const MIDI_MAP_KEY = 'retroviz.midiMap';
+const EXPORT_VERSION = 1;
+
+/**
+ * Every mappable action, in the order the MIDI settings list them.
+ * Triggers fire on a pad or key press (or a CC passing halfway);
+ * ranges follow a knob or fader from 0 to 1.
+ */
+const ACTIONS = [
+    { id: 'togglePlay', label: 'Play / pause', kind: 'trigger' },
+    { id: 'nextPreset', label: 'Next preset', kind: 'trigger' },
+    { id: 'previousPreset', label: 'Previous preset', kind: 'trigger' },
+    { id: 'toggleAutoRotate', label: 'Toggle auto-rotate', kind: 'trigger' },
+    { id: 'lockPreset', label: 'Lock current preset', kind: 'trigger' },
+    // Nth entry of the visualization menu, like the number keys
+    ...Array.from({ length: 9 }, (_, i) => ({ id: `viz${i + 1}`, label: `Visualization ${i + 1}`, kind: 'trigger' })),
+    { id: 'nextColorScheme', label: 'Next color scheme', kind: 'trigger' },
+    { id: 'colorScheme', label: 'Color scheme', kind: 'range' },
+    { id: 'blendTime', label: 'Blend time', kind: 'range' },
+    { id: 'gain', label: 'Input gain', kind: 'range' }
+];
+
+/**
+ * MidiMap class - MIDI controls bound to app actions, saved to localStorage
+ * and exportable as JSON. A control is `{ type: 'note' | 'cc', channel, number }`
+ * with a 0-based channel; each control drives at most one action.
+ */
+class MidiMap {
+    constructor() {
+        this.bindings = {};
+        this.load();
+    }
+
+    static get actions() {
+        return ACTIONS;
+    }
+
+    static getAction(actionId) {
+        return ACTIONS.find(action => action.id === actionId) || null;
+    }
+
+    /**
+     * Decode a raw MIDI message into `{ control, value, pressed }`, value
+     * 0..1. Returns null for anything that isn't a note or control change.
+     */
+    static parseMessage([status, number, data = 0]) {
+        const command = status & 0xf0;
+        const channel = status & 0x0f;
+
+        if (command === 0x90 || command === 0x80) {
+            // Note on with velocity 0 is how many devices send note off
+            const pressed = command === 0x90 && data > 0;
+            return { control: { type: 'note', channel, number }, value: data / 127, pressed };
+        }
+        if (command === 0xb0) {
+            return { control: { type: 'cc', channel, number }, value: data / 127, pressed: data >= 64 };
+        }
+        return null;
+    }
+
+    static describeControl(control) {
+        if (!control) return '—';
+        return `${control.type === 'note' ? 'Note' : 'CC'} ${control.number} · Ch ${control.channel + 1}`;
+    }
+
+    static isSameControl(a, b) {
+        return a.type === b.type && a.channel === b.channel && a.number === b.number;
+    }
+
+    static isValidControl(control) {
+        return control !== null && typeof control === 'object'
+            && (control.type === 'note' || control.type === 'cc')
+            && Number.isInteger(control.channel) && control.channel >= 0 && control.channel < 16
+            && Number.isInteger(control.number) && control.number >= 0 && control.number < 128;
+    }
+
+    load() {
+        try {
+            this.setBindings(JSON.parse(localStorage.getItem(MIDI_MAP_KEY)) || {});
+        } catch (e) {
+            // Corrupt entry: start unmapped
+            this.bindings = {};
+        }
+    }
+
+    save() {
+        localStorage.setItem(MIDI_MAP_KEY, JSON.stringify(this.bindings));
+    }
+
+    /**
+     * Take known actions with valid controls from `bindings`, dropping the rest
+     */
+    setBindings(bindings) {
+        this.bindings = {};
+        ACTIONS.forEach(action => {
+            const control = bindings[action.id];
+            if (MidiMap.isValidControl(control) && !this.actionFor(control)) {
+                this.bindings[action.id] = { type: control.type, channel: control.channel, number: control.number };
+            }
+        });
+    }
+
+    getControl(actionId) {
+        return this.bindings[actionId] || null;
+    }
+
+    actionFor(control) {
+        return Object.keys(this.bindings).find(id => MidiMap.isSameControl(this.bindings[id], control)) || null;
+    }
+
+    /**
+     * Bind `control` to an action. A control already driving another action
+     * moves over; the action it was taken from is returned.
+     */
+    learn(actionId, control) {
+        const previous = this.actionFor(control);
+        if (previous && previous !== actionId) {
+            delete this.bindings[previous];
+        }
+        this.bindings[actionId] = { ...control };
+        this.save();
+        return previous !== actionId ? previous : null;
+    }
+
+    clear(actionId) {
+        delete this.bindings[actionId];
+        this.save();
+    }
+
+    reset() {
+        this.bindings = {};
+        localStorage.removeItem(MIDI_MAP_KEY);
+    }
+
+    toJSON() {
+        return { app: 'retroviz', type: 'midi-map', version: EXPORT_VERSION, bindings: this.bindings };
+    }
+
+    /**
+     * Replace the mappings with an exported file's. Returns how many were taken.
+     */
+    import(data) {
+        if (!data || data.type !== 'midi-map' || typeof data.bindings !== 'object' || data.bindings === null) {
+            throw new Error('Not a RetroViz MIDI mapping file');
+        }
+        this.setBindings(data.bindings);
+        this.save();
+        return Object.keys(this.bindings).length;
+    }
+}
+
+export default MidiMap;
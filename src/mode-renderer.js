@@ -0,0 +1,110 @@
+import Palette from './palette.js';
+
+/**
+ * ModeRenderer class - runs one 2D visualization mode on a 2D context.
+ *
+ * The Visualizer uses one directly when drawing on the main thread, and the
+ * render worker runs one on its OffscreenCanvas, so both paths draw the same
+ * frames. `lookupMode(type)` returns the mode object to use for a type.
+ */
+class ModeRenderer {
+    constructor(ctx, lookupMode) {
+        this.ctx = ctx;
+        this.lookupMode = lookupMode;
+        this.width = ctx.canvas.width;
+        this.height = ctx.canvas.height;
+        this.type = null;
+        this.mode = null;
+        this.state = {}; // Returned by the current mode's init
+        this.palette = new Palette(Palette.builtIn('classic'));
+        this.options = {}; // scopeMode, spectrogramView and bars
+        this.colorFunction = (index, total, intensity) => this.palette.getColor(index, total, intensity);
+    }
+
+    /**
+     * Switch to another mode, disposing the current one
+     */
+    setMode(type) {
+        this.disposeMode();
+        this.type = type;
+        this.mode = this.lookupMode(type);
+        this.state = this.mode && this.mode.init ? this.mode.init(this.getFrame()) || {} : {};
+    }
+
+    setSize(width, height) {
+        this.width = width;
+        this.height = height;
+        // Setting the size clears the canvas, so only touch it when it changes
+        if (this.ctx.canvas.width !== width || this.ctx.canvas.height !== height) {
+            this.ctx.canvas.width = width;
+            this.ctx.canvas.height = height;
+        }
+        if (this.mode && this.mode.resize) {
+            this.mode.resize(this.getFrame());
+        }
+    }
+
+    /**
+     * `palette` is a Palette or a palette definition
+     */
+    setPalette(palette) {
+        this.palette = palette instanceof Palette ? palette : new Palette(palette);
+    }
+
+    setOptions(options) {
+        this.options = { ...this.options, ...options };
+    }
+
+    clear() {
+        this.ctx.fillStyle = 'rgb(0, 0, 0)';
+        this.ctx.fillRect(0, 0, this.width, this.height);
+    }
+
+    draw(audio) {
+        if (this.mode) {
+            this.mode.draw(this.getFrame(audio));
+        }
+    }
+
+    disposeMode() {
+        if (this.mode && this.mode.dispose) {
+            this.mode.dispose(this.getFrame());
+        }
+        this.mode = null;
+        this.state = {};
+    }
+
+    dispose() {
+        this.disposeMode();
+    }
+
+    /**
+     * What a mode's draw/init/resize/dispose receive: the 2D context and its
+     * size, the per-instance state returned by init, and the current palette's
+     * color function, background, glow strength (0 = off, 1 = normal) and
+     * colorMap (RGBA bytes per level 0-255, for writing pixels). Mode options
+     * ride along too: scopeMode, spectrogramView and bars (see BarMeter).
+     *
+     * draw also gets the frame's audio: frequencyData/bufferLength (0-255 per
+     * band), waveform `{ left, right }` (-1..1 samples), stereo `{ left, right }`
+     * (per-channel bands like frequencyData), bandFrequencies (Hz per band),
+     * energy `{ bass, mid, treble }` (0..1), pulse (beat strength, 0..1) and
+     * deltaTime, the seconds since the last frame.
+     */
+    getFrame(audio = {}) {
+        return {
+            ctx: this.ctx,
+            width: this.width,
+            height: this.height,
+            getColor: this.colorFunction,
+            background: this.palette.background,
+            glow: this.palette.glow,
+            colorMap: this.palette.colorMap,
+            ...this.options,
+            state: this.state,
+            ...audio
+        };
+    }
+}
+
+export default ModeRenderer;
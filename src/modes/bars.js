@@ -0,0 +1,46 @@
+import BarMeter from '../bar-meter.js';
+
+const CAP_HEIGHT = 3; // Peak cap thickness in pixels
+
+/**
+ * Bars mode - classic frequency bars with optional falling peak caps
+ */
+export default {
+    label: 'Bars',
+
+    init() {
+        return { meter: new BarMeter() };
+    },
+
+    draw({ ctx, width, height, frequencyData, bufferLength, pulse, getColor, background, bars, deltaTime, state }) {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, width, height);
+
+        const meter = state.meter;
+        meter.update(frequencyData, bufferLength, bars, deltaTime);
+
+        const mirrored = bars.layout === 'mirrored';
+        const base = mirrored ? height / 2 : height;
+        const scale = 1 + pulse * 0.2;
+
+        meter.forEachBar(width, bars, (x, barWidth, i) => {
+            const level = meter.levels[i];
+            const barHeight = Math.min(1, level * scale) * base;
+
+            ctx.fillStyle = getColor(i, meter.count, level);
+            ctx.fillRect(x, base - barHeight, barWidth, barHeight);
+            if (mirrored) {
+                ctx.fillRect(x, base, barWidth, barHeight);
+            }
+
+            if (bars.peaks === 'on') {
+                const peakHeight = Math.min(1, meter.peaks[i] * scale) * (base - CAP_HEIGHT);
+                ctx.fillStyle = getColor(i, meter.count, 1);
+                ctx.fillRect(x, base - peakHeight - CAP_HEIGHT, barWidth, CAP_HEIGHT);
+                if (mirrored) {
+                    ctx.fillRect(x, base + peakHeight, barWidth, CAP_HEIGHT);
+                }
+            }
+        });
+    }
+};
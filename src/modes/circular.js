@@ -0,0 +1,50 @@
+/**
+ * Circular mode - radial frequency display around a pulsing core
+ */
+export default {
+    label: 'Circular',
+
+    draw({ ctx, width, height, frequencyData, bufferLength, pulse, energy, getColor, background, glow }) {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, width, height);
+
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const radius = Math.min(width, height) / 3 * (1 + pulse * 0.08);
+
+        ctx.beginPath();
+
+        for (let i = 0; i < bufferLength; i++) {
+            const angle = (i / bufferLength) * Math.PI * 2;
+            const barHeight = (frequencyData[i] / 255) * radius;
+            const intensity = frequencyData[i] / 255;
+
+            const x1 = centerX + Math.cos(angle) * radius;
+            const y1 = centerY + Math.sin(angle) * radius;
+            const x2 = centerX + Math.cos(angle) * (radius + barHeight);
+            const y2 = centerY + Math.sin(angle) * (radius + barHeight);
+
+            ctx.strokeStyle = getColor(i, bufferLength, intensity);
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(x1, y1);
+            ctx.lineTo(x2, y2);
+            ctx.stroke();
+        }
+
+        // Draw center circle, swelling with the bass
+        const bass = energy ? energy.bass : 0;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius * (0.08 + bass * 0.2 + pulse * 0.05), 0, Math.PI * 2);
+        ctx.fillStyle = getColor(0, 1, 1);
+        ctx.fill();
+
+        // Add glow effect
+        if (glow > 0) {
+            ctx.shadowBlur = (10 + bass * 40 + pulse * 20) * glow;
+            ctx.shadowColor = getColor(0, 1, 1);
+            ctx.fill();
+        }
+        ctx.shadowBlur = 0;
+    }
+};
@@ -0,0 +1,23 @@
+import barsMode from './bars.js';
+import oscilloscopeMode from './oscilloscope.js';
+import spectrumMode from './spectrum.js';
+import circularMode from './circular.js';
+import spectrogramMode from './spectrogram.js';
+import stereoBarsMode from './stereo-bars.js';
+import stereoCircularMode from './stereo-circular.js';
+import phaseMeterMode from './phase-meter.js';
+
+/**
+ * The built-in 2D modes by id, in menu order. Both the Visualizer and the
+ * render worker load them from here.
+ */
+export default {
+    bars: barsMode,
+    oscilloscope: oscilloscopeMode,
+    spectrum: spectrumMode,
+    circular: circularMode,
+    spectrogram: spectrogramMode,
+    'stereo-bars': stereoBarsMode,
+    'stereo-circular': stereoCircularMode,
+    'phase-meter': phaseMeterMode
+};
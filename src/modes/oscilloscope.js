@@ -0,0 +1,133 @@
+/**
+ * Oscilloscope mode - triggered waveform in mono or split stereo, or an X/Y
+ * vectorscope, following the visualizer's scope mode.
+ */
+export default {
+    label: 'Oscilloscope',
+    usesScopeMode: true,
+
+    init() {
+        return { monoBuffer: null };
+    },
+
+    draw(frame) {
+        const { ctx, width, height, waveform, scopeMode, pulse, state, background } = frame;
+        if (!waveform) return;
+
+        if (scopeMode === 'xy') {
+            drawVectorscope(frame);
+            return;
+        }
+
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, width, height);
+
+        const { left, right } = waveform;
+        // Show half the window so there's room to slide to the trigger point
+        const length = left.length >> 1;
+        const start = findTrigger(left, right, length);
+
+        if (scopeMode === 'stereo') {
+            const half = height / 2;
+            drawTrace(frame, left, start, length, half / 2, half / 2, pulse);
+            drawTrace(frame, right, start, length, half + half / 2, half / 2, pulse);
+
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(0, half);
+            ctx.lineTo(width, half);
+            ctx.stroke();
+        } else {
+            if (!state.monoBuffer || state.monoBuffer.length !== left.length) {
+                state.monoBuffer = new Float32Array(left.length);
+            }
+            const mono = state.monoBuffer;
+            for (let i = 0; i < left.length; i++) {
+                mono[i] = (left[i] + right[i]) / 2;
+            }
+            drawTrace(frame, mono, start, length, height / 2, height / 2, pulse);
+        }
+    }
+};
+
+/**
+ * First rising zero crossing of the mono sum, so the waveform holds still between frames.
+ * A little hysteresis keeps noise around zero from retriggering.
+ */
+function findTrigger(left, right, searchLength) {
+    const threshold = 0.01;
+    let armed = false;
+    for (let i = 0; i < searchLength; i++) {
+        const sample = (left[i] + right[i]) / 2;
+        if (sample < -threshold) {
+            armed = true;
+        } else if (armed && sample >= 0) {
+            return i;
+        }
+    }
+    return 0;
+}
+
+function drawTrace({ ctx, width, getColor, glow }, samples, start, length, centerY, amplitude, pulse) {
+    const sliceWidth = width / (length - 1);
+
+    ctx.lineWidth = 2 + pulse * 3;
+    ctx.strokeStyle = getColor(0, 1, 1);
+    ctx.beginPath();
+
+    for (let i = 0; i < length; i++) {
+        const y = centerY - samples[start + i] * amplitude;
+        if (i === 0) {
+            ctx.moveTo(0, y);
+        } else {
+            ctx.lineTo(i * sliceWidth, y);
+        }
+    }
+
+    ctx.stroke();
+
+    // Add glow effect
+    if (glow > 0) {
+        ctx.shadowBlur = (10 + pulse * 20) * glow;
+        ctx.shadowColor = getColor(0, 1, 1);
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+    }
+}
+
+/**
+ * X/Y mode: left channel on the horizontal axis, right on the vertical.
+ * Mono material collapses to a diagonal line, wide stereo fills the square.
+ */
+function drawVectorscope({ ctx, width, height, waveform, pulse, getColor, background, glow }) {
+    // Partial clear leaves phosphor-style trails
+    ctx.globalAlpha = 0.3;
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, width, height);
+    ctx.globalAlpha = 1;
+
+    const { left, right } = waveform;
+    const centerX = width / 2;
+    const centerY = height / 2;
+    const scale = Math.min(width, height) * 0.45;
+
+    ctx.lineWidth = 1.5 + pulse * 2;
+    ctx.strokeStyle = getColor(0, 1, 1);
+    ctx.shadowBlur = (8 + pulse * 15) * glow;
+    ctx.shadowColor = getColor(0, 1, 1);
+    ctx.beginPath();
+
+    for (let i = 0; i < left.length; i++) {
+        const x = centerX + left[i] * scale;
+        const y = centerY - right[i] * scale;
+        if (i === 0) {
+            ctx.moveTo(x, y);
+        } else {
+            ctx.lineTo(x, y);
+        }
+    }
+
+    ctx.stroke();
+    ctx.shadowBlur = 0;
+}
@@ -0,0 +1,142 @@
+const RESPONSE = 8; // How fast the needle follows, per second
+const HOLD_RELEASE = 0.3; // How fast the lowest-correlation marker recovers, per second
+
+/**
+ * Phase Meter mode - goniometer plus correlation and balance meters.
+ *
+ * Correlation runs from +1 (mono, in phase) through 0 (wide or unrelated
+ * channels) to -1 (out of phase, cancels on mono playback). The goniometer
+ * plots mid vertically and side horizontally, so mono is a vertical line.
+ */
+export default {
+    label: 'Phase Meter',
+
+    init() {
+        return { correlation: 0, lowest: 1, balance: 0 };
+    },
+
+    draw(frame) {
+        const { ctx, width, height, waveform, background, deltaTime, state } = frame;
+
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, width, height);
+        if (!waveform) return;
+
+        const { left, right } = waveform;
+        let sumLR = 0;
+        let sumLL = 0;
+        let sumRR = 0;
+        for (let i = 0; i < left.length; i++) {
+            sumLR += left[i] * right[i];
+            sumLL += left[i] * left[i];
+            sumRR += right[i] * right[i];
+        }
+
+        // Silence has no phase; let the needle rest at 0
+        const silent = sumLL < 1e-6 && sumRR < 1e-6;
+        const correlation = silent || sumLL * sumRR === 0 ? 0 : sumLR / Math.sqrt(sumLL * sumRR);
+        const levelL = Math.sqrt(sumLL / left.length);
+        const levelR = Math.sqrt(sumRR / right.length);
+        const balance = silent ? 0 : (levelR - levelL) / (levelL + levelR);
+
+        const follow = Math.min(1, deltaTime * RESPONSE);
+        state.correlation += (correlation - state.correlation) * follow;
+        state.balance += (balance - state.balance) * follow;
+        state.lowest = Math.min(state.correlation, state.lowest + deltaTime * HOLD_RELEASE);
+
+        const meterHeight = Math.max(12, height * 0.035);
+        const meterWidth = Math.min(width * 0.8, 900);
+        const meterX = (width - meterWidth) / 2;
+        const scopeSize = Math.min(width * 0.8, height - meterHeight * 8);
+
+        drawGoniometer(frame, scopeSize);
+        drawMeter(frame, meterX, height - meterHeight * 5, meterWidth, meterHeight,
+            state.correlation, state.lowest, ['-1', '0', '+1'], 'Correlation');
+        drawMeter(frame, meterX, height - meterHeight * 2.2, meterWidth, meterHeight,
+            state.balance, null, ['L', 'C', 'R'], 'Balance');
+    }
+};
+
+function drawGoniometer({ ctx, width, waveform, pulse, getColor, glow }, size) {
+    const { left, right } = waveform;
+    const centerX = width / 2;
+    const centerY = size / 2 + 20;
+    const scale = size * 0.35;
+
+    // Axes: M vertical, S horizontal, L and R on the diagonals
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.12)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(centerX, centerY - size / 2);
+    ctx.lineTo(centerX, centerY + size / 2);
+    ctx.moveTo(centerX - size / 2, centerY);
+    ctx.lineTo(centerX + size / 2, centerY);
+    ctx.moveTo(centerX - size * 0.35, centerY - size * 0.35);
+    ctx.lineTo(centerX + size * 0.35, centerY + size * 0.35);
+    ctx.moveTo(centerX + size * 0.35, centerY - size * 0.35);
+    ctx.lineTo(centerX - size * 0.35, centerY + size * 0.35);
+    ctx.stroke();
+
+    ctx.font = '12px sans-serif';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.textAlign = 'center';
+    ctx.fillText('M', centerX, centerY - size / 2 - 4);
+    ctx.fillText('L', centerX - size * 0.37, centerY - size * 0.37);
+    ctx.fillText('R', centerX + size * 0.37, centerY - size * 0.37);
+    ctx.textAlign = 'left';
+
+    ctx.lineWidth = 1 + pulse;
+    ctx.strokeStyle = getColor(0, 1, 1);
+    ctx.globalAlpha = 0.7;
+    ctx.shadowBlur = 6 * glow;
+    ctx.shadowColor = getColor(0, 1, 1);
+    ctx.beginPath();
+    for (let i = 0; i < left.length; i++) {
+        const x = centerX + (right[i] - left[i]) * Math.SQRT1_2 * scale;
+        const y = centerY - (left[i] + right[i]) * Math.SQRT1_2 * scale;
+        if (i === 0) {
+            ctx.moveTo(x, y);
+        } else {
+            ctx.lineTo(x, y);
+        }
+    }
+    ctx.stroke();
+    ctx.globalAlpha = 1;
+    ctx.shadowBlur = 0;
+}
+
+/**
+ * Horizontal -1..+1 meter with a needle and an optional hold marker
+ */
+function drawMeter({ ctx, getColor }, x, y, width, height, value, hold, labels, title) {
+    const center = x + width / 2;
+    const position = (v) => center + (v * width) / 2;
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+    ctx.fillRect(x, y, width, height);
+
+    // Fill from the middle to the value; out-of-phase correlation warns in red
+    const needle = position(value);
+    ctx.fillStyle = hold !== null && value < 0 ? 'rgb(255, 77, 77)' : getColor(0, 1, 0.5 + Math.abs(value) / 2);
+    ctx.fillRect(Math.min(center, needle), y, Math.abs(needle - center), height);
+
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(needle - 1, y - 3, 2, height + 6);
+
+    if (hold !== null) {
+        ctx.fillStyle = 'rgba(255, 77, 77, 0.8)';
+        ctx.fillRect(position(hold) - 1, y, 2, height);
+    }
+
+    ctx.font = '11px sans-serif';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.textAlign = 'center';
+    ctx.fillText(labels[0], x, y + height + 14);
+    ctx.fillText(labels[1], center, y + height + 14);
+    ctx.fillText(labels[2], x + width, y + height + 14);
+    ctx.textAlign = 'left';
+    ctx.fillText(title, x, y - 6);
+    ctx.textAlign = 'right';
+    ctx.fillText(value >= 0 ? `+${value.toFixed(2)}` : value.toFixed(2), x + width, y - 6);
+    ctx.textAlign = 'left';
+}
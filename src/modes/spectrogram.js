@@ -0,0 +1,268 @@
+const SCROLL_SPEED = 60; // Pixels of history per second
+const TIME_TICK = 5; // Seconds between time labels
+const LABEL_FREQUENCIES = [50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000];
+const MIN_FREQUENCY = 20; // Floor for the log axis; linear scales start at 0 Hz
+const WATERFALL_ROWS = 48; // Spectra shown in the 3D view
+const WATERFALL_INTERVAL = 1 / 20; // Seconds between 3D rows
+const WATERFALL_POINTS = 160; // Samples across each 3D row
+
+/**
+ * Spectrogram mode - scrolling history of the spectrum on a log-frequency
+ * axis, colored by level through the palette's color map.
+ *
+ * 'horizontal' scrolls right to left with low frequencies at the bottom,
+ * 'vertical' is a waterfall falling from the top, '3d' stacks recent spectra
+ * in perspective. The flat views keep history in an offscreen canvas that is
+ * shifted and gets one new line of pixels per step, so the cost per frame
+ * doesn't grow with the canvas size.
+ */
+export default {
+    label: 'Spectrogram',
+    usesSpectrogramView: true,
+
+    init() {
+        return {
+            buffer: null, // History canvas for the flat views
+            bufferCtx: null,
+            line: null, // ImageData for the newest line of pixels
+            view: null,
+            scroll: 0, // Fractional pixels waiting to be scrolled
+            lookup: null, // Band index per pixel along the frequency axis
+            lookupSource: null,
+            lookupLength: 0,
+            range: null, // [low, high] Hz of the frequency axis
+            rows: [], // 3D history, newest last
+            rowTimer: 0
+        };
+    },
+
+    resize({ state }) {
+        // History is laid out for the old size; start over
+        state.buffer = null;
+        state.rows = [];
+    },
+
+    draw(frame) {
+        const { ctx, width, height, background, spectrogramView, state } = frame;
+
+        if (spectrogramView === '3d') {
+            drawWaterfall3d(frame);
+            return;
+        }
+
+        const vertical = spectrogramView === 'vertical';
+        const size = vertical ? width : height; // Pixels along the frequency axis
+        if (!state.buffer || state.view !== spectrogramView || state.buffer.width !== width || state.buffer.height !== height) {
+            createBuffer(state, width, height, background, vertical);
+            state.view = spectrogramView;
+        }
+        updateLookup(frame, size);
+
+        state.scroll += frame.deltaTime * SCROLL_SPEED;
+        const step = Math.floor(state.scroll);
+        if (step > 0) {
+            state.scroll -= step;
+            scrollBuffer(frame, vertical, Math.min(step, vertical ? height : width));
+        }
+
+        ctx.drawImage(state.buffer, 0, 0);
+        drawLabels(frame, vertical);
+    }
+};
+
+function createBuffer(state, width, height, background, vertical) {
+    // The render worker has no document
+    state.buffer = typeof OffscreenCanvas !== 'undefined' ? new OffscreenCanvas(width, height) : document.createElement('canvas');
+    state.buffer.width = width;
+    state.buffer.height = height;
+    state.bufferCtx = state.buffer.getContext('2d');
+    state.bufferCtx.fillStyle = background;
+    state.bufferCtx.fillRect(0, 0, width, height);
+    state.line = vertical ? state.bufferCtx.createImageData(width, 1) : state.bufferCtx.createImageData(1, height);
+    state.scroll = 0;
+}
+
+/**
+ * Map each pixel along the frequency axis to the nearest band in log
+ * frequency, so the axis is logarithmic whatever scale the bands use
+ */
+function updateLookup({ bufferLength, bandFrequencies, state }, size) {
+    if (state.lookup && state.lookup.length === size && state.lookupSource === bandFrequencies &&
+        state.lookupLength === bufferLength) {
+        return;
+    }
+
+    const lookup = new Int32Array(size);
+    if (bandFrequencies && bandFrequencies.length === bufferLength) {
+        const low = Math.max(MIN_FREQUENCY, bandFrequencies[0]);
+        const high = bandFrequencies[bufferLength - 1];
+        const logLow = Math.log(low);
+        const logSpan = Math.log(high) - logLow;
+        let band = 0;
+        for (let p = 0; p < size; p++) {
+            const logTarget = logLow + ((p + 0.5) / size) * logSpan;
+            // Bands ascend, so walk forward while the next one is closer
+            while (band < bufferLength - 1 &&
+                Math.abs(Math.log(Math.max(MIN_FREQUENCY, bandFrequencies[band + 1])) - logTarget) <=
+                Math.abs(Math.log(Math.max(MIN_FREQUENCY, bandFrequencies[band])) - logTarget)) {
+                band++;
+            }
+            lookup[p] = band;
+        }
+        state.range = [low, high];
+    } else {
+        for (let p = 0; p < size; p++) {
+            lookup[p] = Math.min(bufferLength - 1, Math.floor((p / size) * bufferLength));
+        }
+        state.range = null;
+    }
+
+    state.lookup = lookup;
+    state.lookupSource = bandFrequencies;
+    state.lookupLength = bufferLength;
+}
+
+/**
+ * Move the history along by `step` pixels and fill the gap with the newest spectrum
+ */
+function scrollBuffer({ frequencyData, colorMap, width, height, state }, vertical, step) {
+    const { buffer, bufferCtx, line, lookup } = state;
+    const data = line.data;
+
+    for (let p = 0; p < lookup.length; p++) {
+        const color = frequencyData[lookup[p]] * 4;
+        // Low frequencies at the left (vertical) or the bottom (horizontal)
+        const offset = (vertical ? p : lookup.length - 1 - p) * 4;
+        data[offset] = colorMap[color];
+        data[offset + 1] = colorMap[color + 1];
+        data[offset + 2] = colorMap[color + 2];
+        data[offset + 3] = 255;
+    }
+
+    if (vertical) {
+        bufferCtx.drawImage(buffer, 0, step);
+        bufferCtx.putImageData(line, 0, 0);
+        if (step > 1) bufferCtx.drawImage(buffer, 0, 0, width, 1, 0, 1, width, step - 1);
+    } else {
+        bufferCtx.drawImage(buffer, -step, 0);
+        bufferCtx.putImageData(line, width - 1, 0);
+        if (step > 1) bufferCtx.drawImage(buffer, width - 1, 0, 1, height, width - step, 0, step - 1, height);
+    }
+}
+
+function formatFrequency(frequency) {
+    return frequency >= 1000 ? `${frequency / 1000}k` : String(frequency);
+}
+
+/**
+ * Frequency gridlines and labels, plus time labels along the scroll direction
+ */
+function drawLabels({ ctx, width, height, state }, vertical) {
+    ctx.font = '11px sans-serif';
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.12)';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+
+    if (state.range) {
+        const [low, high] = state.range;
+        const logSpan = Math.log(high / low);
+        const size = vertical ? width : height;
+
+        ctx.textAlign = 'left';
+        LABEL_FREQUENCIES.forEach(frequency => {
+            if (frequency < low || frequency > high) return;
+            const p = Math.round((Math.log(frequency / low) / logSpan) * size) + 0.5;
+            ctx.beginPath();
+            if (vertical) {
+                ctx.moveTo(p, 0);
+                ctx.lineTo(p, height);
+                ctx.stroke();
+                ctx.fillText(formatFrequency(frequency), p + 3, height - 6);
+            } else {
+                ctx.moveTo(0, height - p);
+                ctx.lineTo(width, height - p);
+                ctx.stroke();
+                ctx.fillText(formatFrequency(frequency), 6, height - p - 3);
+            }
+        });
+    }
+
+    // History moves at a fixed speed, so seconds ago map straight to pixels
+    const length = vertical ? height : width;
+    for (let seconds = TIME_TICK; seconds * SCROLL_SPEED < length; seconds += TIME_TICK) {
+        const offset = seconds * SCROLL_SPEED;
+        if (vertical) {
+            ctx.textAlign = 'right';
+            ctx.fillText(`-${seconds}s`, width - 6, offset - 3);
+        } else {
+            ctx.textAlign = 'center';
+            ctx.fillText(`-${seconds}s`, width - offset, 14);
+        }
+    }
+    ctx.textAlign = 'left';
+}
+
+/**
+ * Recent spectra as lines receding toward a horizon, drawn back to front
+ * so nearer rows hide the ones behind them
+ */
+function drawWaterfall3d(frame) {
+    const { ctx, width, height, frequencyData, background, getColor, state } = frame;
+    updateLookup(frame, WATERFALL_POINTS);
+
+    state.rowTimer += frame.deltaTime;
+    if (state.rows.length === 0 || state.rowTimer >= WATERFALL_INTERVAL) {
+        state.rowTimer %= WATERFALL_INTERVAL;
+        const row = state.rows.length >= WATERFALL_ROWS ? state.rows.shift() : new Uint8Array(WATERFALL_POINTS);
+        for (let p = 0; p < WATERFALL_POINTS; p++) {
+            row[p] = frequencyData[state.lookup[p]];
+        }
+        state.rows.push(row);
+    }
+
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, width, height);
+
+    const front = height * 0.92;
+    const horizon = height * 0.3;
+    const rows = state.rows;
+    ctx.lineWidth = 1.5;
+
+    for (let r = 0; r < rows.length; r++) {
+        const depth = (rows.length - 1 - r) / (WATERFALL_ROWS - 1); // 0 = newest, at the front
+        const scale = 1 / (1 + depth * 1.5);
+        const baseline = horizon + (front - horizon) * (scale - 0.4) / 0.6;
+        const rowWidth = width * 0.9 * scale;
+        const left = (width - rowWidth) / 2;
+        const amplitude = height * 0.45 * scale;
+        const row = rows[r];
+
+        ctx.beginPath();
+        ctx.moveTo(left, baseline);
+        for (let p = 0; p < WATERFALL_POINTS; p++) {
+            ctx.lineTo(left + (p / (WATERFALL_POINTS - 1)) * rowWidth, baseline - (row[p] / 255) * amplitude);
+        }
+        ctx.lineTo(left + rowWidth, baseline);
+        ctx.closePath();
+        ctx.fillStyle = background;
+        ctx.fill();
+        ctx.strokeStyle = getColor(0, 1, 1 - depth * 0.7);
+        ctx.stroke();
+    }
+
+    // Frequency labels under the front row
+    if (state.range) {
+        const [low, high] = state.range;
+        const rowWidth = width * 0.9;
+        const left = (width - rowWidth) / 2;
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        LABEL_FREQUENCIES.forEach(frequency => {
+            if (frequency < low || frequency > high) return;
+            const x = left + (Math.log(frequency / low) / Math.log(high / low)) * rowWidth;
+            ctx.fillText(formatFrequency(frequency), x, front + 16);
+        });
+        ctx.textAlign = 'left';
+    }
+}
@@ -0,0 +1,79 @@
+import BarMeter from '../bar-meter.js';
+
+const CAP_HEIGHT = 2; // Peak cap thickness in pixels
+const MAX_GRADIENTS = 1024; // Cached gradients kept before the cache starts over
+
+/**
+ * Spectrum mode - gradient bars with a reflection below
+ */
+export default {
+    label: 'Spectrum',
+
+    init() {
+        return { meter: new BarMeter(), gradients: new Map() };
+    },
+
+    draw({ ctx, width, height, frequencyData, bufferLength, pulse, getColor, background, bars, deltaTime, state }) {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, width, height);
+
+        const meter = state.meter;
+        meter.update(frequencyData, bufferLength, bars, deltaTime);
+
+        // Mirrored bars replace the reflection; otherwise leave room below for it
+        const mirrored = bars.layout === 'mirrored';
+        const base = mirrored ? height / 2 : height * 0.8;
+        const maxHeight = mirrored ? height / 2 - CAP_HEIGHT : height * 0.75;
+        const scale = 1 + pulse * 0.2;
+
+        meter.forEachBar(width, bars, (x, barWidth, i) => {
+            const level = meter.levels[i];
+            const barHeight = Math.min(1, level * scale) * maxHeight;
+            const bright = getColor(i, meter.count, 1);
+            const dim = getColor(i, meter.count, 0.3);
+
+            fillGradient(ctx, state.gradients, bright, dim, x, base - barHeight, barWidth, barHeight);
+            if (mirrored) {
+                fillGradient(ctx, state.gradients, dim, bright, x, base, barWidth, barHeight);
+            } else {
+                // Add reflection, faded by level through alpha so its gradient only depends on the color
+                ctx.globalAlpha = Math.min(1, level);
+                fillGradient(ctx, state.gradients, dim, 'rgba(0, 0, 0, 0)', x, base, barWidth, barHeight * 0.3);
+                ctx.globalAlpha = 1;
+            }
+
+            if (bars.peaks === 'on') {
+                const peakHeight = Math.min(1, meter.peaks[i] * scale) * maxHeight;
+                ctx.fillStyle = getColor(i, meter.count, 1);
+                ctx.fillRect(x, base - peakHeight - CAP_HEIGHT, barWidth, CAP_HEIGHT);
+                if (mirrored) {
+                    ctx.fillRect(x, base + peakHeight, barWidth, CAP_HEIGHT);
+                }
+            }
+        });
+    }
+};
+
+/**
+ * Fill a rectangle with a vertical gradient from `top` to `bottom`. The
+ * gradients are built once per color pair over 0..1 and stretched to each
+ * bar with a transform, instead of creating new ones every bar every frame.
+ */
+function fillGradient(ctx, cache, top, bottom, x, y, width, height) {
+    if (height <= 0) return;
+
+    const key = `${top}|${bottom}`;
+    let gradient = cache.get(key);
+    if (!gradient) {
+        if (cache.size >= MAX_GRADIENTS) cache.clear();
+        gradient = ctx.createLinearGradient(0, 0, 0, 1);
+        gradient.addColorStop(0, top);
+        gradient.addColorStop(1, bottom);
+        cache.set(key, gradient);
+    }
+
+    ctx.fillStyle = gradient;
+    ctx.setTransform(1, 0, 0, height, 0, y);
+    ctx.fillRect(x, 0, width, 1);
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+}
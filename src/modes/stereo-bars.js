@@ -0,0 +1,39 @@
+/**
+ * Stereo Bars mode - left channel rising above the center line, right
+ * channel mirrored below it
+ */
+export default {
+    label: 'Stereo Bars',
+
+    draw({ ctx, width, height, frequencyData, bufferLength, stereo, pulse, getColor, background }) {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, width, height);
+
+        // Without per-channel data both halves show the mix
+        const left = stereo ? stereo.left : frequencyData;
+        const right = stereo ? stereo.right : frequencyData;
+        const count = Math.min(bufferLength, left.length);
+        const center = height / 2;
+        const barWidth = width / count;
+        const drawWidth = Math.max(1, barWidth - 1);
+
+        for (let i = 0; i < count; i++) {
+            const x = i * barWidth;
+            const leftHeight = Math.min(1, (left[i] / 255) * (1 + pulse * 0.2)) * center;
+            const rightHeight = Math.min(1, (right[i] / 255) * (1 + pulse * 0.2)) * center;
+
+            ctx.fillStyle = getColor(i, count, left[i] / 255);
+            ctx.fillRect(x, center - leftHeight, drawWidth, leftHeight);
+            ctx.fillStyle = getColor(i, count, right[i] / 255);
+            ctx.fillRect(x, center, drawWidth, rightHeight);
+        }
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.fillRect(0, center - 0.5, width, 1);
+
+        ctx.font = '12px sans-serif';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.fillText('L', 8, 18);
+        ctx.fillText('R', 8, height - 8);
+    }
+};
@@ -0,0 +1,50 @@
+/**
+ * Stereo Circular mode - left channel around the left half of the ring, right
+ * channel around the right half, lows at the top, with a core that swells
+ * with the bass
+ */
+export default {
+    label: 'Stereo Circular',
+
+    draw({ ctx, width, height, frequencyData, bufferLength, stereo, pulse, energy, getColor, background, glow }) {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, width, height);
+
+        const left = stereo ? stereo.left : frequencyData;
+        const right = stereo ? stereo.right : frequencyData;
+        const count = Math.min(bufferLength, left.length);
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const radius = Math.min(width, height) / 3 * (1 + pulse * 0.08);
+
+        ctx.lineWidth = 3;
+        [[left, -1], [right, 1]].forEach(([data, side]) => {
+            for (let i = 0; i < count; i++) {
+                // From the top (0) down to the bottom (PI) on this side
+                const angle = ((i + 0.5) / count) * Math.PI;
+                const dx = side * Math.sin(angle);
+                const dy = -Math.cos(angle);
+                const barHeight = (data[i] / 255) * radius;
+
+                ctx.strokeStyle = getColor(i, count, data[i] / 255);
+                ctx.beginPath();
+                ctx.moveTo(centerX + dx * radius, centerY + dy * radius);
+                ctx.lineTo(centerX + dx * (radius + barHeight), centerY + dy * (radius + barHeight));
+                ctx.stroke();
+            }
+        });
+
+        const bass = energy ? energy.bass : 0;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius * (0.08 + bass * 0.25 + pulse * 0.05), 0, Math.PI * 2);
+        ctx.fillStyle = getColor(0, 1, 1);
+        ctx.fill();
+
+        if (glow > 0) {
+            ctx.shadowBlur = (10 + bass * 40 + pulse * 20) * glow;
+            ctx.shadowColor = getColor(0, 1, 1);
+            ctx.fill();
+            ctx.shadowBlur = 0;
+        }
+    }
+};
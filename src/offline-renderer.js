@@ -0,0 +1,343 @@
+import { Muxer, ArrayBufferTarget, FileSystemWritableFileStreamTarget } from 'webm-muxer';
+import Visualizer from './visualizer.js';
+import AnalysisGraph from './analysis-graph.js';
+import BeatDetector from './beat-detector.js';
+import FrequencyBinner from './frequency-binner.js';
+
+const SAMPLE_RATE = 48000; // Opus only encodes at 48 kHz
+const AUDIO_BITRATE = 192000;
+const VIDEO_CODECS = [
+    { encoder: 'vp09.00.10.08', muxer: 'V_VP9' },
+    { encoder: 'vp8', muxer: 'V_VP8' }
+];
+const DOWNBEAT_WAIT_SECONDS = 4; // Matches Visualizer.startAutoRotate
+
+/**
+ * OfflineRenderer class - renders a whole track to WebM, frame by frame.
+ *
+ * Unlike Recorder this never runs in real time: an OfflineAudioContext is
+ * suspended at every frame boundary, the visualizer draws that exact moment
+ * at a fixed size, and WebCodecs encodes the result. Every export of the same
+ * settings gets identical timing no matter how slow the machine is.
+ */
+class OfflineRenderer {
+    constructor(onProgress = null) {
+        this.onProgress = onProgress;
+        this.isRendering = false;
+        this.cancelled = false;
+    }
+
+    static isSupported() {
+        return typeof OfflineAudioContext !== 'undefined'
+            && typeof VideoEncoder !== 'undefined'
+            && typeof AudioEncoder !== 'undefined'
+            && typeof VideoFrame !== 'undefined';
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    /**
+     * Render `file` to WebM.
+     *
+     * `scene` mirrors the live visualizer (type, palette, scopeMode, spectrogramView, bars, presetName, autoRotate,
+     * rotation, presetLibrary, rotationSource, customPresets, overlay, track) and `analysis` the analyser settings. When `writable` (a FileSystemWritableFileStream)
+     * is given the video streams straight to disk and null is returned; otherwise a Blob.
+     */
+    async render(file, { width, height, fps = 30, videoBitsPerSecond = 16000000, scene, analysis, writable = null }) {
+        this.isRendering = true;
+        this.cancelled = false;
+
+        try {
+            this.report('decoding', 0);
+            const decoded = await this.decode(file);
+            // Resample to 48 kHz stereo once; the same buffer feeds the analysers and the audio track
+            const audioBuffer = await this.resample(decoded);
+            this.checkCancelled();
+
+            const videoCodec = await this.pickVideoCodec(width, height, fps, videoBitsPerSecond);
+            if (!videoCodec) {
+                throw new Error(`No video encoder available for ${width}×${height}`);
+            }
+
+            const muxer = new Muxer({
+                target: writable ? new FileSystemWritableFileStreamTarget(writable) : new ArrayBufferTarget(),
+                video: { codec: videoCodec.muxer, width, height, frameRate: fps },
+                audio: { codec: 'A_OPUS', sampleRate: SAMPLE_RATE, numberOfChannels: audioBuffer.numberOfChannels }
+            });
+
+            // Audio first: it's small, and the muxer can then write video clusters as they arrive
+            this.report('audio', 0);
+            await this.encodeAudio(audioBuffer, muxer);
+            this.checkCancelled();
+
+            await this.encodeVideo(audioBuffer, muxer, videoCodec, { width, height, fps, videoBitsPerSecond, scene, analysis });
+
+            this.report('finalizing', 1);
+            muxer.finalize();
+
+            if (writable) {
+                await writable.close();
+                return null;
+            }
+            return new Blob([muxer.target.buffer], { type: 'video/webm' });
+        } catch (error) {
+            if (writable) {
+                await writable.abort().catch(() => {});
+            }
+            throw error;
+        } finally {
+            this.isRendering = false;
+        }
+    }
+
+    async decode(file) {
+        const data = await file.arrayBuffer();
+        const context = new OfflineAudioContext(2, 1, SAMPLE_RATE);
+        return context.decodeAudioData(data);
+    }
+
+    async resample(buffer) {
+        const length = Math.ceil(buffer.duration * SAMPLE_RATE);
+        const context = new OfflineAudioContext(2, length, SAMPLE_RATE);
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(context.destination);
+        source.start(0);
+        return context.startRendering();
+    }
+
+    async pickVideoCodec(width, height, fps, bitrate) {
+        for (const codec of VIDEO_CODECS) {
+            const { supported } = await VideoEncoder.isConfigSupported({
+                codec: codec.encoder, width, height, bitrate, framerate: fps
+            });
+            if (supported) return codec;
+        }
+        return null;
+    }
+
+    async encodeAudio(buffer, muxer) {
+        let encoderError = null;
+        const encoder = new AudioEncoder({
+            output: (chunk, meta) => muxer.addAudioChunk(chunk, meta),
+            error: (error) => { encoderError = error; }
+        });
+        try {
+            encoder.configure({
+                codec: 'opus',
+                sampleRate: SAMPLE_RATE,
+                numberOfChannels: buffer.numberOfChannels,
+                bitrate: AUDIO_BITRATE
+            });
+
+            const channels = buffer.numberOfChannels;
+            for (let offset = 0; offset < buffer.length; offset += SAMPLE_RATE) {
+                const frames = Math.min(SAMPLE_RATE, buffer.length - offset);
+                const data = new Float32Array(frames * channels);
+                for (let c = 0; c < channels; c++) {
+                    data.set(buffer.getChannelData(c).subarray(offset, offset + frames), c * frames);
+                }
+
+                const audioData = new AudioData({
+                    format: 'f32-planar',
+                    sampleRate: SAMPLE_RATE,
+                    numberOfFrames: frames,
+                    numberOfChannels: channels,
+                    timestamp: Math.round(offset * 1e6 / SAMPLE_RATE),
+                    data
+                });
+                encoder.encode(audioData);
+                audioData.close();
+
+                if (encoderError) throw encoderError;
+                this.report('audio', offset / buffer.length);
+            }
+
+            await encoder.flush();
+            if (encoderError) throw encoderError;
+        } finally {
+            // An encoder error closes it already
+            if (encoder.state !== 'closed') {
+                encoder.close();
+            }
+        }
+    }
+
+    async encodeVideo(audioBuffer, muxer, videoCodec, { width, height, fps, videoBitsPerSecond, scene, analysis }) {
+        let encoderError = null;
+        const encoder = new VideoEncoder({
+            output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+            error: (error) => { encoderError = error; }
+        });
+        let visualizer = null;
+        try {
+            encoder.configure({
+                codec: videoCodec.encoder,
+                width,
+                height,
+                bitrate: videoBitsPerSecond,
+                framerate: fps
+            });
+
+            const context = new OfflineAudioContext(2, audioBuffer.length, SAMPLE_RATE);
+            const source = context.createBufferSource();
+            source.buffer = audioBuffer;
+            const graph = new AnalysisGraph(context, analysis);
+            graph.connect(source);
+            source.connect(context.destination);
+
+            const canvas = document.createElement('canvas');
+            visualizer = new Visualizer(canvas, context, null, {
+                type: scene.type,
+                width,
+                height,
+                frameDuration: 1 / fps
+            });
+            visualizer.setColorScheme(scene.palette);
+            visualizer.setScopeMode(scene.scopeMode);
+            visualizer.setSpectrogramView(scene.spectrogramView);
+            visualizer.setBarSettings(scene.bars);
+            if (scene.customPresets) {
+                visualizer.addPresets(scene.customPresets);
+            }
+            // Wall-clock rotation timers would make the export depend on render speed
+            visualizer.isAutoRotating = false;
+            if (scene.presetLibrary) {
+                visualizer.setPresetLibrary(scene.presetLibrary);
+            }
+            visualizer.setRotationSource(scene.rotationSource || 'all');
+            if (scene.rotation) {
+                visualizer.setAutoRotateSettings(scene.rotation);
+            }
+            visualizer.currentPresetIndex = Math.max(0, visualizer.presetKeys.indexOf(scene.presetName));
+            visualizer.initButterchurn(context, graph.input);
+
+            // The text overlay goes on top in a second canvas; the visualizer's may be WebGL
+            let output = visualizer.canvas;
+            let outputCtx = null;
+            if (scene.overlay) {
+                output = document.createElement('canvas');
+                output.width = width;
+                output.height = height;
+                outputCtx = output.getContext('2d');
+            }
+
+            // Same rotation rules as live playback, but counted in track time
+            const rotateSeconds = visualizer.rotateInterval;
+            let nextRotation = rotateSeconds;
+            let rotationPending = false;
+            const beatDetector = new BeatDetector();
+            beatDetector.on('beat', (beat) => {
+                visualizer.onBeat(beat);
+                if (rotationPending && beat.downbeat) {
+                    rotationPending = false;
+                    visualizer.rotatePreset();
+                }
+            });
+
+            const binner = new FrequencyBinner(analysis);
+            // Each frame shows the audio up to the end of its interval; the suspend
+            // has to land strictly inside the rendered range
+            const quantum = 128 / SAMPLE_RATE;
+            const frameCount = Math.max(1, Math.floor((audioBuffer.duration - quantum) * fps));
+            const frameDuration = Math.round(1e6 / fps);
+
+            await new Promise((resolve, reject) => {
+                // After a failure, stop pausing at frames and let the context run to
+                // the end, or startRendering would never settle
+                let failed = false;
+                const fail = (error) => {
+                    if (failed) return;
+                    failed = true;
+                    reject(error);
+                    context.resume().catch(() => {});
+                };
+
+                const captureFrame = async (n) => {
+                    if (failed) return;
+                    try {
+                        const time = (n + 1) / fps;
+                        graph.update();
+                        beatDetector.update(graph.frequencyData, SAMPLE_RATE, time);
+
+                        if (scene.autoRotate && time >= nextRotation) {
+                            nextRotation += rotateSeconds;
+                            rotationPending = true;
+                        }
+                        if (rotationPending && time >= nextRotation - rotateSeconds + DOWNBEAT_WAIT_SECONDS) {
+                            rotationPending = false;
+                            visualizer.rotatePreset();
+                        }
+
+                        const bands = binner.map(graph.frequencyData, SAMPLE_RATE);
+                        visualizer.draw(bands, bands.length, {
+                            waveform: graph.waveform,
+                            stereo: binner.mapStereo(graph.stereoFrequencyData, SAMPLE_RATE),
+                            bandFrequencies: binner.getBandFrequencies(graph.frequencyData.length, SAMPLE_RATE),
+                            energy: beatDetector.getEnergies()
+                        });
+
+                        if (outputCtx) {
+                            outputCtx.drawImage(visualizer.canvas, 0, 0);
+                            // Track time doubles as time since the track info appeared
+                            scene.overlay.draw(outputCtx, width, height, { track: scene.track, elapsed: time });
+                        }
+
+                        const frame = new VideoFrame(output, {
+                            timestamp: n * frameDuration,
+                            duration: frameDuration
+                        });
+                        encoder.encode(frame, { keyFrame: n % (fps * 2) === 0 });
+                        frame.close();
+
+                        // Don't let the encoder fall too far behind
+                        while (encoder.encodeQueueSize > 8 && !encoderError) {
+                            await new Promise(r => setTimeout(r, 5));
+                        }
+                        if (encoderError) throw encoderError;
+                        this.checkCancelled();
+                        this.report('video', (n + 1) / frameCount);
+
+                        if (n + 1 < frameCount && !failed) {
+                            context.suspend((n + 2) / fps).then(() => captureFrame(n + 1), fail);
+                        }
+                        context.resume();
+                    } catch (error) {
+                        fail(error);
+                    }
+                };
+
+                source.start(0);
+                context.suspend(1 / fps).then(() => captureFrame(0), fail);
+                context.startRendering().then(resolve, fail);
+            });
+
+            await encoder.flush();
+            if (encoderError) throw encoderError;
+        } finally {
+            if (encoder.state !== 'closed') {
+                encoder.close();
+            }
+            // Each export makes its own WebGL context; left alive they'd push out the live view's
+            if (visualizer) {
+                visualizer.dispose();
+            }
+        }
+    }
+
+    checkCancelled() {
+        if (this.cancelled) {
+            throw new Error('Export cancelled');
+        }
+    }
+
+    report(stage, progress) {
+        if (this.onProgress) {
+            this.onProgress(stage, progress);
+        }
+    }
+}
+
+export default OfflineRenderer;
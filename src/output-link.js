@@ -0,0 +1,42 @@
+const CHANNEL_NAME = 'retroviz.output';
+
+/**
+ * OutputLink class - the BroadcastChannel between the control window and its
+ * pop-out output windows. Messages are plain `{ type, ...data }` objects.
+ *
+ * Control to output:
+ *   scene          visualization type, palette, mode settings and presets
+ *   preset         milkdrop preset change, with its blend time
+ *   overlay        overlay settings
+ *   track          overlay track info and how long ago it appeared
+ *   frame          one frame of analysed audio
+ *   beat           a BeatDetector beat
+ *   stop           playback stopped
+ *   control-ready  a control window (re)loaded; outputs answer with hello
+ *   close          close the output window
+ *
+ * Output to control:
+ *   hello          an output window opened and wants the full state
+ *   resize         the output's canvas size changed
+ *   bye            an output window is closing
+ */
+class OutputLink {
+    constructor(onMessage) {
+        this.channel = new BroadcastChannel(CHANNEL_NAME);
+        this.channel.addEventListener('message', (e) => onMessage(e.data));
+    }
+
+    static isSupported() {
+        return typeof BroadcastChannel !== 'undefined';
+    }
+
+    send(type, data = {}) {
+        this.channel.postMessage({ type, ...data });
+    }
+
+    close() {
+        this.channel.close();
+    }
+}
+
+export default OutputLink;
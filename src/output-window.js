@@ -0,0 +1,234 @@
+import Visualizer from './visualizer.js';
+import Overlay from './overlay.js';
+import OutputLink from './output-link.js';
+import PerformanceMonitor from './performance-monitor.js';
+
+const BUTTERCHURN_SAMPLES = 1024; // Time-domain bytes butterchurn reads per frame
+const IDLE_MS = 250; // No frames for this long means the control window paused
+
+/**
+ * Pop-out output window - shows only the visualization, for a projector or
+ * second display. It has no audio of its own: the control window sends the
+ * scene, preset changes, beats and every analysed frame over an OutputLink,
+ * and this window draws them at its own size.
+ */
+
+const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+let visualizer = null; // Created by the first scene, which says what to draw
+let pendingFrame = null; // Latest frame not drawn yet
+let frameReceivedAt = 0;
+let frameRequest = null;
+const audioLevels = {
+    timeByteArray: new Uint8ClampedArray(BUTTERCHURN_SAMPLES),
+    timeByteArrayL: new Uint8ClampedArray(BUTTERCHURN_SAMPLES),
+    timeByteArrayR: new Uint8ClampedArray(BUTTERCHURN_SAMPLES)
+};
+
+// DOM elements
+const canvas = document.getElementById('visualizer');
+const overlayCanvas = document.getElementById('overlayCanvas');
+const overlayCtx = overlayCanvas.getContext('2d');
+const statusDiv = document.getElementById('outputStatus');
+
+const overlay = new Overlay(() => renderOverlay());
+// Adapts to this window's own frame times; the settings come with the scene
+const performanceMonitor = new PerformanceMonitor(() => {
+    if (!visualizer) return;
+    visualizer.setOffscreen(performanceMonitor.settings.offscreen);
+    visualizer.setRenderQuality(performanceMonitor.quality);
+});
+const link = new OutputLink(handleMessage);
+link.send('hello', { id, ...outputSize() });
+
+window.addEventListener('resize', () => {
+    link.send('resize', { id, ...outputSize() });
+    renderOverlay();
+});
+window.addEventListener('beforeunload', () => link.send('bye', { id }));
+
+// Fullscreen on double-click or F, like the main window
+document.addEventListener('dblclick', toggleFullscreen);
+document.addEventListener('keydown', (e) => {
+    if (e.key.toLowerCase() === 'f') toggleFullscreen();
+});
+
+function handleMessage(message) {
+    switch (message.type) {
+        case 'scene':
+            applyScene(message.scene);
+            break;
+        case 'preset':
+            if (visualizer) {
+                visualizer.setAutoRotateSettings({ blendTime: message.blendTime });
+                visualizer.loadPreset(message.name);
+            }
+            break;
+        case 'overlay':
+            applyOverlaySettings(message.settings);
+            break;
+        case 'track':
+            showTrack(message.info, message.elapsed);
+            break;
+        case 'frame':
+            pendingFrame = message.frame;
+            frameReceivedAt = performance.now();
+            if (!frameRequest) {
+                frameRequest = requestAnimationFrame(animate);
+            }
+            break;
+        case 'beat':
+            if (visualizer) visualizer.onBeat(message.beat);
+            break;
+        case 'stop':
+            stop();
+            break;
+        case 'control-ready':
+            link.send('hello', { id, ...outputSize() });
+            break;
+        case 'close':
+            window.close();
+            break;
+    }
+}
+
+function outputSize() {
+    return { width: window.innerWidth, height: window.innerHeight };
+}
+
+/**
+ * Follow the control window's visualization settings
+ */
+function applyScene(scene) {
+    if (!visualizer) {
+        visualizer = new Visualizer(canvas, null, null, { type: scene.type });
+        // The control window decides when presets change
+        visualizer.isAutoRotating = false;
+        visualizer.currentPresetIndex = Math.max(0, visualizer.presetKeys.indexOf(scene.presetName));
+        // butterchurn wants a context for its analysers even though audioLevels replace them
+        visualizer.initButterchurn(new OfflineAudioContext(2, 1, scene.sampleRate), null);
+    }
+
+    performanceMonitor.apply(scene.performance);
+
+    if (scene.customPresets) {
+        visualizer.addPresets(scene.customPresets);
+    }
+    if (visualizer.type !== scene.type) {
+        visualizer.setType(scene.type);
+    }
+    visualizer.setColorScheme(scene.palette);
+    visualizer.setScopeMode(scene.scopeMode);
+    visualizer.setSpectrogramView(scene.spectrogramView);
+    visualizer.setBarSettings(scene.bars);
+    visualizer.setAutoRotateSettings({ blendTime: scene.blendTime });
+    if (visualizer.presetKeys[visualizer.currentPresetIndex] !== scene.presetName) {
+        visualizer.loadPreset(scene.presetName);
+    }
+}
+
+function applyOverlaySettings(settings) {
+    const logoChanged = settings.logo !== overlay.settings.logo;
+    // Only mirrored here; the control window saves them
+    Object.assign(overlay.settings, settings);
+    if (logoChanged) {
+        overlay.loadLogo();
+    }
+    renderOverlay();
+}
+
+async function showTrack(info, elapsed) {
+    if (!info) {
+        overlay.showTrack(null);
+        renderOverlay();
+        return;
+    }
+
+    // Cover art travels as the original image Blob; bitmaps don't cross windows
+    const cover = info.picture ? await createImageBitmap(info.picture).catch(() => null) : null;
+    overlay.showTrack({ ...info, cover });
+    overlay.trackShownAt -= elapsed;
+    renderOverlay();
+}
+
+function stop() {
+    pendingFrame = null;
+    if (frameRequest) {
+        cancelAnimationFrame(frameRequest);
+        frameRequest = null;
+    }
+    if (visualizer) visualizer.clear();
+    overlay.showTrack(null);
+    renderOverlay();
+    statusDiv.classList.remove('hidden');
+}
+
+/**
+ * This window's animation loop, running while frames come in. Each frame is
+ * drawn once, but the monitor sees every animation frame, so it measures how
+ * fast this window draws rather than how often frames arrive.
+ */
+function animate(now) {
+    frameRequest = null;
+    if (!visualizer || (!pendingFrame && now - frameReceivedAt > IDLE_MS)) return;
+
+    frameRequest = requestAnimationFrame(animate);
+
+    // The control window's FPS cap applies here too
+    if (!performanceMonitor.due(now)) return;
+    const frameStart = performance.now();
+
+    if (pendingFrame) {
+        drawFrame(pendingFrame);
+        pendingFrame = null;
+    }
+
+    if (performanceMonitor.frame(now, performance.now() - frameStart)) {
+        visualizer.setRenderQuality(performanceMonitor.quality);
+    }
+}
+
+function drawFrame({ bands, ...analysis }) {
+    if (visualizer.type === 'milkdrop') {
+        analysis.audioLevels = toAudioLevels(analysis.waveform);
+    }
+    visualizer.draw(bands, bands.length, analysis);
+    renderOverlay();
+    statusDiv.classList.add('hidden');
+}
+
+/**
+ * butterchurn's input: unsigned bytes centered on 128, per channel and mixed
+ */
+function toAudioLevels({ left, right }) {
+    const count = Math.min(BUTTERCHURN_SAMPLES, left.length);
+    for (let i = 0; i < count; i++) {
+        audioLevels.timeByteArrayL[i] = 128 + left[i] * 128;
+        audioLevels.timeByteArrayR[i] = 128 + right[i] * 128;
+        audioLevels.timeByteArray[i] = 128 + (left[i] + right[i]) * 64;
+    }
+    return audioLevels;
+}
+
+/**
+ * Redraw the overlay canvas at the visualizer's size
+ */
+function renderOverlay() {
+    const width = visualizer ? visualizer.width : window.innerWidth;
+    const height = visualizer ? visualizer.height : window.innerHeight;
+    if (overlayCanvas.width !== width || overlayCanvas.height !== height) {
+        overlayCanvas.width = width;
+        overlayCanvas.height = height;
+    }
+    overlayCtx.clearRect(0, 0, width, height);
+    overlay.draw(overlayCtx, width, height);
+}
+
+function toggleFullscreen() {
+    if (!document.fullscreenElement) {
+        document.documentElement.requestFullscreen().catch(err => {
+            console.error(`Error attempting to enable fullscreen: ${err.message}`);
+        });
+    } else if (document.exitFullscreen) {
+        document.exitFullscreen();
+    }
+}
@@ -0,0 +1,3 @@
+// Entry point for the pop-out output window
+import '../styles.css';
+import './output-window.js';
@@ -0,0 +1,285 @@
+const OVERLAY_KEY = 'retroviz.overlay';
+const MAX_LOGO_BYTES = 1024 * 1024; // Data URL size that still fits comfortably in localStorage
+const FADE_IN_SECONDS = 0.6;
+const FADE_OUT_SECONDS = 1.2;
+const REFERENCE_HEIGHT = 1080; // Sizes below are in pixels at this output height
+
+const DEFAULTS = {
+    trackInfo: 'fade', // 'off', 'fade' (shown when a track starts) or 'always'
+    trackPosition: 'bottom-left',
+    holdSeconds: 6,
+    showCover: true,
+    textSize: 'medium',
+    textColor: '#ffffff',
+    customText: '',
+    customPosition: 'top-right',
+    logo: null // Image data URL
+};
+
+const POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+const TEXT_SIZES = { small: 30, medium: 42, large: 60 };
+const CHOICES = {
+    trackInfo: ['off', 'fade', 'always'],
+    trackPosition: POSITIONS,
+    customPosition: POSITIONS,
+    textSize: Object.keys(TEXT_SIZES)
+};
+
+/**
+ * Overlay class - track info, cover art, custom text and a logo drawn on top
+ * of the visualization.
+ *
+ * Everything is drawn with plain 2D canvas calls into whatever context it is
+ * given, so the live overlay canvas, recordings and offline exports all show
+ * the same thing. Sizes scale with the output height, so a 4K export looks
+ * like the 1080p preview. Settings are saved to localStorage.
+ */
+class Overlay {
+    constructor(onChange = null) {
+        this.onChange = onChange;
+        this.settings = { ...DEFAULTS };
+        this.logoImage = null;
+        this.track = null; // { title, artist, album, cover } of the playing track
+        this.trackShownAt = 0;
+        this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(OVERLAY_KEY));
+            if (stored && typeof stored === 'object') {
+                // Only known settings of the right type; anything else keeps its default
+                Object.keys(DEFAULTS).forEach(key => {
+                    if (!(key in stored)) return;
+                    if (CHOICES[key] && !CHOICES[key].includes(stored[key])) return;
+                    if (key === 'logo' ? typeof stored.logo === 'string' : typeof stored[key] === typeof DEFAULTS[key]) {
+                        this.settings[key] = stored[key];
+                    }
+                });
+            }
+        } catch (e) {
+            // Corrupt entry: stay on defaults
+        }
+        this.loadLogo();
+    }
+
+    /**
+     * Merge changed settings and save them. Returns false if they couldn't be
+     * stored (a logo too big for localStorage); the change still applies.
+     */
+    update(changes) {
+        Object.assign(this.settings, changes);
+        if ('logo' in changes) {
+            this.loadLogo();
+        }
+        if (this.onChange) this.onChange();
+
+        try {
+            localStorage.setItem(OVERLAY_KEY, JSON.stringify(this.settings));
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Read an image file into a data URL for use as the logo
+     */
+    static readLogo(file) {
+        if (file.size > MAX_LOGO_BYTES) {
+            return Promise.reject(new Error(`Logo is too large (max ${MAX_LOGO_BYTES / 1024} KB)`));
+        }
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    loadLogo() {
+        this.logoImage = null;
+        if (!this.settings.logo) return;
+
+        const image = new Image();
+        image.onload = () => {
+            if (this.onChange) this.onChange();
+        };
+        image.src = this.settings.logo;
+        this.logoImage = image;
+    }
+
+    /**
+     * Start showing a new track; with 'fade' it stays up for holdSeconds
+     */
+    showTrack(track) {
+        this.track = track;
+        this.trackShownAt = performance.now() / 1000;
+    }
+
+    /**
+     * Draw the overlay. `elapsed` is the time since the track was shown, in
+     * seconds; offline renders pass the track time so the fade is frame-exact.
+     */
+    draw(ctx, width, height, { track = this.track, elapsed = performance.now() / 1000 - this.trackShownAt } = {}) {
+        const scale = height / REFERENCE_HEIGHT;
+        const margin = 48 * scale;
+
+        ctx.save();
+        ctx.textBaseline = 'top';
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
+        ctx.shadowBlur = 12 * scale;
+
+        const alpha = this.trackAlpha(elapsed);
+        if (track && alpha > 0) {
+            ctx.globalAlpha = alpha;
+            this.drawTrack(ctx, width, height, track, scale, margin);
+        }
+
+        ctx.globalAlpha = 1;
+        this.drawCustom(ctx, width, height, scale, margin);
+        ctx.restore();
+    }
+
+    trackAlpha(elapsed) {
+        const { trackInfo, holdSeconds } = this.settings;
+        if (trackInfo === 'off') return 0;
+        if (trackInfo === 'always') return 1;
+
+        if (elapsed < 0) return 0;
+        if (elapsed < FADE_IN_SECONDS) return elapsed / FADE_IN_SECONDS;
+        const fading = elapsed - FADE_IN_SECONDS - holdSeconds;
+        return fading < 0 ? 1 : Math.max(0, 1 - fading / FADE_OUT_SECONDS);
+    }
+
+    /**
+     * Cover art beside a title line and an artist / album line
+     */
+    drawTrack(ctx, width, height, track, scale, margin) {
+        const { trackPosition, textSize, textColor, showCover } = this.settings;
+        const titleSize = TEXT_SIZES[textSize] * scale;
+        const detailSize = titleSize * 0.65;
+        const lineGap = titleSize * 0.3;
+        const detail = [track.artist, track.album].filter(Boolean).join(' — ');
+
+        const titleFont = `600 ${titleSize}px sans-serif`;
+        const detailFont = `${detailSize}px sans-serif`;
+        // Long titles are cut so the block never runs off the frame
+        const maxTextWidth = width * 0.6;
+        ctx.font = titleFont;
+        const title = fitText(ctx, track.title, maxTextWidth);
+        const titleWidth = ctx.measureText(title).width;
+        ctx.font = detailFont;
+        const detailText = fitText(ctx, detail, maxTextWidth);
+        const detailWidth = detailText ? ctx.measureText(detailText).width : 0;
+
+        const textHeight = titleSize + (detailText ? lineGap + detailSize : 0);
+        const cover = showCover ? track.cover : null;
+        const coverSize = cover ? Math.max(textHeight, titleSize * 2.4) : 0;
+        const coverGap = cover ? titleSize * 0.5 : 0;
+        const blockWidth = coverSize + coverGap + Math.max(titleWidth, detailWidth);
+        const blockHeight = Math.max(coverSize, textHeight);
+
+        const { x, y } = anchor(trackPosition, width, height, blockWidth, blockHeight, margin);
+        // Right-hand blocks put the cover on the outside edge and right-align the text
+        const coverRight = trackPosition.endsWith('right');
+        const textX = coverRight ? x : x + coverSize + coverGap;
+        const textWidth = blockWidth - coverSize - coverGap;
+        const textY = y + (blockHeight - textHeight) / 2;
+        const lineX = (lineWidth) => {
+            if (coverRight) return textX + textWidth - lineWidth;
+            if (trackPosition === 'center') return textX + (textWidth - lineWidth) / 2;
+            return textX;
+        };
+
+        if (cover) {
+            // Crop non-square art to its middle square
+            const side = Math.min(cover.width, cover.height);
+            const coverX = coverRight ? x + blockWidth - coverSize : x;
+            ctx.drawImage(cover, (cover.width - side) / 2, (cover.height - side) / 2, side, side,
+                coverX, y + (blockHeight - coverSize) / 2, coverSize, coverSize);
+        }
+
+        ctx.textAlign = 'left';
+        ctx.fillStyle = textColor;
+        ctx.font = titleFont;
+        ctx.fillText(title, lineX(titleWidth), textY);
+        if (detailText) {
+            ctx.font = detailFont;
+            ctx.globalAlpha *= 0.75;
+            ctx.fillText(detailText, lineX(detailWidth), textY + titleSize + lineGap);
+        }
+    }
+
+    /**
+     * Logo with the custom text below it, both in the custom corner
+     */
+    drawCustom(ctx, width, height, scale, margin) {
+        const { customText, customPosition, textSize, textColor } = this.settings;
+        const logo = this.logoImage && this.logoImage.complete && this.logoImage.naturalWidth > 0 ? this.logoImage : null;
+        const text = customText.trim();
+        if (!logo && !text) return;
+
+        const textHeight = TEXT_SIZES[textSize] * scale * 0.8;
+        ctx.font = `600 ${textHeight}px sans-serif`;
+        const fitted = text ? fitText(ctx, text, width * 0.8) : '';
+        const textWidth = fitted ? ctx.measureText(fitted).width : 0;
+
+        // Logos fit a box of 180 px high and 30% of the width
+        let logoWidth = 0;
+        let logoHeight = 0;
+        if (logo) {
+            const logoScale = Math.min(180 * scale / logo.naturalHeight, width * 0.3 / logo.naturalWidth);
+            logoWidth = logo.naturalWidth * logoScale;
+            logoHeight = logo.naturalHeight * logoScale;
+        }
+
+        const gap = logo && fitted ? textHeight * 0.5 : 0;
+        const blockWidth = Math.max(logoWidth, textWidth);
+        const blockHeight = logoHeight + gap + (fitted ? textHeight : 0);
+        const { x, y } = anchor(customPosition, width, height, blockWidth, blockHeight, margin);
+        // Line both up on the side they're anchored to
+        const alignedX = (itemWidth) => {
+            if (customPosition.endsWith('left')) return x;
+            if (customPosition.endsWith('right')) return x + blockWidth - itemWidth;
+            return x + (blockWidth - itemWidth) / 2;
+        };
+
+        if (logo) {
+            ctx.drawImage(logo, alignedX(logoWidth), y, logoWidth, logoHeight);
+        }
+        if (fitted) {
+            ctx.textAlign = 'left';
+            ctx.fillStyle = textColor;
+            ctx.fillText(fitted, alignedX(textWidth), y + logoHeight + gap);
+        }
+    }
+}
+
+/**
+ * Top-left corner of a block placed at a named position
+ */
+function anchor(position, width, height, blockWidth, blockHeight, margin) {
+    if (position === 'center') {
+        return { x: (width - blockWidth) / 2, y: (height - blockHeight) / 2 };
+    }
+    return {
+        x: position.endsWith('left') ? margin : width - margin - blockWidth,
+        y: position.startsWith('top') ? margin : height - margin - blockHeight
+    };
+}
+
+/**
+ * Shorten text with an ellipsis until it fits maxWidth in the current font
+ */
+function fitText(ctx, text, maxWidth) {
+    if (!text || ctx.measureText(text).width <= maxWidth) return text;
+
+    let end = text.length;
+    while (end > 0 && ctx.measureText(`${text.slice(0, end)}…`).width > maxWidth) {
+        end--;
+    }
+    return `${text.slice(0, end).trimEnd()}…`;
+}
+
+export default Overlay;
@@ -0,0 +1,87 @@
+import Palette from './palette.js';
+
+const PALETTES_KEY = 'retroviz.palettes';
+
+/**
+ * PaletteLibrary class - user-defined color palettes next to the built-in
+ * ones, saved to localStorage. Entries are plain palette definitions (see
+ * Palette); built-ins are read-only and can only be duplicated.
+ */
+class PaletteLibrary {
+    constructor(onChange = null) {
+        this.onChange = onChange;
+        this.custom = [];
+        this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(PALETTES_KEY));
+            if (Array.isArray(stored)) {
+                this.custom = stored.filter(palette => palette && typeof palette.id === 'string' && Array.isArray(palette.stops));
+            }
+        } catch (e) {
+            // Corrupt entry: start without custom palettes
+            this.custom = [];
+        }
+    }
+
+    save() {
+        localStorage.setItem(PALETTES_KEY, JSON.stringify(this.custom));
+    }
+
+    list() {
+        return [...Palette.builtIns, ...this.custom];
+    }
+
+    get(id) {
+        return this.list().find(palette => palette.id === id) || null;
+    }
+
+    isCustom(id) {
+        return this.custom.some(palette => palette.id === id);
+    }
+
+    /**
+     * Add a palette copied from `base` (any definition) and return it
+     */
+    create(base) {
+        const palette = {
+            id: `custom-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: base.builtIn ? `My ${base.name}` : `${base.name} Copy`,
+            stops: base.stops.map(stop => ({ ...stop })),
+            mapping: base.mapping,
+            background: base.background,
+            glow: base.glow
+        };
+        this.custom.push(palette);
+        this.save();
+        this.notify();
+        return palette;
+    }
+
+    update(id, changes) {
+        const index = this.custom.findIndex(palette => palette.id === id);
+        if (index === -1) return null;
+
+        this.custom[index] = { ...this.custom[index], ...changes, id };
+        this.save();
+        this.notify();
+        return this.custom[index];
+    }
+
+    remove(id) {
+        const before = this.custom.length;
+        this.custom = this.custom.filter(palette => palette.id !== id);
+        if (this.custom.length !== before) {
+            this.save();
+            this.notify();
+        }
+    }
+
+    notify() {
+        if (this.onChange) this.onChange();
+    }
+}
+
+export default PaletteLibrary;
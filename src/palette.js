@@ -0,0 +1,173 @@
+const POSITIONS = 128; // Lookup steps along the bin index
+const LEVELS = 32; // Lookup steps of intensity
+const HIGHLIGHT = 0.4; // How far 'both' lightens the loudest bins toward white
+
+/**
+ * The original five schemes as gradients. Each reproduces the old formula
+ * exactly: the single-hue ones were straight lines between two colors, and
+ * rainbow was a full hue circle lightened from 50% to 70% by intensity.
+ */
+const BUILT_IN = [
+    {
+        id: 'classic',
+        name: 'Classic Blue',
+        mapping: 'intensity',
+        stops: [{ position: 0, color: '#000064' }, { position: 1, color: '#0096ff' }]
+    },
+    {
+        id: 'fire',
+        name: 'Fire',
+        mapping: 'intensity',
+        stops: [{ position: 0, color: '#c80000' }, { position: 1, color: '#ff6400' }]
+    },
+    {
+        id: 'ocean',
+        name: 'Ocean',
+        mapping: 'intensity',
+        stops: [{ position: 0, color: '#000096' }, { position: 1, color: '#00c8ff' }]
+    },
+    {
+        id: 'rainbow',
+        name: 'Rainbow',
+        mapping: 'both',
+        stops: ['#ff0000', '#ffff00', '#00ff00', '#00ffff', '#0000ff', '#ff00ff', '#ff0000']
+            .map((color, i) => ({ position: i / 6, color }))
+    },
+    {
+        id: 'neon',
+        name: 'Neon Green',
+        mapping: 'intensity',
+        stops: [{ position: 0, color: '#00c800' }, { position: 1, color: '#00ff64' }]
+    }
+].map(palette => ({ ...palette, background: '#000000', glow: 1, builtIn: true }));
+
+/**
+ * Palette class - a color scheme precomputed into a lookup table.
+ *
+ * A definition is `{ id, name, stops: [{ position, color }], mapping, background, glow }`.
+ * `mapping` picks what moves along the gradient: 'index' (position across
+ * the spectrum), 'intensity' (loudness) or 'both' (index for hue, intensity
+ * lightening toward white). getColor is a table read, so modes can call it
+ * per bar per frame without building color strings.
+ */
+class Palette {
+    constructor(definition) {
+        this.definition = Palette.normalize(definition);
+        this.id = this.definition.id;
+        this.name = this.definition.name;
+        this.background = this.definition.background;
+        this.glow = this.definition.glow;
+        this.lut = this.buildLut();
+        this.colorMap = this.buildColorMap();
+    }
+
+    static get builtIns() {
+        return BUILT_IN;
+    }
+
+    static builtIn(id) {
+        return BUILT_IN.find(palette => palette.id === id) || BUILT_IN[0];
+    }
+
+    /**
+     * Fill in defaults and sort stops so every definition is safe to build
+     */
+    static normalize(definition) {
+        const stops = (definition.stops || [])
+            .filter(stop => /^#[0-9a-f]{6}$/i.test(stop.color))
+            .map(stop => ({ position: Math.min(1, Math.max(0, Number(stop.position) || 0)), color: stop.color }))
+            .sort((a, b) => a.position - b.position);
+
+        return {
+            ...definition,
+            stops: stops.length > 0 ? stops : [{ position: 0, color: '#ffffff' }],
+            mapping: ['index', 'intensity', 'both'].includes(definition.mapping) ? definition.mapping : 'intensity',
+            background: /^#[0-9a-f]{6}$/i.test(definition.background) ? definition.background : '#000000',
+            glow: Number.isFinite(definition.glow) ? definition.glow : 1
+        };
+    }
+
+    getColor(index, total, intensity = 1) {
+        const position = total > 1 ? Math.min(POSITIONS - 1, Math.floor((index / total) * POSITIONS)) : 0;
+        const level = Math.round(Math.min(1, Math.max(0, intensity)) * (LEVELS - 1));
+        return this.lut[position * LEVELS + level];
+    }
+
+    /**
+     * CSS gradient of the stops, for previews
+     */
+    toCss(direction = 'to right') {
+        const stops = this.definition.stops.map(stop => `${stop.color} ${(stop.position * 100).toFixed(1)}%`);
+        return `linear-gradient(${direction}, ${stops.length > 1 ? stops.join(', ') : `${stops[0]}, ${stops[0]}`})`;
+    }
+
+    buildLut() {
+        const { mapping } = this.definition;
+        const stops = this.definition.stops.map(stop => ({ position: stop.position, rgb: parseHex(stop.color) }));
+        const lut = new Array(POSITIONS * LEVELS);
+
+        for (let p = 0; p < POSITIONS; p++) {
+            const t = p / POSITIONS;
+            for (let l = 0; l < LEVELS; l++) {
+                const intensity = l / (LEVELS - 1);
+                let rgb;
+                if (mapping === 'index') {
+                    rgb = sampleGradient(stops, t);
+                } else if (mapping === 'intensity') {
+                    rgb = sampleGradient(stops, intensity);
+                } else {
+                    const highlight = intensity * HIGHLIGHT;
+                    rgb = sampleGradient(stops, t).map(c => c + (255 - c) * highlight);
+                }
+                lut[p * LEVELS + l] = `rgb(${Math.round(rgb[0])}, ${Math.round(rgb[1])}, ${Math.round(rgb[2])})`;
+            }
+        }
+
+        return lut;
+    }
+
+    /**
+     * RGBA bytes for levels 0-255, for modes that write pixels directly: the
+     * gradient over intensity, fading into the background at low levels
+     */
+    buildColorMap() {
+        const stops = this.definition.stops.map(stop => ({ position: stop.position, rgb: parseHex(stop.color) }));
+        const background = parseHex(this.background);
+        const colorMap = new Uint8ClampedArray(256 * 4);
+
+        for (let level = 0; level < 256; level++) {
+            const t = level / 255;
+            const rgb = sampleGradient(stops, t);
+            for (let channel = 0; channel < 3; channel++) {
+                colorMap[level * 4 + channel] = background[channel] + (rgb[channel] - background[channel]) * t;
+            }
+            colorMap[level * 4 + 3] = 255;
+        }
+
+        return colorMap;
+    }
+}
+
+function parseHex(color) {
+    const value = parseInt(color.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Linear interpolation between the stops around `t`; clamps past the ends
+ */
+function sampleGradient(stops, t) {
+    if (t <= stops[0].position) return stops[0].rgb;
+    for (let i = 1; i < stops.length; i++) {
+        const stop = stops[i];
+        if (t <= stop.position) {
+            const previous = stops[i - 1];
+            const span = stop.position - previous.position;
+            const f = span > 0 ? (t - previous.position) / span : 1;
+            return previous.rgb.map((c, channel) => c + (stop.rgb[channel] - c) * f);
+        }
+    }
+    return stops[stops.length - 1].rgb;
+}
+
+export default Palette;
@@ -0,0 +1,217 @@
+const PERFORMANCE_KEY = 'retroviz.performance';
+const SAMPLE_MS = 500; // Stats are averaged over windows this long
+const SLOW_SAMPLES = 4; // Windows in a row over budget before quality drops
+const SLOW_FACTOR = 1.25; // Average frame interval this far over budget counts as slow
+const ON_BUDGET_FACTOR = 1.1; // ...and this close to it as keeping up
+const RAISE_AFTER_MS = 10000; // Time on budget before trying the next level up
+const MAX_RAISE_AFTER_MS = 120000;
+const STALL_MS = 250; // Longer gaps are a hidden tab or a pause, not slow rendering
+
+const DEFAULTS = {
+    renderScale: 1, // Fraction of the display's device pixels
+    fpsCap: 0, // 0 = every display frame
+    adaptive: true,
+    showStats: false,
+    offscreen: true // Draw 2D modes in a render worker where supported
+};
+
+/**
+ * Steps the adaptive mode walks down while frames run late: a factor on the
+ * render scale and butterchurn's per-vertex mesh size
+ */
+const QUALITY_LEVELS = [
+    { scale: 1, mesh: { width: 48, height: 36 } },
+    { scale: 0.75, mesh: { width: 48, height: 36 } },
+    { scale: 0.75, mesh: { width: 32, height: 24 } },
+    { scale: 0.5, mesh: { width: 32, height: 24 } },
+    { scale: 0.5, mesh: { width: 24, height: 18 } },
+    { scale: 0.35, mesh: { width: 24, height: 18 } }
+];
+
+/**
+ * PerformanceMonitor class - frame rate and frame time statistics, plus the
+ * render quality settings they drive.
+ *
+ * Call due() on every animation frame to follow the FPS cap, and frame()
+ * once per frame it lets through. Every SAMPLE_MS it refreshes `stats`
+ * and, in adaptive mode, moves `level` down when frames keep missing the
+ * budget (the FPS cap, or 60 fps) and back up after a stretch on budget.
+ * Settings are saved to localStorage.
+ */
+class PerformanceMonitor {
+    constructor(onChange = null) {
+        this.onChange = onChange;
+        this.settings = { ...DEFAULTS };
+        this.stats = null; // { fps, frameTime, workTime, worstFrameTime } in ms, once measured
+        this.level = 0; // Index into QUALITY_LEVELS
+        this.raiseAfter = RAISE_AFTER_MS;
+        this.raisedAt = -Infinity;
+        this.lastDueAt = 0; // Pacing for the FPS cap
+        this.load();
+        this.reset();
+    }
+
+    static get levels() {
+        return QUALITY_LEVELS;
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(PERFORMANCE_KEY));
+            if (stored && typeof stored === 'object') {
+                Object.keys(DEFAULTS).forEach(key => {
+                    if (typeof stored[key] === typeof DEFAULTS[key]) {
+                        this.settings[key] = stored[key];
+                    }
+                });
+            }
+        } catch (e) {
+            // Corrupt entry: stay on defaults
+        }
+    }
+
+    /**
+     * Change settings and save them
+     */
+    update(changes) {
+        this.apply(changes);
+        try {
+            localStorage.setItem(PERFORMANCE_KEY, JSON.stringify(this.settings));
+        } catch (e) {
+            // Storage full or disabled: the change still applies for this visit
+        }
+    }
+
+    /**
+     * Change settings without saving them (output windows mirror the control window's)
+     */
+    apply(changes) {
+        const restart = ['renderScale', 'adaptive'].some(key => key in changes && changes[key] !== this.settings[key]);
+        Object.assign(this.settings, changes);
+        if (restart) {
+            // Start over from the new setting rather than a level measured against the old one
+            this.level = 0;
+            this.raiseAfter = RAISE_AFTER_MS;
+            this.reset();
+        }
+        if (this.onChange) this.onChange();
+    }
+
+    /**
+     * Effective `{ scale, mesh }` for the visualizer: the render scale setting
+     * times the current adaptive level
+     */
+    get quality() {
+        const level = QUALITY_LEVELS[this.level];
+        return { scale: this.settings.renderScale * level.scale, mesh: level.mesh };
+    }
+
+    /**
+     * Milliseconds per frame the adaptive mode aims for
+     */
+    get budget() {
+        return 1000 / (this.settings.fpsCap || 60);
+    }
+
+    /**
+     * Whether the animation frame at `now` (ms) is due under the FPS cap.
+     * Frames it lets through are taken as drawn.
+     */
+    due(now) {
+        const { fpsCap } = this.settings;
+        if (fpsCap <= 0) return true;
+
+        const interval = 1000 / fpsCap;
+        const elapsed = now - this.lastDueAt;
+        // A millisecond of slack so a 60 Hz display can hit a 30 fps cap exactly
+        if (elapsed < interval - 1) return false;
+        this.lastDueAt = elapsed >= interval && elapsed < interval * 2 ? now - (elapsed % interval) : now;
+        return true;
+    }
+
+    /**
+     * Forget the current measurements, e.g. after playback restarts
+     */
+    reset() {
+        this.lastFrameAt = 0;
+        this.sampleStart = 0;
+        this.frameCount = 0;
+        this.intervalSum = 0;
+        this.workSum = 0;
+        this.worstInterval = 0;
+        this.slowSamples = 0;
+        this.onBudgetSince = 0;
+    }
+
+    /**
+     * Record a frame drawn at `now` (ms) whose drawing took `workTime` ms.
+     * Returns true when `stats` (and possibly `level`) were updated.
+     */
+    frame(now, workTime) {
+        const interval = this.lastFrameAt ? now - this.lastFrameAt : 0;
+        this.lastFrameAt = now;
+        if (interval === 0 || interval > STALL_MS) {
+            this.sampleStart = now;
+            this.frameCount = 0;
+            this.intervalSum = 0;
+            this.workSum = 0;
+            this.worstInterval = 0;
+            return false;
+        }
+
+        this.frameCount++;
+        this.intervalSum += interval;
+        this.workSum += workTime;
+        this.worstInterval = Math.max(this.worstInterval, interval);
+        if (now - this.sampleStart < SAMPLE_MS) return false;
+
+        const frameTime = this.intervalSum / this.frameCount;
+        this.stats = {
+            fps: 1000 / frameTime,
+            frameTime,
+            workTime: this.workSum / this.frameCount,
+            worstFrameTime: this.worstInterval
+        };
+        this.sampleStart = now;
+        this.frameCount = 0;
+        this.intervalSum = 0;
+        this.workSum = 0;
+        this.worstInterval = 0;
+
+        if (this.settings.adaptive) {
+            this.adapt(now, frameTime);
+        }
+        return true;
+    }
+
+    adapt(now, frameTime) {
+        const budget = this.budget;
+
+        if (frameTime > budget * SLOW_FACTOR) {
+            this.onBudgetSince = 0;
+            this.slowSamples++;
+            if (this.slowSamples >= SLOW_SAMPLES && this.level < QUALITY_LEVELS.length - 1) {
+                // Dropping straight after a raise means that level is too much; wait longer next time
+                if (now - this.raisedAt < SAMPLE_MS * SLOW_SAMPLES * 2) {
+                    this.raiseAfter = Math.min(MAX_RAISE_AFTER_MS, this.raiseAfter * 2);
+                }
+                this.level++;
+                this.slowSamples = 0;
+            }
+            return;
+        }
+
+        this.slowSamples = 0;
+        if (frameTime > budget * ON_BUDGET_FACTOR) {
+            this.onBudgetSince = 0;
+        } else if (!this.onBudgetSince) {
+            this.onBudgetSince = now;
+        } else if (this.level > 0 && now - this.onBudgetSince >= this.raiseAfter) {
+            this.level--;
+            this.raisedAt = now;
+            this.onBudgetSince = now;
+        }
+    }
+}
+
+export default PerformanceMonitor;
@@ -0,0 +1,210 @@
+const AUDIO_EXTENSIONS = /\.(mp3|wav|ogg|oga|opus|flac|m4a|aac|webm|weba)$/i;
+
+/**
+ * Playlist class - holds the track queue and decides what plays next
+ */
+class Playlist {
+    constructor(onChange = null) {
+        this.tracks = [];
+        this.currentIndex = -1;
+        this.shuffle = false;
+        this.shuffleOrder = [];
+        this.repeat = 'all'; // 'off', 'all' or 'one'
+        this.onChange = onChange;
+    }
+
+    /**
+     * Check whether a File looks like something an audio element can play.
+     * Folder selections often report an empty MIME type, so fall back to the extension.
+     */
+    static isAudioFile(file) {
+        if (file.type) {
+            return file.type.startsWith('audio/');
+        }
+        return AUDIO_EXTENSIONS.test(file.name);
+    }
+
+    get length() {
+        return this.tracks.length;
+    }
+
+    current() {
+        return this.tracks[this.currentIndex] || null;
+    }
+
+    /**
+     * Append files to the queue, skipping anything that isn't audio.
+     * Returns the tracks that were added.
+     */
+    add(files) {
+        const added = Array.from(files)
+            .filter(file => Playlist.isAudioFile(file))
+            .sort((a, b) => (a.webkitRelativePath || a.name).localeCompare(b.webkitRelativePath || b.name, undefined, { numeric: true }))
+            .map(file => ({
+                file,
+                name: file.name.replace(/\.[^.]+$/, ''),
+                url: URL.createObjectURL(file)
+            }));
+
+        if (added.length === 0) return added;
+
+        this.tracks.push(...added);
+
+        // Slot new tracks into the upcoming part of the shuffle order
+        const position = this.shuffleOrder.indexOf(this.current());
+        added.forEach(track => {
+            const start = position + 1;
+            const insertAt = start + Math.floor(Math.random() * (this.shuffleOrder.length - start + 1));
+            this.shuffleOrder.splice(insertAt, 0, track);
+        });
+
+        this.notify();
+        return added;
+    }
+
+    /**
+     * Remove a track. If it was the current one, the following track becomes current.
+     */
+    remove(index) {
+        const track = this.tracks[index];
+        if (!track) return null;
+
+        this.tracks.splice(index, 1);
+        this.shuffleOrder.splice(this.shuffleOrder.indexOf(track), 1);
+        URL.revokeObjectURL(track.url);
+
+        if (index < this.currentIndex) {
+            this.currentIndex--;
+        } else if (index === this.currentIndex && this.currentIndex >= this.tracks.length) {
+            this.currentIndex = this.tracks.length - 1;
+        }
+
+        this.notify();
+        return track;
+    }
+
+    move(from, to) {
+        if (from === to || !this.tracks[from] || to < 0 || to >= this.tracks.length) return;
+
+        const current = this.current();
+        const [track] = this.tracks.splice(from, 1);
+        this.tracks.splice(to, 0, track);
+        this.currentIndex = this.tracks.indexOf(current);
+
+        this.notify();
+    }
+
+    clear() {
+        this.tracks.forEach(track => URL.revokeObjectURL(track.url));
+        this.tracks = [];
+        this.shuffleOrder = [];
+        this.currentIndex = -1;
+        this.notify();
+    }
+
+    select(index) {
+        if (!this.tracks[index]) return null;
+        this.currentIndex = index;
+        this.notify();
+        return this.current();
+    }
+
+    /**
+     * Index of the track that follows the current one, or -1 at the end of the queue.
+     * With `auto` set (track ended on its own) repeat-one keeps the current track.
+     */
+    peekNext(auto = false) {
+        if (this.tracks.length === 0) return -1;
+        if (auto && this.repeat === 'one') return this.currentIndex;
+
+        if (this.shuffle) {
+            const position = this.shuffleOrder.indexOf(this.current());
+            if (position + 1 < this.shuffleOrder.length) {
+                return this.tracks.indexOf(this.shuffleOrder[position + 1]);
+            }
+            return this.repeat === 'off' ? -1 : this.tracks.indexOf(this.shuffleOrder[0]);
+        }
+
+        if (this.currentIndex + 1 < this.tracks.length) {
+            return this.currentIndex + 1;
+        }
+        return this.repeat === 'off' ? -1 : 0;
+    }
+
+    next(auto = false) {
+        const index = this.peekNext(auto);
+        if (index === -1) return null;
+
+        // Start a fresh shuffle round once every track has had its turn
+        if (this.shuffle && this.shuffleOrder.indexOf(this.current()) === this.shuffleOrder.length - 1
+            && !(auto && this.repeat === 'one')) {
+            this.reshuffle(this.current());
+            return this.select(this.tracks.indexOf(this.shuffleOrder[0]));
+        }
+
+        return this.select(index);
+    }
+
+    /**
+     * Step back a track. From the start of the queue this wraps round to the
+     * end only when repeating; with repeat off it stays on the first track.
+     */
+    previous() {
+        if (this.tracks.length === 0) return null;
+
+        if (this.shuffle) {
+            const position = this.shuffleOrder.indexOf(this.current());
+            const first = this.repeat === 'off' ? Math.max(0, position) : this.shuffleOrder.length - 1;
+            const track = this.shuffleOrder[position > 0 ? position - 1 : first];
+            return this.select(this.tracks.indexOf(track));
+        }
+
+        const first = this.repeat === 'off' ? Math.max(0, this.currentIndex) : this.tracks.length - 1;
+        return this.select(this.currentIndex > 0 ? this.currentIndex - 1 : first);
+    }
+
+    setShuffle(enabled) {
+        this.shuffle = enabled;
+        if (enabled) {
+            this.reshuffle();
+            // Keep the current track at the head so the round starts from here
+            const current = this.current();
+            if (current) {
+                this.shuffleOrder.splice(this.shuffleOrder.indexOf(current), 1);
+                this.shuffleOrder.unshift(current);
+            }
+        }
+        this.notify();
+    }
+
+    cycleRepeat() {
+        const modes = ['off', 'all', 'one'];
+        this.repeat = modes[(modes.indexOf(this.repeat) + 1) % modes.length];
+        this.notify();
+        return this.repeat;
+    }
+
+    /**
+     * Fisher-Yates shuffle of all tracks. `avoidFirst` keeps a track from
+     * playing twice in a row across shuffle rounds.
+     */
+    reshuffle(avoidFirst = null) {
+        const order = this.tracks.slice();
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        if (avoidFirst && order.length > 1 && order[0] === avoidFirst) {
+            [order[0], order[1]] = [order[1], order[0]];
+        }
+        this.shuffleOrder = order;
+    }
+
+    notify() {
+        if (this.onChange) {
+            this.onChange(this);
+        }
+    }
+}
+
+export default Playlist;
@@ -0,0 +1,142 @@
+const MILK_PATTERN = /\.milk$/i;
+const ZIP_PATTERN = /\.zip$/i;
+
+/**
+ * PresetImporter class - turns .milk files and zip packs into butterchurn presets.
+ *
+ * The converter (EEL -> JS, HLSL -> GLSL) is a couple of megabytes, so it and
+ * the unzipper are only loaded the first time something is imported.
+ */
+class PresetImporter {
+    static isPresetFile(file) {
+        return MILK_PATTERN.test(file.name) || ZIP_PATTERN.test(file.name);
+    }
+
+    /**
+     * Convert every .milk in `files` (including those inside .zip packs).
+     * Resolves with `{ presets: [{ name, preset }], errors: [{ name, message }] }`;
+     * one broken preset never stops the rest of a pack.
+     */
+    static async importFiles(files) {
+        const { default: converter } = await import('milkdrop-preset-converter');
+        const presets = [];
+        const errors = [];
+
+        for (const source of await PresetImporter.readSources(files, errors)) {
+            try {
+                const preset = PresetImporter.convert(converter, source.text);
+                presets.push({ name: source.name, preset });
+            } catch (error) {
+                errors.push({ name: source.name, message: error.message });
+            }
+            // The converter is synchronous; let the UI breathe between presets
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        return { presets, errors };
+    }
+
+    /**
+     * Flatten files and zip packs into `{ name, text }` preset sources, with
+     * names unique within the import
+     */
+    static async readSources(files, errors) {
+        const sources = [];
+
+        for (const file of files) {
+            if (MILK_PATTERN.test(file.name)) {
+                sources.push({ name: PresetImporter.presetName(file.name), text: decode(await file.arrayBuffer()) });
+            } else if (ZIP_PATTERN.test(file.name)) {
+                try {
+                    const { unzipSync } = await import('fflate');
+                    const entries = unzipSync(new Uint8Array(await file.arrayBuffer()), {
+                        filter: entry => MILK_PATTERN.test(entry.name)
+                    });
+                    const names = Object.keys(entries);
+                    if (names.length === 0) {
+                        errors.push({ name: file.name, message: 'No .milk presets in this archive' });
+                    }
+                    names.forEach(path => {
+                        sources.push({ name: PresetImporter.presetName(path), text: decode(entries[path]) });
+                    });
+                } catch (error) {
+                    errors.push({ name: file.name, message: `Could not read archive: ${error.message}` });
+                }
+            } else {
+                errors.push({ name: file.name, message: 'Not a .milk preset or .zip pack' });
+            }
+        }
+
+        // Packs often have the same file name in several folders; number the later ones
+        const taken = new Set();
+        return sources.map(source => {
+            let name = source.name;
+            for (let n = 2; taken.has(name); n++) {
+                name = `${source.name} (${n})`;
+            }
+            taken.add(name);
+            return { ...source, name };
+        });
+    }
+
+    static presetName(path) {
+        return path.split('/').pop().replace(MILK_PATTERN, '');
+    }
+
+    static convert(converter, text) {
+        if (!/\[preset00\]/i.test(text)) {
+            throw new Error('Not a Milkdrop preset (missing [preset00] section)');
+        }
+
+        let preset;
+        try {
+            // The converter splits on the exact-case section header
+            preset = converter.convertPreset(text.replace(/\[preset00\]/i, '[preset00]'));
+        } catch (error) {
+            // EEL parse errors go on to list every expected token; the first line says where
+            throw new Error(`Conversion failed: ${error.message.split('\n')[0]}`);
+        }
+
+        PresetImporter.validate(preset);
+        return preset;
+    }
+
+    /**
+     * Compile every equation block now, the same way butterchurn will, so a
+     * broken preset is rejected at import instead of when it comes up in rotation
+     */
+    static validate(preset) {
+        const blocks = [
+            ['per-frame init', preset.init_eqs_str],
+            ['per-frame', preset.frame_eqs_str],
+            ['per-pixel', preset.pixel_eqs_str]
+        ];
+        preset.shapes.forEach((shape, i) => {
+            if (shape.baseVals.enabled === 0) return;
+            blocks.push([`shape ${i} init`, shape.init_eqs_str], [`shape ${i}`, shape.frame_eqs_str]);
+        });
+        preset.waves.forEach((wave, i) => {
+            if (wave.baseVals.enabled === 0) return;
+            blocks.push([`wave ${i} init`, wave.init_eqs_str], [`wave ${i}`, wave.frame_eqs_str],
+                [`wave ${i} per-point`, wave.point_eqs_str]);
+        });
+
+        blocks.forEach(([label, code]) => {
+            if (!code) return;
+            try {
+                new Function('a', `${code} return a;`);
+            } catch (error) {
+                throw new Error(`Bad ${label} equations: ${error.message}`);
+            }
+        });
+    }
+}
+
+/**
+ * .milk files come from Windows tools and are usually cp1252, not UTF-8
+ */
+function decode(buffer) {
+    return new TextDecoder('windows-1252').decode(buffer);
+}
+
+export default PresetImporter;
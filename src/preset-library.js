@@ -0,0 +1,85 @@
+const FAVORITES_KEY = 'retroviz.presetFavorites';
+const BLOCKLIST_KEY = 'retroviz.presetBlocklist';
+
+/**
+ * PresetLibrary class - favorites, blocklist and search over preset names.
+ * Both lists are kept in localStorage so they survive reloads.
+ */
+class PresetLibrary {
+    constructor(onChange = null) {
+        this.onChange = onChange;
+        this.favorites = new Set(this.load(FAVORITES_KEY));
+        this.blocked = new Set(this.load(BLOCKLIST_KEY));
+    }
+
+    load(key) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(key));
+            return Array.isArray(stored) ? stored : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    save() {
+        localStorage.setItem(FAVORITES_KEY, JSON.stringify([...this.favorites]));
+        localStorage.setItem(BLOCKLIST_KEY, JSON.stringify([...this.blocked]));
+    }
+
+    isFavorite(name) {
+        return this.favorites.has(name);
+    }
+
+    isBlocked(name) {
+        return this.blocked.has(name);
+    }
+
+    /**
+     * Favoriting and blocking are mutually exclusive
+     */
+    toggleFavorite(name) {
+        if (this.favorites.delete(name)) {
+            this.notify();
+            return false;
+        }
+        this.favorites.add(name);
+        this.blocked.delete(name);
+        this.notify();
+        return true;
+    }
+
+    toggleBlocked(name) {
+        if (this.blocked.delete(name)) {
+            this.notify();
+            return false;
+        }
+        this.blocked.add(name);
+        this.favorites.delete(name);
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Filter names by a search query. Every word of the query has to match the
+     * start of a word in the name, so "geiss" finds "_Geiss - Artifact 01" and
+     * "Rovastar + Geiss - ...", and "fle dem" finds "flexi - demonology".
+     */
+    search(names, query) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) return names;
+
+        return names.filter(name => {
+            const words = name.toLowerCase().split(/[^a-z0-9$]+/).filter(Boolean);
+            return terms.every(term => words.some(word => word.startsWith(term)));
+        });
+    }
+
+    notify() {
+        this.save();
+        if (this.onChange) {
+            this.onChange(this);
+        }
+    }
+}
+
+export default PresetLibrary;
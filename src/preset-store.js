@@ -0,0 +1,60 @@
+const DB_NAME = 'retroviz';
+const DB_VERSION = 1;
+const STORE = 'presets';
+
+/**
+ * PresetStore class - keeps imported (converted) presets in IndexedDB.
+ * Records are `{ name, preset, added }`, keyed by name.
+ */
+class PresetStore {
+    constructor() {
+        this.db = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    async open() {
+        if (this.db) return this.db;
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE, { keyPath: 'name' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this.db;
+    }
+
+    async getAll() {
+        const records = await this.request('readonly', store => store.getAll());
+        return records.sort((a, b) => a.added - b.added);
+    }
+
+    async put(name, preset) {
+        await this.request('readwrite', store => store.put({ name, preset, added: Date.now() }));
+    }
+
+    async delete(name) {
+        await this.request('readwrite', store => store.delete(name));
+    }
+
+    /**
+     * Run one request in its own transaction and resolve with its result
+     */
+    async request(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE, mode);
+            const request = makeRequest(transaction.objectStore(STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
+
+export default PresetStore;
@@ -0,0 +1,149 @@
+const MIME_TYPES = [
+    'video/webm;codecs=vp9,opus',
+    'video/webm;codecs=vp8,opus',
+    'video/webm'
+];
+
+/**
+ * Recorder class - captures the visualization plus audio to a WebM file.
+ *
+ * Frames are copied into a private canvas that outlives the visualizer's own,
+ * so Visualizer.recreateCanvas (Milkdrop <-> 2D switches) doesn't break the stream.
+ */
+class Recorder {
+    constructor(onStateChange = null) {
+        this.onStateChange = onStateChange;
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.mediaRecorder = null;
+        this.videoTrack = null;
+        this.audioDestination = null;
+        this.audioNode = null;
+        this.chunks = [];
+        this.startTime = 0;
+    }
+
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined'
+            && typeof HTMLCanvasElement.prototype.captureStream === 'function'
+            && Recorder.getMimeType() !== '';
+    }
+
+    static getMimeType() {
+        return MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    get isRecording() {
+        return this.mediaRecorder !== null && this.mediaRecorder.state !== 'inactive';
+    }
+
+    get elapsed() {
+        return this.isRecording ? (performance.now() - this.startTime) / 1000 : 0;
+    }
+
+    /**
+     * Start recording. `width`/`height` set the output resolution; the
+     * visualization is scaled to cover it.
+     */
+    start(audioContext, audioNode, { width, height, videoBitsPerSecond = 8000000 }) {
+        if (this.isRecording) return;
+
+        // Encoders want even dimensions
+        this.canvas.width = Math.round(width / 2) * 2;
+        this.canvas.height = Math.round(height / 2) * 2;
+        this.ctx.fillStyle = 'rgb(0, 0, 0)';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Frame rate 0: a frame is only emitted when captureFrame asks for one
+        const stream = this.canvas.captureStream(0);
+        this.videoTrack = stream.getVideoTracks()[0];
+
+        if (audioContext && audioNode) {
+            this.audioDestination = audioContext.createMediaStreamDestination();
+            this.audioNode = audioNode;
+            audioNode.connect(this.audioDestination);
+            this.audioDestination.stream.getAudioTracks().forEach(track => stream.addTrack(track));
+        }
+
+        this.chunks = [];
+        this.mediaRecorder = new MediaRecorder(stream, {
+            mimeType: Recorder.getMimeType(),
+            videoBitsPerSecond,
+            audioBitsPerSecond: 192000
+        });
+        this.mediaRecorder.addEventListener('dataavailable', (e) => {
+            if (e.data.size > 0) this.chunks.push(e.data);
+        });
+        this.mediaRecorder.start(1000); // Flush every second so long takes don't sit in one buffer
+        this.startTime = performance.now();
+
+        this.notify();
+    }
+
+    /**
+     * Copy the current visualizer frame into the recording. Extra `layers`
+     * (the text overlay) are the same size as `source` and drawn over it.
+     */
+    captureFrame(source, ...layers) {
+        if (!this.isRecording) return;
+
+        const { width, height } = this.canvas;
+        // Scale to cover the output, cropping the overflow evenly
+        const scale = Math.max(width / source.width, height / source.height);
+        const drawWidth = source.width * scale;
+        const drawHeight = source.height * scale;
+        [source, ...layers].forEach(layer => {
+            this.ctx.drawImage(layer, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+        });
+
+        if (this.videoTrack.requestFrame) {
+            this.videoTrack.requestFrame();
+        } else if (this.mediaRecorder.stream.requestFrame) {
+            // Firefox exposes requestFrame on the stream instead of the track
+            this.mediaRecorder.stream.requestFrame();
+        }
+    }
+
+    /**
+     * Stop recording and resolve with the finished WebM blob
+     */
+    stop() {
+        if (!this.isRecording) return Promise.resolve(null);
+
+        return new Promise((resolve) => {
+            this.mediaRecorder.addEventListener('stop', () => {
+                const blob = new Blob(this.chunks, { type: this.mediaRecorder.mimeType || 'video/webm' });
+                this.cleanup();
+                resolve(blob);
+            }, { once: true });
+            this.mediaRecorder.stop();
+        });
+    }
+
+    cleanup() {
+        if (this.audioNode && this.audioDestination) {
+            try {
+                this.audioNode.disconnect(this.audioDestination);
+            } catch (e) {
+                // Source was already torn down with its context
+            }
+        }
+        if (this.mediaRecorder) {
+            this.mediaRecorder.stream.getTracks().forEach(track => track.stop());
+        }
+        this.mediaRecorder = null;
+        this.videoTrack = null;
+        this.audioDestination = null;
+        this.audioNode = null;
+        this.chunks = [];
+        this.notify();
+    }
+
+    notify() {
+        if (this.onStateChange) {
+            this.onStateChange(this.isRecording);
+        }
+    }
+}
+
+export default Recorder;
@@ -0,0 +1,63 @@
+import ModeRenderer from './mode-renderer.js';
+import builtInModes from './modes/index.js';
+
+/**
+ * Render worker - draws the built-in 2D modes on an OffscreenCanvas handed
+ * over by WorkerRenderer, one ModeRenderer per worker. See WorkerRenderer for
+ * the messages.
+ */
+
+let renderer = null;
+let bandFrequencies = null; // Last frame's, kept so unchanged ones stay the same array
+
+self.addEventListener('message', (e) => {
+    const message = e.data;
+    try {
+        switch (message.type) {
+            case 'init':
+                renderer = new ModeRenderer(message.canvas.getContext('2d'), (type) => builtInModes[type] || builtInModes.bars);
+                renderer.setSize(message.width, message.height);
+                break;
+            case 'size':
+                renderer.setSize(message.width, message.height);
+                break;
+            case 'mode':
+                renderer.setMode(message.mode);
+                break;
+            case 'palette':
+                renderer.setPalette(message.palette);
+                break;
+            case 'options':
+                renderer.setOptions(message.options);
+                break;
+            case 'clear':
+                renderer.clear();
+                break;
+            case 'frame':
+                renderer.draw(reuseBandFrequencies(message.audio));
+                break;
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+    // Acknowledge every frame, drawn or not, so the next one gets sent
+    if (message.type === 'frame') {
+        self.postMessage({ type: 'drawn' });
+    }
+});
+
+/**
+ * Every message arrives as a fresh copy, but modes cache work per
+ * bandFrequencies array (the spectrogram's axis lookup), so hand them the
+ * previous array while the values haven't changed
+ */
+function reuseBandFrequencies(audio) {
+    const incoming = audio.bandFrequencies;
+    if (incoming && bandFrequencies && incoming.length === bandFrequencies.length
+        && incoming.every((value, i) => value === bandFrequencies[i])) {
+        audio.bandFrequencies = bandFrequencies;
+    } else {
+        bandFrequencies = incoming;
+    }
+    return audio;
+}
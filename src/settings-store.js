@@ -0,0 +1,144 @@
+const SETTINGS_KEY = 'retroviz.settings';
+
+const DEFAULTS = {
+    vizType: 'milkdrop',
+    colorScheme: 'classic',
+    scopeMode: 'mono',
+    spectrogramView: 'horizontal',
+    barCount: 0, // 0 = one bar per band
+    barGap: 1,
+    barLayout: 'normal',
+    barAttack: 0,
+    barDecay: 0,
+    peakCaps: 'off',
+    peakGravity: 1.5,
+    preset: 'auto', // 'auto' or a preset name
+    rotateInterval: 15,
+    rotateOrder: 'shuffle',
+    blendTime: 2,
+    rotationSource: 'all',
+    fftSize: 2048,
+    smoothing: 0.8,
+    minDecibels: -100,
+    maxDecibels: -30,
+    scale: 'log',
+    bandCount: 128,
+    gain: 0 // Analysis input gain in dB
+};
+
+/**
+ * URL parameter name and validation for each setting. Names are short so
+ * shared links stay readable, e.g. `?viz=circular&color=fire`.
+ */
+const FIELDS = {
+    vizType: { param: 'viz' },
+    colorScheme: { param: 'color' },
+    scopeMode: { param: 'scope', values: ['mono', 'stereo', 'xy'] },
+    spectrogramView: { param: 'spectro', values: ['horizontal', 'vertical', '3d'] },
+    barCount: { param: 'barcount', min: 0, max: 512 },
+    barGap: { param: 'gap', min: 0, max: 16 },
+    barLayout: { param: 'layout', values: ['normal', 'mirrored', 'center-out'] },
+    barAttack: { param: 'attack', min: 0, max: 1000 },
+    barDecay: { param: 'decay', min: 0, max: 5000 },
+    peakCaps: { param: 'peaks', values: ['off', 'on'] },
+    peakGravity: { param: 'gravity', min: 0.1, max: 20 },
+    preset: { param: 'preset' },
+    rotateInterval: { param: 'interval', min: 1, max: 3600 },
+    rotateOrder: { param: 'order', values: ['shuffle', 'sequential'] },
+    blendTime: { param: 'blend', min: 0, max: 30 },
+    rotationSource: { param: 'rotate', values: ['all', 'favorites'] },
+    fftSize: { param: 'fft', values: [256, 512, 1024, 2048, 4096, 8192, 16384, 32768] },
+    smoothing: { param: 'smoothing', min: 0, max: 0.99 },
+    minDecibels: { param: 'mindb', min: -140, max: -20 },
+    maxDecibels: { param: 'maxdb', min: -100, max: 0 },
+    scale: { param: 'scale', values: ['linear', 'log', 'octave', 'third-octave'] },
+    bandCount: { param: 'bands', min: 16, max: 256 },
+    gain: { param: 'gain', min: -24, max: 24 }
+};
+
+/**
+ * SettingsStore class - remembers the last setup in localStorage and
+ * reads/writes the same settings as URL query parameters.
+ *
+ * A URL with settings in it wins outright; otherwise the saved settings load.
+ * Settings that name things only the app knows about (visualization types,
+ * color schemes, presets) are passed through for the app to check.
+ */
+class SettingsStore {
+    static get defaults() {
+        return { ...DEFAULTS };
+    }
+
+    load(search = window.location.search) {
+        const fromUrl = SettingsStore.fromQuery(search);
+        // Links leave out default values, so saved settings must not fill those gaps
+        if (Object.keys(fromUrl).length > 0) {
+            return { ...DEFAULTS, ...fromUrl };
+        }
+        return { ...DEFAULTS, ...this.loadSaved() };
+    }
+
+    loadSaved() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+            return stored && typeof stored === 'object' ? SettingsStore.validate(stored) : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    save(settings) {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(SettingsStore.validate(settings)));
+    }
+
+    /**
+     * Query string (without "?") holding every setting that differs from the default
+     */
+    static toQuery(settings) {
+        const params = new URLSearchParams();
+        Object.entries(FIELDS).forEach(([key, field]) => {
+            if (key in settings && settings[key] !== DEFAULTS[key]) {
+                params.set(field.param, settings[key]);
+            }
+        });
+        return params.toString();
+    }
+
+    static fromQuery(search) {
+        const params = new URLSearchParams(search);
+        const settings = {};
+        Object.entries(FIELDS).forEach(([key, field]) => {
+            if (params.has(field.param)) {
+                settings[key] = params.get(field.param);
+            }
+        });
+        return SettingsStore.validate(settings);
+    }
+
+    /**
+     * Keep only known settings with usable values, converting numeric strings
+     */
+    static validate(settings) {
+        const valid = {};
+
+        Object.entries(FIELDS).forEach(([key, field]) => {
+            if (!(key in settings)) return;
+
+            let value = settings[key];
+            if (typeof DEFAULTS[key] === 'number') {
+                value = Number(value);
+                if (!Number.isFinite(value)) return;
+                if (field.min !== undefined && (value < field.min || value > field.max)) return;
+            } else if (typeof value !== 'string' || value === '') {
+                return;
+            }
+            if (field.values && !field.values.includes(value)) return;
+
+            valid[key] = value;
+        });
+
+        return valid;
+    }
+}
+
+export default SettingsStore;
@@ -0,0 +1,389 @@
+const MAX_TAG_BYTES = 16 * 1024 * 1024; // Largest tag block read into memory
+const OGG_SCAN_BYTES = 4 * 1024 * 1024; // Ogg comment headers sit near the start; covers can be big
+
+/**
+ * TagReader - title, artist, album and embedded cover art from audio files.
+ *
+ * Understands ID3v2.2-2.4 and ID3v1 (MP3), Vorbis comments in FLAC and
+ * Ogg Vorbis/Opus, and iTunes-style MP4/M4A metadata. Only the parts of the
+ * file holding tags are read, so large files stay cheap.
+ */
+class TagReader {
+    /**
+     * Resolves to `{ title, artist, album, picture }`; missing fields are empty
+     * strings and picture is an image Blob or null. Never rejects: damaged
+     * tags give whatever could be read before the damage.
+     */
+    static async read(file) {
+        const tags = { title: '', artist: '', album: '', picture: null };
+
+        try {
+            const head = await readBytes(file, 0, 12);
+            if (ascii(head, 0, 3) === 'ID3') {
+                await readId3v2(file, tags);
+            } else if (ascii(head, 0, 4) === 'fLaC') {
+                await readFlac(file, tags);
+            } else if (ascii(head, 0, 4) === 'OggS') {
+                await readOgg(file, tags);
+            } else if (ascii(head, 4, 8) === 'ftyp') {
+                await readMp4(file, tags);
+            }
+            if (!tags.title) {
+                await readId3v1(file, tags);
+            }
+        } catch (error) {
+            console.warn(`Could not read tags from ${file.name}:`, error);
+        }
+
+        return tags;
+    }
+}
+
+async function readBytes(file, start, end) {
+    return new Uint8Array(await file.slice(start, end).arrayBuffer());
+}
+
+function ascii(bytes, start, end) {
+    return String.fromCharCode(...bytes.subarray(start, end));
+}
+
+function uint32(bytes, offset) {
+    return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+function uint32le(bytes, offset) {
+    return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
+
+function syncsafe(bytes, offset) {
+    return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+}
+
+function decode(bytes, encoding = 'utf-8') {
+    return new TextDecoder(encoding).decode(bytes).replace(/\0+$/, '').trim();
+}
+
+/* ID3 */
+
+const ID3_TEXT_ENCODINGS = ['latin1', 'utf-16', 'utf-16be', 'utf-8'];
+const ID3_FRAMES = {
+    TIT2: 'title', TT2: 'title',
+    TPE1: 'artist', TP1: 'artist',
+    TALB: 'album', TAL: 'album'
+};
+
+async function readId3v2(file, tags) {
+    const header = await readBytes(file, 0, 10);
+    const version = header[3];
+    const flags = header[5];
+    const size = Math.min(syncsafe(header, 6), MAX_TAG_BYTES);
+
+    let data = await readBytes(file, 10, 10 + size);
+    if (flags & 0x80 && version < 4) {
+        data = removeUnsynchronisation(data);
+    }
+
+    let offset = 0;
+    if (flags & 0x40 && version >= 3) {
+        // Extended header: v2.4 counts itself, v2.3 doesn't
+        offset = version === 4 ? syncsafe(data, 0) : uint32(data, 0) + 4;
+    }
+
+    const idLength = version === 2 ? 3 : 4;
+    const headerLength = version === 2 ? 6 : 10;
+    let bestPictureType = -1;
+
+    while (offset + headerLength <= data.length) {
+        const id = ascii(data, offset, offset + idLength);
+        if (!/^[A-Z0-9]+$/.test(id)) break; // Padding
+
+        let frameSize;
+        if (version === 2) {
+            frameSize = (data[offset + 3] << 16) | (data[offset + 4] << 8) | data[offset + 5];
+        } else {
+            frameSize = version === 4 ? syncsafe(data, offset + 4) : uint32(data, offset + 4);
+        }
+        const formatFlags = version === 2 ? 0 : data[offset + 9];
+        let frame = data.subarray(offset + headerLength, offset + headerLength + frameSize);
+        offset += headerLength + frameSize;
+
+        // Compressed or encrypted frames aren't worth a decompressor here
+        const unreadable = version === 4 ? formatFlags & 0x0c : version === 3 ? formatFlags & 0xc0 : 0;
+        if (unreadable || frame.length === 0) continue;
+        if (version === 4) {
+            if (formatFlags & 0x02) frame = removeUnsynchronisation(frame);
+            if (formatFlags & 0x01) frame = frame.subarray(4); // Data length indicator
+        }
+
+        if (ID3_FRAMES[id]) {
+            const encoding = ID3_TEXT_ENCODINGS[frame[0]] || 'latin1';
+            // v2.4 separates multiple values with nulls
+            tags[ID3_FRAMES[id]] = decode(frame.subarray(1), encoding).split('\0').filter(Boolean).join(' / ');
+        } else if (id === 'APIC' || id === 'PIC') {
+            const picture = readId3Picture(frame, id === 'PIC');
+            // Prefer the front cover (type 3), otherwise keep the first picture
+            if (picture && (bestPictureType === -1 || (picture.type === 3 && bestPictureType !== 3))) {
+                tags.picture = picture.blob;
+                bestPictureType = picture.type;
+            }
+        }
+    }
+}
+
+function readId3Picture(frame, legacy) {
+    const encoding = frame[0];
+    let offset = 1;
+    let mime;
+    if (legacy) {
+        const format = ascii(frame, 1, 4).toUpperCase();
+        mime = format === 'PNG' ? 'image/png' : 'image/jpeg';
+        offset = 4;
+    } else {
+        const end = frame.indexOf(0, offset);
+        if (end === -1) return null;
+        mime = ascii(frame, offset, end) || 'image/jpeg';
+        if (!mime.includes('/')) mime = `image/${mime.toLowerCase()}`;
+        offset = end + 1;
+    }
+
+    const type = frame[offset];
+    offset = skipTerminatedString(frame, offset + 1, encoding === 1 || encoding === 2);
+    if (offset >= frame.length) return null;
+
+    return { type, blob: new Blob([frame.slice(offset)], { type: mime }) };
+}
+
+/**
+ * Offset just past a null-terminated description; UTF-16 ends on an aligned double null
+ */
+function skipTerminatedString(bytes, offset, wide) {
+    if (!wide) {
+        const end = bytes.indexOf(0, offset);
+        return end === -1 ? bytes.length : end + 1;
+    }
+    for (let i = offset; i + 1 < bytes.length; i += 2) {
+        if (bytes[i] === 0 && bytes[i + 1] === 0) return i + 2;
+    }
+    return bytes.length;
+}
+
+/**
+ * Undo ID3 unsynchronisation: every 0xFF 0x00 pair was written for a lone 0xFF
+ */
+function removeUnsynchronisation(bytes) {
+    const output = new Uint8Array(bytes.length);
+    let length = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        output[length++] = bytes[i];
+        if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+    }
+    return output.subarray(0, length);
+}
+
+async function readId3v1(file, tags) {
+    if (file.size < 128) return;
+    const tag = await readBytes(file, file.size - 128, file.size);
+    if (ascii(tag, 0, 3) !== 'TAG') return;
+
+    tags.title = tags.title || decode(tag.subarray(3, 33), 'latin1');
+    tags.artist = tags.artist || decode(tag.subarray(33, 63), 'latin1');
+    tags.album = tags.album || decode(tag.subarray(63, 93), 'latin1');
+}
+
+/* Vorbis comments (FLAC, Ogg) */
+
+async function readFlac(file, tags) {
+    let offset = 4;
+    while (offset + 4 <= file.size) {
+        const header = await readBytes(file, offset, offset + 4);
+        const isLast = header[0] & 0x80;
+        const type = header[0] & 0x7f;
+        const length = (header[1] << 16) | (header[2] << 8) | header[3];
+
+        if (type === 4) {
+            readVorbisComments(await readBytes(file, offset + 4, offset + 4 + length), 0, tags);
+        } else if (type === 6 && !tags.picture) {
+            tags.picture = readFlacPicture(await readBytes(file, offset + 4, offset + 4 + Math.min(length, MAX_TAG_BYTES)));
+        }
+
+        offset += 4 + length;
+        if (isLast) break;
+    }
+}
+
+function readVorbisComments(bytes, offset, tags) {
+    const vendorLength = uint32le(bytes, offset);
+    offset += 4 + vendorLength;
+    const count = uint32le(bytes, offset);
+    offset += 4;
+
+    for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+        const length = uint32le(bytes, offset);
+        const comment = bytes.subarray(offset + 4, offset + 4 + length);
+        offset += 4 + length;
+
+        const separator = comment.indexOf(0x3d); // '='
+        if (separator === -1) continue;
+        const key = ascii(comment, 0, separator).toUpperCase();
+        const value = comment.subarray(separator + 1);
+
+        if (key === 'TITLE' || key === 'ARTIST' || key === 'ALBUM') {
+            const field = key.toLowerCase();
+            // Repeated keys are multiple values
+            tags[field] = tags[field] ? `${tags[field]} / ${decode(value)}` : decode(value);
+        } else if (key === 'METADATA_BLOCK_PICTURE' && !tags.picture) {
+            tags.picture = readFlacPicture(base64ToBytes(decode(value)));
+        }
+    }
+}
+
+/**
+ * FLAC PICTURE block, also found base64-encoded in Ogg comments
+ */
+function readFlacPicture(bytes) {
+    let offset = 4; // Picture type
+    const mimeLength = uint32(bytes, offset);
+    const mime = ascii(bytes, offset + 4, offset + 4 + mimeLength) || 'image/jpeg';
+    offset += 4 + mimeLength;
+    offset += 4 + uint32(bytes, offset); // Description
+    offset += 16; // Width, height, depth, palette size
+    const length = uint32(bytes, offset);
+    offset += 4;
+    if (length === 0 || offset + length > bytes.length) return null;
+    return new Blob([bytes.slice(offset, offset + length)], { type: mime });
+}
+
+function base64ToBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Reassemble the second packet of the first logical stream (the comment
+ * header for Vorbis and Opus) from the Ogg pages at the start of the file
+ */
+async function readOgg(file, tags) {
+    const data = await readBytes(file, 0, Math.min(file.size, OGG_SCAN_BYTES));
+    const packets = [];
+    let packet = [];
+    let serial = null;
+    let offset = 0;
+
+    while (offset + 27 <= data.length && packets.length < 2) {
+        if (ascii(data, offset, offset + 4) !== 'OggS') break;
+        const pageSerial = uint32le(data, offset + 14);
+        const segmentCount = data[offset + 26];
+        const segments = data.subarray(offset + 27, offset + 27 + segmentCount);
+        let body = offset + 27 + segmentCount;
+        if (serial === null) serial = pageSerial;
+
+        for (let i = 0; i < segments.length; i++) {
+            if (pageSerial === serial) {
+                packet.push(data.subarray(body, body + segments[i]));
+                // A segment shorter than 255 bytes ends the packet
+                if (segments[i] < 255) {
+                    packets.push(concat(packet));
+                    packet = [];
+                }
+            }
+            body += segments[i];
+        }
+        offset = body;
+    }
+
+    const comments = packets[1];
+    if (!comments) return;
+    if (ascii(comments, 0, 7) === '\x03vorbis') {
+        readVorbisComments(comments, 7, tags);
+    } else if (ascii(comments, 0, 8) === 'OpusTags') {
+        readVorbisComments(comments, 8, tags);
+    }
+}
+
+function concat(chunks) {
+    const output = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let offset = 0;
+    chunks.forEach(chunk => {
+        output.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return output;
+}
+
+/* MP4 */
+
+const MP4_ITEMS = {
+    '©nam': 'title',
+    '©ART': 'artist',
+    '©alb': 'album'
+};
+
+async function readMp4(file, tags) {
+    // moov can sit before or after the media data, so walk the top-level boxes
+    let offset = 0;
+    while (offset + 8 <= file.size) {
+        const header = await readBytes(file, offset, offset + 16);
+        let size = uint32(header, 0);
+        const type = ascii(header, 4, 8);
+        let headerSize = 8;
+        if (size === 1) {
+            size = uint32(header, 8) * 2 ** 32 + uint32(header, 12);
+            headerSize = 16;
+        } else if (size === 0) {
+            size = file.size - offset;
+        }
+        if (size < headerSize) return;
+
+        if (type === 'moov') {
+            const moov = await readBytes(file, offset + headerSize, offset + Math.min(size, MAX_TAG_BYTES));
+            readMp4Metadata(moov, tags);
+            return;
+        }
+        offset += size;
+    }
+}
+
+/**
+ * Child boxes of `bytes[start..end]` as `{ type, start, end }` payload ranges
+ */
+function mp4Boxes(bytes, start, end) {
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        const size = uint32(bytes, offset);
+        if (size < 8 || offset + size > end) break;
+        boxes.push({ type: ascii(bytes, offset + 4, offset + 8), start: offset + 8, end: offset + size });
+        offset += size;
+    }
+    return boxes;
+}
+
+function readMp4Metadata(moov, tags) {
+    const find = (boxes, type) => boxes.find(box => box.type === type);
+
+    const udta = find(mp4Boxes(moov, 0, moov.length), 'udta');
+    const meta = udta && find(mp4Boxes(moov, udta.start, udta.end), 'meta');
+    // meta is a full box: 4 bytes of version and flags before its children
+    const ilst = meta && find(mp4Boxes(moov, meta.start + 4, meta.end), 'ilst');
+    if (!ilst) return;
+
+    mp4Boxes(moov, ilst.start, ilst.end).forEach(item => {
+        const data = find(mp4Boxes(moov, item.start, item.end), 'data');
+        if (!data) return;
+        // data payload: 4 bytes type, 4 bytes locale, then the value
+        const dataType = uint32(moov, data.start) & 0xffffff;
+        const value = moov.subarray(data.start + 8, data.end);
+
+        if (MP4_ITEMS[item.type]) {
+            tags[MP4_ITEMS[item.type]] = decode(value);
+        } else if (item.type === 'covr' && !tags.picture) {
+            tags.picture = new Blob([value.slice()], { type: dataType === 14 ? 'image/png' : 'image/jpeg' });
+        }
+    });
+}
+
+export default TagReader;
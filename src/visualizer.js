@@ -1,61 +1,209 @@
 import butterchurn from 'butterchurn';
 import butterchurnPresets from 'butterchurn-presets';
+import Palette from './palette.js';
+import ModeRenderer from './mode-renderer.js';
+import WorkerRenderer from './worker-renderer.js';
+import builtInModes from './modes/index.js';
+
+const HISTORY_LENGTH = 100; // Presets kept for previous/next navigation
+const DEFAULT_MODE = 'bars'; // Drawn when the current type isn't registered
+const DEFAULT_MESH = { width: 48, height: 36 }; // butterchurn's own default
+
+// 2D visualization modes by id, in menu order (see Visualizer.registerMode)
+const modes = new Map();
+const modeListeners = new Set();
+// Modes the render worker can draw: the built-ins, unless replaced since
+const offscreenModes = new Set();
+
+/**
+ * Fisher-Yates shuffle into a new array
+ */
+function shuffle(items) {
+    const result = items.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
 
 /**
  * Visualizer class - handles different visualization types
  */
 class Visualizer {
-    constructor(canvas, audioContext = null, onPresetChange = null) {
+    constructor(canvas, audioContext = null, onPresetChange = null, options = {}) {
         this.canvas = canvas;
         this.container = canvas.parentNode;
-        this.type = 'milkdrop';
-        
-        if (this.type !== 'milkdrop') {
-            this.ctx = canvas.getContext('2d');
-        } else {
-            this.ctx = null;
-        }
+        this.type = options.type || 'milkdrop';
+        this.offscreen = Boolean(options.offscreen); // Draw built-in 2D modes in a render worker
+        this.renderTarget = this.renderTargetFor(this.type);
+        this.ctx = null; // 2D context while 2D modes draw on this thread
+        this.modeRenderer = null; // ModeRenderer or WorkerRenderer for 2D modes
+        this.canvasTransferred = false; // The render worker owns the canvas
 
         this.colorScheme = 'classic';
+        this.palette = new Palette(Palette.builtIn('classic')); // Lookup tables for colorScheme
+        this.scopeMode = 'mono'; // 'mono', 'stereo' or 'xy'
+        this.spectrogramView = 'horizontal'; // 'horizontal', 'vertical' or '3d'
+        // Bars and Spectrum; see BarMeter for what each setting means
+        this.barSettings = { count: 0, gap: 1, layout: 'normal', attack: 0, decay: 0, peaks: 'off', gravity: 1.5 };
+        this.lastDrawTime = 0;
         this.audioContext = audioContext;
         this.onPresetChange = onPresetChange;
         this.butterchurnVisualizer = null;
         this.butterchurnAudioNode = null;
-        this.presets = butterchurnPresets.getPresets();
+        this.presets = { ...butterchurnPresets.getPresets() }; // Own copy: addPresets writes to it
         this.presetKeys = Object.keys(this.presets);
+        this.customPresetNames = new Set(); // Imported .milk presets, the "Custom" group
+        this.onPresetError = options.onPresetError || null;
         this.currentPresetIndex = Math.floor(Math.random() * this.presetKeys.length);
         this.autoRotateInterval = null;
         this.isAutoRotating = true;
+        this.beatSync = true; // Hold timed preset changes until the next downbeat
+        this.presetChangeTimeout = null;
+        this.beatPulse = 0; // 0..1, kicked by beats and decayed every frame
+        this.presetLibrary = null; // PresetLibrary with favorites and blocklist
+        this.rotationSource = 'all'; // 'all' or 'favorites'
+        this.rotateInterval = 15; // Seconds between auto-rotate changes
+        this.rotateOrder = 'shuffle'; // 'shuffle' (no repeats until all are seen) or 'sequential'
+        this.blendTime = 2.0; // Preset transition in seconds, 0 = hard cut
+        this.shuffleBag = []; // Presets still to come in the current shuffle round
+        this.history = []; // Recently shown presets, oldest first
+        this.historyIndex = -1; // Position in history while stepping back and forth
+        this.presetLocked = false; // Holds the current preset against rotation and navigation
+        // Fixed output size and frame step for offline rendering; null follows the window and clock
+        this.fixedSize = options.width && options.height ? { width: options.width, height: options.height } : null;
+        this.frameDuration = options.frameDuration || null;
+        this.renderScale = 1; // Live canvases: fraction of the display's device pixels
+        this.displaySize = null; // CSS size the canvas is shown at when not the whole window
+        this.meshSize = { ...DEFAULT_MESH }; // butterchurn's per-vertex grid
         
         this.resizeCanvas();
+        if (this.renderTarget !== 'webgl') {
+            this.startModeRenderer();
+        }
         
-        window.addEventListener('resize', () => this.resizeCanvas());
+        if (!this.fixedSize) {
+            window.addEventListener('resize', () => this.resizeCanvas());
+        }
     }
     
     resizeCanvas() {
-        // Use window dimensions for immersive mode
-        this.width = window.innerWidth;
-        this.height = window.innerHeight;
+        // Use window dimensions for immersive mode (or the display size when
+        // set); CSS stretches the canvas back to it whatever the render scale
+        if (this.fixedSize) {
+            this.width = this.fixedSize.width;
+            this.height = this.fixedSize.height;
+        } else {
+            const ratio = (window.devicePixelRatio || 1) * this.renderScale;
+            const { width, height } = this.displaySize || { width: window.innerWidth, height: window.innerHeight };
+            this.width = Math.max(1, Math.round(width * ratio));
+            this.height = Math.max(1, Math.round(height * ratio));
+        }
         
-        this.canvas.width = this.width;
-        this.canvas.height = this.height;
+        // A transferred canvas can only be sized by the worker
+        if (!this.canvasTransferred) {
+            this.canvas.width = this.width;
+            this.canvas.height = this.height;
+        }
         
-        // Resize butterchurn if active
+        // Resize butterchurn if active; the canvas size already has the pixel ratio in it
         if (this.butterchurnVisualizer) {
-            this.butterchurnVisualizer.setRendererSize(this.width, this.height);
+            this.butterchurnVisualizer.setRendererSize(this.width, this.height, { pixelRatio: 1 });
+        }
+
+        if (this.modeRenderer) {
+            this.modeRenderer.setSize(this.width, this.height);
+        }
+    }
+
+    /**
+     * `scale` is the fraction of the display's device pixels live canvases
+     * render at (fixed-size canvases ignore it); `mesh` is butterchurn's
+     * per-vertex grid, `{ width, height }`. Unchanged values cost nothing.
+     */
+    setRenderQuality({ scale = this.renderScale, mesh = this.meshSize } = {}) {
+        if (scale !== this.renderScale) {
+            this.renderScale = scale;
+            if (!this.fixedSize) {
+                this.resizeCanvas();
+            }
+        }
+        if (mesh.width !== this.meshSize.width || mesh.height !== this.meshSize.height) {
+            this.meshSize = { width: mesh.width, height: mesh.height };
+            if (this.butterchurnVisualizer) {
+                this.butterchurnVisualizer.setInternalMeshSize(mesh.width, mesh.height);
+            }
+        }
+    }
+
+    /**
+     * Render for a canvas shown at `size` CSS pixels, `{ width, height }`,
+     * instead of the whole window; null follows the window again
+     */
+    setDisplaySize(size) {
+        this.displaySize = size ? { width: size.width, height: size.height } : null;
+        if (!this.fixedSize) {
+            this.resizeCanvas();
         }
     }
 
     clear() {
-        if (this.ctx) {
-            this.ctx.fillStyle = 'rgb(0, 0, 0)';
-            this.ctx.fillRect(0, 0, this.width, this.height);
+        if (this.modeRenderer) {
+            this.modeRenderer.clear();
         }
         // Stop auto-rotation when clearing/stopping
         this.stopAutoRotate();
     }
 
+    /**
+     * What `type` draws with: 'webgl' (butterchurn), 'worker' (a 2D mode in
+     * the render worker) or '2d' (a 2D mode on this thread)
+     */
+    renderTargetFor(type) {
+        if (type === 'milkdrop') return 'webgl';
+        return this.offscreen && offscreenModes.has(type) && WorkerRenderer.isSupported() ? 'worker' : '2d';
+    }
+
+    /**
+     * Start drawing 2D modes on the current canvas, in the render worker or
+     * on this thread as renderTarget says
+     */
+    startModeRenderer() {
+        if (this.renderTarget === 'worker') {
+            this.modeRenderer = new WorkerRenderer(this.canvas, this.width, this.height);
+            this.canvasTransferred = true;
+            this.ctx = null;
+        } else {
+            this.ctx = this.canvas.getContext('2d');
+            this.modeRenderer = new ModeRenderer(this.ctx, (type) => modes.get(type) || modes.get(DEFAULT_MODE));
+        }
+        this.modeRenderer.setSize(this.width, this.height);
+        this.modeRenderer.setPalette(this.palette);
+        this.modeRenderer.setOptions(this.getModeOptions());
+        this.modeRenderer.setMode(this.type);
+    }
+
+    /**
+     * Draw built-in 2D modes in a render worker when the browser can, or
+     * always on this thread. Moving between them takes a fresh canvas.
+     */
+    setOffscreen(enabled) {
+        this.offscreen = enabled;
+        const target = this.renderTargetFor(this.type);
+        if (target === this.renderTarget) return;
+
+        this.renderTarget = target;
+        this.recreateCanvas();
+        this.startModeRenderer();
+    }
+
     recreateCanvas() {
+        if (this.modeRenderer) {
+            this.modeRenderer.dispose();
+            this.modeRenderer = null;
+        }
+
         const newCanvas = document.createElement('canvas');
         newCanvas.id = this.canvas.id;
         // Copy attributes
@@ -65,15 +213,59 @@ class Visualizer {
         newCanvas.width = this.width;
         newCanvas.height = this.height;
         
-        this.container.replaceChild(newCanvas, this.canvas);
+        // Offline renders use a detached canvas
+        if (this.container) {
+            this.container.replaceChild(newCanvas, this.canvas);
+        }
         this.canvas = newCanvas;
         
         // Reset contexts
         this.ctx = null;
+        this.canvasTransferred = false;
         this.butterchurnVisualizer = null;
     }
     
+    /**
+     * Let go of the canvas's drawing resources for good (offline renders):
+     * rotation stops, the 2D renderer is disposed and butterchurn's WebGL
+     * context is lost, as browsers only keep a few alive at once
+     */
+    dispose() {
+        this.stopAutoRotate();
+        if (this.modeRenderer) {
+            this.modeRenderer.dispose();
+            this.modeRenderer = null;
+        }
+        if (this.butterchurnVisualizer) {
+            // Hands back butterchurn's existing context
+            const gl = this.canvas.getContext('webgl2');
+            const extension = gl && gl.getExtension('WEBGL_lose_context');
+            if (extension) {
+                extension.loseContext();
+            }
+            this.butterchurnVisualizer = null;
+        }
+    }
+
     initButterchurn(audioContext, audioNode) {
+        if (this.butterchurnVisualizer) {
+            if (audioContext !== this.audioContext) {
+                // butterchurn's analysers live in the old context, so build a new instance
+                this.stopAutoRotate();
+                this.butterchurnVisualizer = null;
+            } else if (audioNode !== this.butterchurnAudioNode) {
+                // Same context, different input (e.g. switched microphone)
+                if (this.butterchurnAudioNode) {
+                    try {
+                        this.butterchurnVisualizer.disconnectAudio(this.butterchurnAudioNode);
+                    } catch (e) {
+                        // Node was already disconnected when its source stopped
+                    }
+                }
+                this.butterchurnVisualizer.connectAudio(audioNode);
+            }
+        }
+
         this.audioContext = audioContext;
         this.butterchurnAudioNode = audioNode;
         
@@ -89,7 +281,10 @@ class Visualizer {
         try {
             this.butterchurnVisualizer = butterchurn.createVisualizer(this.audioContext, this.canvas, {
                 width: this.width,
-                height: this.height
+                height: this.height,
+                pixelRatio: 1,
+                meshWidth: this.meshSize.width,
+                meshHeight: this.meshSize.height
             });
             
             // Load initial preset
@@ -113,18 +308,42 @@ class Visualizer {
 
     setPreset(presetName) {
         if (presetName === 'auto') {
-            this.isAutoRotating = true;
+            this.setAutoRotate(true);
+        } else {
+            this.setAutoRotate(false);
+            this.loadPreset(presetName);
+        }
+    }
+
+    /**
+     * Turn auto-rotation on or off, staying on the current preset either way
+     */
+    setAutoRotate(enabled) {
+        this.isAutoRotating = enabled;
+        if (enabled) {
             this.startAutoRotate();
         } else {
-            this.isAutoRotating = false;
             this.stopAutoRotate();
-            this.loadPreset(presetName);
         }
     }
 
-    loadPreset(presetName) {
+    loadPreset(presetName, { recordHistory = true } = {}) {
+        if (this.presets[presetName]) {
+            this.currentPresetIndex = this.presetKeys.indexOf(presetName);
+            if (recordHistory) {
+                this.pushHistory(presetName);
+            }
+        }
         if (this.butterchurnVisualizer && this.presets[presetName]) {
-            this.butterchurnVisualizer.loadPreset(this.presets[presetName], 2.0); // 2.0s transition
+            try {
+                this.butterchurnVisualizer.loadPreset(this.presets[presetName], this.blendTime);
+            } catch (e) {
+                console.error(`Failed to load preset "${presetName}":`, e);
+                if (this.onPresetError) {
+                    this.onPresetError(presetName, e);
+                }
+                return;
+            }
             
             if (this.onPresetChange) {
                 this.onPresetChange(presetName);
@@ -132,13 +351,85 @@ class Visualizer {
         }
     }
 
+    /**
+     * Add imported presets (`{ name: preset }`) to the Custom group.
+     * Importing a custom name again replaces it.
+     */
+    addPresets(presets) {
+        Object.entries(presets).forEach(([name, preset]) => {
+            if (!this.presets[name]) {
+                this.presetKeys.push(name);
+            }
+            this.presets[name] = preset;
+            this.customPresetNames.add(name);
+        });
+    }
+
+    removePreset(name) {
+        if (!this.customPresetNames.delete(name)) return;
+
+        const current = this.presetKeys[this.currentPresetIndex];
+        delete this.presets[name];
+        this.presetKeys.splice(this.presetKeys.indexOf(name), 1);
+        this.currentPresetIndex = Math.max(0, this.presetKeys.indexOf(current));
+        this.shuffleBag = this.shuffleBag.filter(key => key !== name);
+
+        // Drop it from history so Previous/Next don't step onto nothing, keeping
+        // the place and not leaving the same preset twice in a row
+        const history = [];
+        let historyIndex = -1;
+        this.history.forEach((key, i) => {
+            if (key !== name && key !== history[history.length - 1]) history.push(key);
+            if (i === this.historyIndex) historyIndex = history.length - 1;
+        });
+        this.history = history;
+        this.historyIndex = historyIndex;
+
+        if (current === name && this.isAutoRotating) {
+            this.rotatePreset();
+        }
+    }
+
+    isCustomPreset(name) {
+        return this.customPresetNames.has(name);
+    }
+
+    getCustomPresets() {
+        const custom = {};
+        this.customPresetNames.forEach(name => {
+            custom[name] = this.presets[name];
+        });
+        return custom;
+    }
+
     startAutoRotate() {
         this.stopAutoRotate();
         this.autoRotateInterval = setInterval(() => {
-            this.currentPresetIndex = Math.floor(Math.random() * this.presetKeys.length);
-            const nextPreset = this.presetKeys[this.currentPresetIndex];
-            this.loadPreset(nextPreset);
-        }, 15000); // 15 seconds
+            if (this.presetLocked) return;
+            if (!this.beatSync) {
+                this.rotatePreset();
+                return;
+            }
+            // Wait for a downbeat, but don't hang on quiet or beatless material
+            if (!this.presetChangeTimeout) {
+                this.presetChangeTimeout = setTimeout(() => this.rotatePreset(), 4000);
+            }
+        }, this.rotateInterval * 1000);
+    }
+
+    setAutoRotateSettings({ interval = this.rotateInterval, order = this.rotateOrder, blendTime = this.blendTime }) {
+        if (order !== this.rotateOrder) {
+            this.shuffleBag = [];
+        }
+        this.rotateOrder = order;
+        this.blendTime = blendTime;
+
+        if (interval !== this.rotateInterval) {
+            this.rotateInterval = interval;
+            if (this.autoRotateInterval) {
+                this.startAutoRotate();
+            }
+        }
     }
 
     stopAutoRotate() {
@@ -146,214 +437,321 @@ class Visualizer {
             clearInterval(this.autoRotateInterval);
             this.autoRotateInterval = null;
         }
+        this.cancelPendingPresetChange();
     }
-    
+
+    cancelPendingPresetChange() {
+        if (this.presetChangeTimeout) {
+            clearTimeout(this.presetChangeTimeout);
+            this.presetChangeTimeout = null;
+        }
+    }
+
+    rotatePreset() {
+        this.cancelPendingPresetChange();
+        if (this.presetLocked) return;
+        this.loadPreset(this.pickNextPreset());
+    }
+
+    /**
+     * While locked, auto-rotate and previous/next leave the current preset alone.
+     * Choosing a preset explicitly (setPreset) still works.
+     */
+    setPresetLocked(locked) {
+        this.presetLocked = locked;
+        if (locked) {
+            this.cancelPendingPresetChange();
+        } else {
+            this.restartAutoRotateTimer();
+        }
+    }
+
+    /**
+     * Step back through the presets shown so far
+     */
+    previousPreset() {
+        if (this.presetLocked || this.historyIndex <= 0) return false;
+
+        this.historyIndex--;
+        this.showFromHistory();
+        return true;
+    }
+
+    /**
+     * Step forward again after previousPreset, or move on to a new preset
+     */
+    nextPreset() {
+        if (this.presetLocked) return false;
+
+        if (this.historyIndex < this.history.length - 1) {
+            this.historyIndex++;
+            this.showFromHistory();
+        } else {
+            this.cancelPendingPresetChange();
+            this.loadPreset(this.pickNextPreset());
+            this.restartAutoRotateTimer();
+        }
+        return true;
+    }
+
+    showFromHistory() {
+        this.cancelPendingPresetChange();
+        this.loadPreset(this.history[this.historyIndex], { recordHistory: false });
+        this.restartAutoRotateTimer();
+    }
+
+    /**
+     * Give a preset picked by hand a full interval before rotation moves on
+     */
+    restartAutoRotateTimer() {
+        if (this.autoRotateInterval) {
+            this.startAutoRotate();
+        }
+    }
+
+    pushHistory(presetName) {
+        if (this.history[this.historyIndex] === presetName) return;
+
+        // Picking something new after stepping back drops the old forward path
+        this.history = this.history.slice(0, this.historyIndex + 1);
+        this.history.push(presetName);
+        if (this.history.length > HISTORY_LENGTH) {
+            this.history.shift();
+        }
+        this.historyIndex = this.history.length - 1;
+    }
+
+    /**
+     * Choose the next preset to rotate to according to rotateOrder
+     */
+    pickNextPreset() {
+        const candidates = this.getRotationCandidates();
+        const current = this.presetKeys[this.currentPresetIndex];
+
+        if (this.rotateOrder === 'sequential') {
+            // Next candidate after the current preset in list order, wrapping around
+            const position = this.currentPresetIndex;
+            const after = candidates.find(key => this.presetKeys.indexOf(key) > position);
+            return after || candidates[0];
+        }
+
+        // Drop anything that stopped being a candidate (blocked, unfavorited, deleted)
+        const allowed = new Set(candidates);
+        this.shuffleBag = this.shuffleBag.filter(key => allowed.has(key));
+        if (this.shuffleBag.length === 0) {
+            this.shuffleBag = shuffle(candidates.filter(key => key !== current || candidates.length === 1));
+        }
+        return this.shuffleBag.pop();
+    }
+
+    setPresetLibrary(library) {
+        this.presetLibrary = library;
+        // Don't open on a blocked preset
+        if (!this.butterchurnVisualizer && library.isBlocked(this.presetKeys[this.currentPresetIndex])) {
+            this.currentPresetIndex = this.pickRandomPreset();
+        }
+    }
+
+    setRotationSource(source) {
+        this.rotationSource = source;
+    }
+
+    /**
+     * Presets auto-rotation may pick: never blocked ones, and only favorites
+     * when asked to (falling back to everything if there are none yet)
+     */
+    getRotationCandidates() {
+        const library = this.presetLibrary;
+        if (!library) return this.presetKeys;
+
+        const allowed = this.presetKeys.filter(key => !library.isBlocked(key));
+        if (this.rotationSource === 'favorites') {
+            const favorites = allowed.filter(key => library.isFavorite(key));
+            if (favorites.length > 0) return favorites;
+        }
+        return allowed.length > 0 ? allowed : this.presetKeys;
+    }
+
+    pickRandomPreset() {
+        const current = this.presetKeys[this.currentPresetIndex];
+        let candidates = this.getRotationCandidates();
+        if (candidates.length > 1) {
+            candidates = candidates.filter(key => key !== current);
+        }
+        const pick = candidates[Math.floor(Math.random() * candidates.length)];
+        return this.presetKeys.indexOf(pick);
+    }
+
+    /**
+     * Beat callback from BeatDetector
+     */
+    onBeat(beat) {
+        this.beatPulse = Math.max(this.beatPulse, beat.strength);
+
+        if (beat.downbeat && this.presetChangeTimeout) {
+            this.rotatePreset();
+        }
+    }
+
     setType(type) {
-        const oldType = this.type;
+        const oldTarget = this.renderTarget;
         this.type = type;
-        
-        const isWebgl = type === 'milkdrop';
-        const wasWebgl = oldType === 'milkdrop';
+        this.renderTarget = this.renderTargetFor(type);
 
-        if (isWebgl !== wasWebgl) {
-            this.recreateCanvas();
-            
-            if (isWebgl) {
-                // Switching to WebGL
-                if (this.audioContext) {
-                    this.createButterchurnInstance();
-                }
-            } else {
-                // Switching to 2D
+        if (this.renderTarget === oldTarget) {
+            if (this.modeRenderer) {
+                this.modeRenderer.setMode(type);
+            }
+            return;
+        }
+
+        // A canvas keeps the first kind of context it gets, and a transferred
+        // one gets none here, so every change of target needs a fresh canvas
+        this.recreateCanvas();
+        if (this.renderTarget === 'webgl') {
+            if (this.audioContext) {
+                this.createButterchurnInstance();
+            }
+        } else {
+            if (oldTarget === 'webgl') {
                 this.stopAutoRotate();
-                this.ctx = this.canvas.getContext('2d');
             }
+            this.startModeRenderer();
         }
     }
     
+    setScopeMode(mode) {
+        this.scopeMode = mode;
+        this.updateModeOptions();
+    }
+
+    setSpectrogramView(view) {
+        this.spectrogramView = view;
+        this.updateModeOptions();
+    }
+
+    setBarSettings(changes) {
+        this.barSettings = { ...this.barSettings, ...changes };
+        this.updateModeOptions();
+    }
+
+    /**
+     * Mode settings every 2D mode sees in its frame (see ModeRenderer.getFrame)
+     */
+    getModeOptions() {
+        return { scopeMode: this.scopeMode, spectrogramView: this.spectrogramView, bars: this.barSettings };
+    }
+
+    updateModeOptions() {
+        if (this.modeRenderer) {
+            this.modeRenderer.setOptions(this.getModeOptions());
+        }
+    }
+
+    /**
+     * `scheme` is a built-in palette id or a full palette definition (user palettes)
+     */
     setColorScheme(scheme) {
-        this.colorScheme = scheme;
+        this.palette = new Palette(typeof scheme === 'string' ? Palette.builtIn(scheme) : scheme);
+        this.colorScheme = this.palette.id;
+        if (this.modeRenderer) {
+            this.modeRenderer.setPalette(this.palette);
+        }
     }
     
     getColor(index, total, intensity = 1) {
-        const schemes = {
-            classic: () => {
-                const blue = Math.floor(100 + intensity * 155);
-                return `rgb(0, ${Math.floor(intensity * 150)}, ${blue})`;
-            },
-            fire: () => {
-                const red = Math.floor(200 + intensity * 55);
-                const green = Math.floor(intensity * 100);
-                return `rgb(${red}, ${green}, 0)`;
-            },
-            ocean: () => {
-                const blue = Math.floor(150 + intensity * 105);
-                const green = Math.floor(intensity * 200);
-                return `rgb(0, ${green}, ${blue})`;
-            },
-            rainbow: () => {
-                const hue = (index / total) * 360;
-                const lightness = 50 + intensity * 20;
-                return `hsl(${hue}, 100%, ${lightness}%)`;
-            },
-            neon: () => {
-                const green = Math.floor(200 + intensity * 55);
-                return `rgb(0, ${green}, ${Math.floor(intensity * 100)})`;
-            }
-        };
-        
-        return schemes[this.colorScheme] ? schemes[this.colorScheme]() : schemes.classic();
+        return this.palette.getColor(index, total, intensity);
     }
     
-    draw(dataArray, bufferLength) {
+    /**
+     * Draw one frame. `analysis` holds the rest of the frame's audio data for
+     * 2D modes: waveform, stereo, bandFrequencies and energy (see ModeRenderer.getFrame).
+     * Milkdrop samples its own analyser unless `analysis.audioLevels` brings
+     * butterchurn's time-domain bytes (output windows have no audio of their own).
+     */
+    draw(dataArray, bufferLength, analysis = {}) {
+        const pulse = this.beatPulse;
+        this.beatPulse *= 0.9;
+
+        // Offline renders step a fixed frame duration; live frames use the wall clock
+        const now = performance.now();
+        const deltaTime = this.frameDuration || (this.lastDrawTime ? Math.min(0.25, (now - this.lastDrawTime) / 1000) : 1 / 60);
+        this.lastDrawTime = now;
+
         // Handle milkdrop separately
         if (this.type === 'milkdrop') {
             if (this.butterchurnVisualizer) {
-                this.butterchurnVisualizer.render();
+                this.butterchurnVisualizer.render({
+                    audioLevels: analysis.audioLevels,
+                    elapsedTime: this.frameDuration || undefined
+                });
             }
             return;
         }
-        
-        // Original visualizations
-        switch (this.type) {
-            case 'bars':
-                this.drawBars(dataArray, bufferLength);
-                break;
-            case 'oscilloscope':
-                this.drawOscilloscope(dataArray, bufferLength);
-                break;
-            case 'spectrum':
-                this.drawSpectrum(dataArray, bufferLength);
-                break;
-            case 'circular':
-                this.drawCircular(dataArray, bufferLength);
-                break;
-            default:
-                this.drawBars(dataArray, bufferLength);
+
+        if (this.modeRenderer) {
+            this.modeRenderer.draw({
+                frequencyData: dataArray,
+                bufferLength,
+                ...analysis,
+                pulse,
+                deltaTime
+            });
         }
     }
-    
-    drawBars(dataArray, bufferLength) {
-        this.ctx.fillStyle = 'rgb(0, 0, 0)';
-        this.ctx.fillRect(0, 0, this.width, this.height);
-        
-        const barWidth = (this.width / bufferLength);
-        let x = 0;
-        
-        for (let i = 0; i < bufferLength; i++) {
-            const barHeight = (dataArray[i] / 255) * this.height;
-            const intensity = dataArray[i] / 255;
-            
-            this.ctx.fillStyle = this.getColor(i, bufferLength, intensity);
-            this.ctx.fillRect(x, this.height - barHeight, barWidth, barHeight);
-            
-            x += barWidth + 1;
+
+    /**
+     * Register a 2D visualization mode. `mode` is
+     * `{ label, draw(frame), init?(frame), resize?(frame), dispose?(frame), usesScopeMode?, usesSpectrogramView? }`;
+     * see ModeRenderer.getFrame for what `frame` holds. init may return a state
+     * object, which later calls see as `frame.state`. Registering an existing id
+     * replaces it; replaced built-ins draw on the main thread from then on.
+     */
+    static registerMode(id, mode) {
+        if (typeof id !== 'string' || id === '' || id === 'milkdrop') {
+            throw new Error(`Invalid visualization mode id: ${id}`);
         }
-    }
-    
-    drawOscilloscope(dataArray, bufferLength) {
-        this.ctx.fillStyle = 'rgb(0, 0, 0)';
-        this.ctx.fillRect(0, 0, this.width, this.height);
-        
-        this.ctx.lineWidth = 2;
-        this.ctx.strokeStyle = this.getColor(0, 1, 1);
-        this.ctx.beginPath();
-        
-        const sliceWidth = this.width / bufferLength;
-        let x = 0;
-        
-        for (let i = 0; i < bufferLength; i++) {
-            const v = dataArray[i] / 128.0;
-            const y = (v * this.height) / 2;
-            
-            if (i === 0) {
-                this.ctx.moveTo(x, y);
-            } else {
-                this.ctx.lineTo(x, y);
-            }
-            
-            x += sliceWidth;
+        if (!mode || typeof mode.draw !== 'function') {
+            throw new Error(`Visualization mode "${id}" needs a draw function`);
         }
-        
-        this.ctx.lineTo(this.width, this.height / 2);
-        this.ctx.stroke();
-        
-        // Add glow effect
-        this.ctx.shadowBlur = 10;
-        this.ctx.shadowColor = this.getColor(0, 1, 1);
-        this.ctx.stroke();
-        this.ctx.shadowBlur = 0;
+
+        modes.set(id, { ...mode, label: mode.label || id });
+        offscreenModes.delete(id);
+        modeListeners.forEach(listener => listener());
     }
-    
-    drawSpectrum(dataArray, bufferLength) {
-        this.ctx.fillStyle = 'rgb(0, 0, 0)';
-        this.ctx.fillRect(0, 0, this.width, this.height);
-        
-        const barWidth = this.width / bufferLength;
-        
-        for (let i = 0; i < bufferLength; i++) {
-            const barHeight = (dataArray[i] / 255) * this.height * 0.8;
-            const intensity = dataArray[i] / 255;
-            const x = i * barWidth;
-            
-            // Create gradient for each bar
-            const gradient = this.ctx.createLinearGradient(0, this.height - barHeight, 0, this.height);
-            gradient.addColorStop(0, this.getColor(i, bufferLength, 1));
-            gradient.addColorStop(1, this.getColor(i, bufferLength, 0.3));
-            
-            this.ctx.fillStyle = gradient;
-            this.ctx.fillRect(x, this.height - barHeight, barWidth - 1, barHeight);
-            
-            // Add reflection
-            const reflectionGradient = this.ctx.createLinearGradient(0, this.height, 0, this.height + barHeight * 0.3);
-            reflectionGradient.addColorStop(0, this.getColor(i, bufferLength, intensity * 0.3));
-            reflectionGradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
-            
-            this.ctx.fillStyle = reflectionGradient;
-            this.ctx.fillRect(x, this.height, barWidth - 1, barHeight * 0.3);
-        }
+
+    /**
+     * Whether this browser can draw 2D modes in the render worker
+     */
+    static supportsOffscreen() {
+        return WorkerRenderer.isSupported();
     }
-    
-    drawCircular(dataArray, bufferLength) {
-        this.ctx.fillStyle = 'rgb(0, 0, 0)';
-        this.ctx.fillRect(0, 0, this.width, this.height);
-        
-        const centerX = this.width / 2;
-        const centerY = this.height / 2;
-        const radius = Math.min(this.width, this.height) / 3;
-        
-        this.ctx.beginPath();
-        
-        for (let i = 0; i < bufferLength; i++) {
-            const angle = (i / bufferLength) * Math.PI * 2;
-            const barHeight = (dataArray[i] / 255) * radius;
-            const intensity = dataArray[i] / 255;
-            
-            const x1 = centerX + Math.cos(angle) * radius;
-            const y1 = centerY + Math.sin(angle) * radius;
-            const x2 = centerX + Math.cos(angle) * (radius + barHeight);
-            const y2 = centerY + Math.sin(angle) * (radius + barHeight);
-            
-            this.ctx.strokeStyle = this.getColor(i, bufferLength, intensity);
-            this.ctx.lineWidth = 3;
-            this.ctx.beginPath();
-            this.ctx.moveTo(x1, y1);
-            this.ctx.lineTo(x2, y2);
-            this.ctx.stroke();
-        }
-        
-        // Draw center circle
-        this.ctx.beginPath();
-        this.ctx.arc(centerX, centerY, radius * 0.1, 0, Math.PI * 2);
-        this.ctx.fillStyle = this.getColor(0, 1, 1);
-        this.ctx.fill();
-        
-        // Add glow effect
-        this.ctx.shadowBlur = 20;
-        this.ctx.shadowColor = this.getColor(0, 1, 1);
-        this.ctx.fill();
-        this.ctx.shadowBlur = 0;
+
+    static getMode(id) {
+        return modes.get(id) || null;
+    }
+
+    /**
+     * Every visualization type in menu order, Milkdrop first
+     */
+    static getModes() {
+        return [
+            { id: 'milkdrop', label: 'Milkdrop' },
+            ...Array.from(modes, ([id, mode]) => ({ id, label: mode.label }))
+        ];
+    }
+
+    /**
+     * Call `listener` whenever a mode is registered after startup
+     */
+    static onModesChange(listener) {
+        modeListeners.add(listener);
     }
 }
 
+Object.entries(builtInModes).forEach(([id, mode]) => {
+    Visualizer.registerMode(id, mode);
+    offscreenModes.add(id);
+});
+
 export default Visualizer;
@@ -0,0 +1,99 @@
+/**
+ * WorkerRenderer class - draws 2D modes in a render worker (render-worker.js)
+ * instead of on the main thread, with the same methods as ModeRenderer.
+ *
+ * The canvas is handed over with transferControlToOffscreen, after which the
+ * page can neither resize it nor get a context from it: switching to a mode
+ * the worker can't draw means a fresh canvas (see Visualizer.recreateCanvas).
+ *
+ * Messages to the worker are `{ type, ... }`: init (the OffscreenCanvas and
+ * its size), size, mode, palette (a definition), options, clear and frame
+ * (a frame's audio). The worker answers every frame with drawn; only one
+ * frame is in flight at a time, and newer ones replace any still waiting.
+ */
+class WorkerRenderer {
+    constructor(canvas, width, height) {
+        this.worker = new Worker(new URL('./render-worker.js', import.meta.url));
+        this.worker.addEventListener('message', (e) => this.handleMessage(e.data));
+        this.width = width;
+        this.height = height;
+        this.drawing = false; // A frame is with the worker
+        this.queuedFrame = null; // Latest frame to send once it's done
+        this.lastError = null;
+
+        const offscreen = canvas.transferControlToOffscreen();
+        this.worker.postMessage({ type: 'init', canvas: offscreen, width, height }, [offscreen]);
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined'
+            && typeof OffscreenCanvas !== 'undefined'
+            && typeof HTMLCanvasElement !== 'undefined'
+            && typeof HTMLCanvasElement.prototype.transferControlToOffscreen === 'function';
+    }
+
+    handleMessage(message) {
+        if (message.type === 'drawn') {
+            this.drawing = false;
+            if (this.queuedFrame) {
+                const frame = this.queuedFrame;
+                this.queuedFrame = null;
+                this.draw(frame);
+            }
+        } else if (message.type === 'error' && message.message !== this.lastError) {
+            // Modes fail the same way every frame; report each problem once
+            this.lastError = message.message;
+            console.error('Render worker error:', message.message);
+        }
+    }
+
+    setMode(type) {
+        this.worker.postMessage({ type: 'mode', mode: type });
+    }
+
+    setSize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.worker.postMessage({ type: 'size', width, height });
+    }
+
+    /**
+     * `palette` is a Palette; the worker builds its own from the definition
+     */
+    setPalette(palette) {
+        this.worker.postMessage({ type: 'palette', palette: palette.definition });
+    }
+
+    setOptions(options) {
+        this.worker.postMessage({ type: 'options', options });
+    }
+
+    clear() {
+        this.queuedFrame = null;
+        this.worker.postMessage({ type: 'clear' });
+    }
+
+    /**
+     * Send a frame's audio, or hold it while the worker is still drawing; a
+     * newer frame replaces the held one and takes over its deltaTime. Posting
+     * copies the frame, but a held frame's arrays are only read when it goes,
+     * so callers may refill them for the next draw and not otherwise.
+     */
+    draw(audio) {
+        if (this.drawing) {
+            // Modes animate by deltaTime, so time from skipped frames carries over
+            this.queuedFrame = this.queuedFrame
+                ? { ...audio, deltaTime: this.queuedFrame.deltaTime + audio.deltaTime }
+                : audio;
+            return;
+        }
+        this.drawing = true;
+        this.worker.postMessage({ type: 'frame', audio });
+    }
+
+    dispose() {
+        this.worker.terminate();
+    }
+}
+
+export default WorkerRenderer;
@@ -0,0 +1,234 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setImmediate } from 'node:timers/promises';
+import butterchurn from 'butterchurn';
+import { initApp, startVisualization, stopVisualization, toggleVisualization } from '../src/app.js';
+import { installDom, animationFrames } from './support/dom.js';
+import { installAudio, FakeAudioContext, FakeAudioElement } from './support/audio.js';
+
+// Importing app.js above must not have touched the (missing) DOM
+it('imports without a DOM', () => {
+    assert.equal(typeof globalThis.document, 'undefined');
+    assert.equal(typeof initApp, 'function');
+});
+
+describe('start and stop', () => {
+    let document;
+    let mediaDevices;
+    let playPauseBtn;
+    let status;
+
+    /**
+     * Let async handlers (a click on play) run to completion
+     */
+    async function settle() {
+        for (let i = 0; i < 10; i++) {
+            await setImmediate();
+        }
+    }
+
+    function isShowingStop() {
+        return playPauseBtn.getAttribute('data-tooltip') === 'Stop Visualization'
+            && playPauseBtn.querySelector('.icon-play').style.display === 'none'
+            && playPauseBtn.querySelector('.icon-stop').style.display === 'inline';
+    }
+
+    function isShowingStart(tooltip = 'Start Visualization') {
+        return playPauseBtn.getAttribute('data-tooltip') === tooltip
+            && playPauseBtn.querySelector('.icon-play').style.display === 'inline'
+            && playPauseBtn.querySelector('.icon-stop').style.display === 'none';
+    }
+
+    before(() => {
+        mock.timers.enable({ apis: ['setInterval', 'setTimeout'] });
+        document = installDom({ html: true });
+        mediaDevices = installAudio();
+        initApp();
+        playPauseBtn = document.getElementById('playPauseBtn');
+        status = document.getElementById('status');
+    });
+
+    after(() => {
+        stopVisualization();
+        mock.timers.reset();
+    });
+
+    beforeEach(() => {
+        stopVisualization();
+    });
+
+    it('sets up the page', () => {
+        const types = document.getElementById('vizType').options.map(option => option.value);
+        assert.deepEqual(types.slice(0, 3), ['milkdrop', 'bars', 'oscilloscope']);
+        assert.ok(document.getElementById('colorScheme').options.length >= 5);
+        assert.equal(animationFrames.pending, 0, 'nothing draws before start');
+    });
+
+    it('starts the microphone, audio graph and render loop', async () => {
+        const contexts = FakeAudioContext.instances.length;
+
+        await startVisualization();
+
+        assert.equal(mediaDevices.streams.length > 0, true);
+        assert.equal(FakeAudioContext.instances.length, contexts + 1);
+        assert.equal(status.textContent, 'Microphone Active');
+        assert.ok(isShowingStop());
+        assert.equal(animationFrames.pending, 1);
+
+        const instance = butterchurn.instances.at(-1);
+        assert.equal(instance.audioContext, FakeAudioContext.instances.at(-1));
+        assert.equal(instance.audioNodes.size, 1);
+    });
+
+    it('draws a frame per animation frame while running', async () => {
+        await startVisualization();
+        const instance = butterchurn.instances.at(-1);
+        const renders = instance.renders;
+
+        animationFrames.run();
+        animationFrames.run();
+
+        assert.equal(instance.renders, renders + 2);
+        assert.equal(animationFrames.pending, 1, 'the next frame is queued');
+    });
+
+    it('releases the microphone and audio context on stop', async () => {
+        await startVisualization();
+        const stream = mediaDevices.streams.at(-1);
+        const context = FakeAudioContext.instances.at(-1);
+
+        stopVisualization();
+
+        assert.ok(stream.getTracks().every(track => track.readyState === 'ended'));
+        assert.equal(context.state, 'closed');
+        assert.equal(animationFrames.pending, 0);
+        assert.equal(status.textContent, 'Stopped');
+        assert.ok(isShowingStart());
+    });
+
+    it('starts afresh after a stop', async () => {
+        await startVisualization();
+        stopVisualization();
+        const streams = mediaDevices.streams.length;
+
+        await startVisualization();
+
+        assert.equal(mediaDevices.streams.length, streams + 1, 'asks for the microphone again');
+        const context = FakeAudioContext.instances.at(-1);
+        assert.equal(context.state, 'running');
+        assert.equal(butterchurn.instances.at(-1).audioContext, context, 'butterchurn moves to the new context');
+        assert.ok(isShowingStop());
+    });
+
+    it('toggles with the play button', async () => {
+        playPauseBtn.click();
+        await settle();
+        assert.ok(isShowingStop());
+        assert.equal(animationFrames.pending, 1);
+
+        playPauseBtn.click();
+        await settle();
+        assert.ok(isShowingStart());
+        assert.equal(animationFrames.pending, 0);
+
+        toggleVisualization();
+        await settle();
+        assert.ok(isShowingStop());
+    });
+
+    it('stays stopped when the microphone is refused', async () => {
+        mediaDevices.error = Object.assign(new Error('Permission denied'), { name: 'NotAllowedError' });
+        const consoleError = mock.method(console, 'error', () => {});
+
+        await startVisualization();
+        consoleError.mock.restore();
+
+        assert.equal(consoleError.mock.callCount(), 1);
+        assert.equal(consoleError.mock.calls[0].arguments[1].name, 'NotAllowedError');
+        assert.ok(isShowingStart());
+        assert.equal(animationFrames.pending, 0);
+        assert.equal(FakeAudioContext.instances.at(-1).state, 'closed');
+    });
+
+    it('pauses drawing while the page is hidden', async () => {
+        await startVisualization();
+
+        document.hidden = true;
+        document.dispatchEvent(new Event('visibilitychange'));
+        assert.equal(animationFrames.pending, 0);
+
+        document.hidden = false;
+        document.dispatchEvent(new Event('visibilitychange'));
+        assert.equal(animationFrames.pending, 1);
+    });
+
+    it('stops when the page unloads', async () => {
+        await startVisualization();
+
+        globalThis.window.dispatchEvent(new Event('beforeunload'));
+
+        assert.ok(isShowingStart());
+        assert.equal(animationFrames.pending, 0);
+    });
+
+    // Last: once a file is queued the app stays on file input
+    describe('file playback', () => {
+        function playingDeck() {
+            return FakeAudioElement.instances.find(deck => !deck.paused);
+        }
+
+        before(async () => {
+            const input = document.getElementById('audioFileInput');
+            input.files = [new File(['not really audio'], 'song.mp3', { type: 'audio/mpeg' })];
+            input.dispatchEvent(new Event('change'));
+            await settle();
+        });
+
+        beforeEach(async () => {
+            if (!playingDeck()) {
+                await startVisualization();
+            }
+        });
+
+        it('plays a queued file through the analysers', () => {
+            const deck = playingDeck();
+            assert.ok(deck);
+            assert.match(deck.src, /^blob:/);
+            assert.equal(status.textContent, 'Playing: song');
+            assert.equal(document.getElementById('inputSelect').value, 'file');
+            assert.ok(isShowingStop());
+            assert.equal(animationFrames.pending, 1);
+        });
+
+        it('pauses and resumes on toggle, keeping the audio context', async () => {
+            const deck = playingDeck();
+            const context = FakeAudioContext.instances.at(-1);
+
+            toggleVisualization();
+            assert.equal(deck.paused, true);
+            assert.equal(status.textContent, 'Paused');
+            assert.ok(isShowingStart('Resume Visualization'));
+            assert.equal(animationFrames.pending, 0);
+            assert.equal(context.state, 'running');
+
+            deck.currentTime = 42;
+            await startVisualization();
+            assert.equal(playingDeck(), deck);
+            assert.equal(deck.currentTime, 42, 'resumes where it paused');
+            assert.equal(FakeAudioContext.instances.at(-1), context);
+            assert.ok(isShowingStop());
+        });
+
+        it('rewinds on stop and leaves the audio context open', () => {
+            const deck = playingDeck();
+            deck.currentTime = 42;
+
+            stopVisualization();
+
+            assert.equal(deck.paused, true);
+            assert.equal(deck.currentTime, 0);
+            assert.equal(FakeAudioContext.instances.at(-1).state, 'running');
+            assert.ok(isShowingStart());
+        });
+    });
+});
@@ -0,0 +1,102 @@
+import { it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setImmediate } from 'node:timers/promises';
+import { initApp, startVisualization, stopVisualization } from '../src/app.js';
+import { installDom, animationFrames, FakeElement } from './support/dom.js';
+import { installAudio, FakeMediaStream, FakeMediaStreamTrack } from './support/audio.js';
+
+// Recording with an output window open: the app keeps module state, so this gets its own process
+
+/**
+ * BroadcastChannel that keeps what it's sent; `receive` delivers a message
+ */
+class FakeBroadcastChannel extends EventTarget {
+    constructor(name) {
+        super();
+        this.name = name;
+        this.sent = [];
+        FakeBroadcastChannel.instances.push(this);
+    }
+
+    postMessage(message) {
+        this.sent.push(message);
+    }
+
+    receive(data) {
+        this.dispatchEvent(Object.assign(new Event('message'), { data }));
+    }
+
+    close() {}
+}
+
+FakeBroadcastChannel.instances = [];
+
+class FakeMediaRecorder extends EventTarget {
+    constructor(stream, options) {
+        super();
+        this.stream = stream;
+        this.mimeType = options.mimeType;
+        this.state = 'inactive';
+    }
+
+    static isTypeSupported(type) {
+        return type === 'video/webm';
+    }
+
+    start() {
+        this.state = 'recording';
+    }
+
+    stop() {
+        this.state = 'inactive';
+        this.dispatchEvent(new Event('stop'));
+    }
+}
+
+let document;
+let recordBtn;
+
+function canvasSize() {
+    const canvas = document.getElementById('visualizer');
+    return [canvas.width, canvas.height];
+}
+
+before(async () => {
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout'] });
+    document = installDom({ html: true });
+    installAudio();
+    globalThis.BroadcastChannel = FakeBroadcastChannel;
+    globalThis.MediaRecorder = FakeMediaRecorder;
+    globalThis.HTMLCanvasElement = FakeElement;
+    FakeElement.prototype.captureStream = () => new FakeMediaStream([new FakeMediaStreamTrack('video')]);
+    initApp();
+    recordBtn = document.getElementById('recordBtn');
+
+    FakeBroadcastChannel.instances[0].receive({ type: 'hello', id: 'projector', width: 1280, height: 720 });
+    await startVisualization();
+});
+
+after(() => {
+    stopVisualization();
+    delete FakeElement.prototype.captureStream;
+    mock.timers.reset();
+});
+
+it('renders the preview at preview size', () => {
+    assert.deepEqual(canvasSize(), [320, 180]);
+});
+
+it('renders at least window size, in the output shape, while recording', async () => {
+    recordBtn.click();
+    await setImmediate();
+    assert.ok(recordBtn.classList.contains('recording'));
+    assert.deepEqual(canvasSize(), [1067, 600]);
+
+    animationFrames.run();
+    assert.deepEqual(canvasSize(), [1067, 600], 'frames are recorded from the larger canvas');
+
+    recordBtn.click();
+    await setImmediate();
+    assert.ok(!recordBtn.classList.contains('recording'));
+    assert.deepEqual(canvasSize(), [320, 180], 'back to preview size');
+});
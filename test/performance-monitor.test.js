@@ -0,0 +1,60 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStorage } from './support/dom.js';
+import PerformanceMonitor from '../src/performance-monitor.js';
+
+beforeEach(() => {
+    globalThis.localStorage = new MemoryStorage();
+});
+
+describe('due', () => {
+    it('lets every animation frame through without a cap', () => {
+        const monitor = new PerformanceMonitor();
+
+        assert.ok([0, 16.7, 33.3, 50].every(now => monitor.due(now)));
+    });
+
+    it('paces a 60 Hz display down to the FPS cap', () => {
+        const monitor = new PerformanceMonitor();
+        monitor.apply({ fpsCap: 30 });
+
+        const drawn = [];
+        for (let i = 1; i <= 12; i++) {
+            if (monitor.due(i * 1000 / 60)) drawn.push(i);
+        }
+
+        assert.deepEqual(drawn, [2, 4, 6, 8, 10, 12]);
+    });
+});
+
+describe('adaptive quality', () => {
+    /**
+     * Feed `seconds` of frames `interval` ms apart
+     */
+    function run(monitor, interval, seconds, start = 0) {
+        let now = start;
+        while (now < start + seconds * 1000) {
+            now += interval;
+            monitor.frame(now, 1);
+        }
+        return now;
+    }
+
+    it('drops a level when frames keep running late', () => {
+        const monitor = new PerformanceMonitor();
+
+        run(monitor, 1000 / 30, 3);
+
+        assert.equal(monitor.level, 1);
+        assert.ok(monitor.quality.scale < 1);
+    });
+
+    it('stays put on budget', () => {
+        const monitor = new PerformanceMonitor();
+
+        run(monitor, 1000 / 60, 3);
+
+        assert.equal(monitor.level, 0);
+        assert.equal(Math.round(monitor.stats.fps), 60);
+    });
+});
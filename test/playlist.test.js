@@ -0,0 +1,80 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Playlist from '../src/playlist.js';
+
+/**
+ * A playlist of `count` tracks named 1, 2, 3...
+ */
+function createPlaylist(count = 3) {
+    const playlist = new Playlist();
+    const files = Array.from({ length: count }, (_, i) => new File([''], `${i + 1}.mp3`, { type: 'audio/mpeg' }));
+    playlist.add(files);
+    return playlist;
+}
+
+describe('previous', () => {
+    let playlist;
+
+    beforeEach(() => {
+        playlist = createPlaylist();
+        playlist.select(0);
+    });
+
+    it('steps back a track', () => {
+        playlist.select(2);
+
+        assert.equal(playlist.previous().name, '2');
+        assert.equal(playlist.currentIndex, 1);
+    });
+
+    it('stays on the first track with repeat off', () => {
+        playlist.repeat = 'off';
+
+        assert.equal(playlist.previous().name, '1');
+        assert.equal(playlist.currentIndex, 0);
+    });
+
+    it('wraps round to the last track when repeating', () => {
+        playlist.repeat = 'all';
+
+        assert.equal(playlist.previous().name, '3');
+    });
+
+    it('stays at the head of the shuffle order with repeat off', () => {
+        playlist.repeat = 'off';
+        playlist.setShuffle(true);
+
+        assert.equal(playlist.previous(), playlist.shuffleOrder[0]);
+        assert.equal(playlist.current(), playlist.shuffleOrder[0]);
+    });
+
+    it('wraps round the shuffle order when repeating', () => {
+        playlist.setShuffle(true);
+
+        assert.equal(playlist.previous(), playlist.shuffleOrder.at(-1));
+    });
+
+    it('has nothing to go back to in an empty queue', () => {
+        assert.equal(new Playlist().previous(), null);
+    });
+});
+
+describe('next', () => {
+    it('stops at the end of the queue with repeat off', () => {
+        const playlist = createPlaylist();
+        playlist.repeat = 'off';
+        playlist.select(2);
+
+        assert.equal(playlist.next(), null);
+        assert.equal(playlist.currentIndex, 2);
+    });
+
+    it('keeps the track when one ends on repeat one', () => {
+        const playlist = createPlaylist();
+        playlist.repeat = 'one';
+        playlist.select(1);
+
+        assert.equal(playlist.next(true).name, '2');
+        assert.equal(playlist.next().name, '3', 'skipping by hand still moves on');
+    });
+});
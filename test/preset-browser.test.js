@@ -0,0 +1,80 @@
+import { it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { initApp, startVisualization, stopVisualization } from '../src/app.js';
+import { installDom } from './support/dom.js';
+import { installAudio } from './support/audio.js';
+
+// The app keeps module state, so the preset browser gets its own process
+let document;
+let presetList;
+let presetsBtn;
+let nextPresetBtn;
+let searchInput;
+
+function currentItems() {
+    return presetList.children.filter(item => item.classList.contains('current'));
+}
+
+function search(text) {
+    searchInput.value = text;
+    searchInput.dispatchEvent(new Event('input'));
+}
+
+before(async () => {
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout'] });
+    document = installDom({ html: true });
+    installAudio();
+    initApp();
+    presetList = document.getElementById('presetList');
+    presetsBtn = document.getElementById('presetsBtn');
+    nextPresetBtn = document.getElementById('nextPresetBtn');
+    searchInput = document.getElementById('presetSearch');
+    await startVisualization();
+});
+
+after(() => {
+    stopVisualization();
+    mock.timers.reset();
+});
+
+it('leaves the list alone while the panel is closed', () => {
+    nextPresetBtn.click();
+
+    assert.equal(presetList.children.length, 0);
+});
+
+it('builds the list when the panel opens', () => {
+    presetsBtn.click();
+
+    assert.equal(presetList.children.length, 5);
+    assert.equal(currentItems().length, 1);
+});
+
+it('moves the highlight on a preset change without rebuilding', () => {
+    const items = presetList.children.slice();
+    const [before] = currentItems();
+
+    nextPresetBtn.click();
+    mock.timers.tick(15000);
+
+    assert.ok(presetList.children.every((item, i) => item === items[i]), 'same items');
+    const [after] = currentItems();
+    assert.equal(currentItems().length, 1);
+    assert.notEqual(after, before);
+});
+
+it('rebuilds for a search', () => {
+    search('Charlie');
+
+    assert.deepEqual(presetList.children.map(item => item.querySelector('.preset-name').textContent), ['Charlie']);
+});
+
+it('catches up with changes made while closed when it opens again', () => {
+    presetsBtn.click();
+    search('');
+    assert.equal(presetList.children.length, 1);
+
+    presetsBtn.click();
+    assert.equal(presetList.children.length, 5);
+    assert.equal(currentItems().length, 1);
+});
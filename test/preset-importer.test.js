@@ -0,0 +1,14 @@
+import { it } from 'node:test';
+import assert from 'node:assert/strict';
+import PresetImporter from '../src/preset-importer.js';
+
+it('numbers presets that share a name within one import', async () => {
+    const errors = [];
+    const files = ['Deep.milk', 'Deep.milk', 'Other.milk', 'Deep.milk']
+        .map(name => new File(['[preset00]'], name));
+
+    const sources = await PresetImporter.readSources(files, errors);
+
+    assert.deepEqual(sources.map(source => source.name), ['Deep', 'Deep (2)', 'Other', 'Deep (3)']);
+    assert.deepEqual(errors, []);
+});
@@ -0,0 +1,43 @@
+import { it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { initApp } from '../src/app.js';
+import { installDom } from './support/dom.js';
+import { installAudio } from './support/audio.js';
+
+// The app keeps module state, so opening a shared link gets its own process
+const SAVED = JSON.stringify({ vizType: 'circular', colorScheme: 'ocean' });
+let document;
+
+before(() => {
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout'] });
+    document = installDom({ html: true });
+    installAudio();
+    globalThis.location.search = '?viz=spectrum&color=fire';
+    globalThis.localStorage.setItem('retroviz.settings', SAVED);
+    initApp();
+});
+
+after(() => {
+    mock.timers.reset();
+});
+
+it('opens a shared link without saving it over the saved setup', () => {
+    assert.equal(document.getElementById('vizType').value, 'spectrum');
+    assert.equal(document.getElementById('colorScheme').value, 'fire');
+
+    mock.timers.tick(1000);
+
+    assert.equal(globalThis.localStorage.getItem('retroviz.settings'), SAVED);
+});
+
+it('saves once the visitor changes something', () => {
+    const select = document.getElementById('scopeMode');
+    select.value = 'stereo';
+    select.dispatchEvent(new Event('change'));
+
+    mock.timers.tick(300);
+
+    const saved = JSON.parse(globalThis.localStorage.getItem('retroviz.settings'));
+    assert.equal(saved.scopeMode, 'stereo');
+    assert.equal(saved.vizType, 'spectrum');
+});
@@ -0,0 +1,41 @@
+import { it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createContext2D } from './support/dom.js';
+import spectrum from '../src/modes/spectrum.js';
+import Palette from '../src/palette.js';
+
+const BARS = { count: 128, gap: 1, layout: 'normal', attack: 0, decay: 0, peaks: 'on', gravity: 1.5 };
+
+/**
+ * Draw a frame with every bar at a different level, shifted by `frame`
+ */
+function drawFrame(ctx, state, frame) {
+    const palette = new Palette(Palette.builtIn('rainbow'));
+    const frequencyData = Uint8Array.from({ length: 1024 }, (_, i) => (Math.floor(i / 8) * 37 + frame * 53) % 256);
+    spectrum.draw({
+        ctx,
+        width: 800,
+        height: 600,
+        frequencyData,
+        bufferLength: frequencyData.length,
+        pulse: 0,
+        getColor: (index, total, intensity) => palette.getColor(index, total, intensity),
+        background: '#000',
+        bars: BARS,
+        deltaTime: 1 / 60,
+        state
+    });
+}
+
+it('builds a gradient or two per bar, however the levels move', () => {
+    const ctx = createContext2D({ width: 800, height: 600 });
+    const createLinearGradient = mock.method(ctx, 'createLinearGradient');
+    const state = spectrum.init();
+
+    for (let frame = 0; frame < 30; frame++) {
+        drawFrame(ctx, state, frame);
+    }
+
+    const built = createLinearGradient.mock.callCount();
+    assert.ok(built <= BARS.count * 2, `${built} gradients for ${BARS.count} bars`);
+});
@@ -0,0 +1,13 @@
+/**
+ * Stand-in for butterchurn-presets: a handful of empty presets. Like the
+ * real getPresets, every call returns the same module-level object.
+ */
+export const PRESET_NAMES = ['Alpha', 'Bravo', 'Charlie', 'Delta', 'Echo'];
+
+const presets = Object.fromEntries(PRESET_NAMES.map(name => [name, { name }]));
+
+export default {
+    getPresets() {
+        return presets;
+    }
+};
@@ -0,0 +1,52 @@
+/**
+ * Stand-in for butterchurn, which needs WebGL. Every visualizer it creates
+ * is kept in `instances` and records what it was asked to do.
+ */
+class FakeButterchurn {
+    constructor(audioContext, canvas, options) {
+        this.audioContext = audioContext;
+        this.canvas = canvas;
+        this.gl = canvas.getContext('webgl2');
+        this.options = options;
+        this.presets = []; // [preset, blendTime] per loadPreset
+        this.audioNodes = new Set();
+        this.size = { width: options.width, height: options.height };
+        this.mesh = { width: options.meshWidth, height: options.meshHeight };
+        this.renders = 0;
+    }
+
+    loadPreset(preset, blendTime) {
+        this.presets.push([preset, blendTime]);
+    }
+
+    connectAudio(node) {
+        this.audioNodes.add(node);
+    }
+
+    disconnectAudio(node) {
+        this.audioNodes.delete(node);
+    }
+
+    setRendererSize(width, height) {
+        this.size = { width, height };
+    }
+
+    setInternalMeshSize(width, height) {
+        this.mesh = { width, height };
+    }
+
+    render() {
+        this.renders++;
+    }
+}
+
+const instances = [];
+
+export default {
+    instances,
+    createVisualizer(audioContext, canvas, options) {
+        const visualizer = new FakeButterchurn(audioContext, canvas, options);
+        instances.push(visualizer);
+        return visualizer;
+    }
+};
@@ -0,0 +1,247 @@
+/**
+ * Fake Web Audio and media capture for running the audio pipeline under
+ * Node. Nodes remember what they're connected to; analysers serve a fixed
+ * test signal (see FakeAnalyserNode.level).
+ */
+
+export class FakeAudioNode {
+    constructor(context) {
+        this.context = context;
+        this.connections = new Set();
+    }
+
+    connect(destination) {
+        this.connections.add(destination);
+        return destination;
+    }
+
+    disconnect(destination) {
+        if (destination) this.connections.delete(destination);
+        else this.connections.clear();
+    }
+}
+
+class FakeAudioParam {
+    constructor(value) {
+        this.value = value;
+    }
+
+    setValueAtTime(value) {
+        this.value = value;
+    }
+
+    setTargetAtTime(value) {
+        this.value = value;
+    }
+
+    linearRampToValueAtTime(value) {
+        this.value = value;
+    }
+}
+
+export class FakeGainNode extends FakeAudioNode {
+    constructor(context) {
+        super(context);
+        this.gain = new FakeAudioParam(1);
+    }
+}
+
+/**
+ * Analyser whose spectrum is `level` (0-255) in every bin and whose waveform
+ * is a sine of amplitude `level / 255`
+ */
+export class FakeAnalyserNode extends FakeAudioNode {
+    constructor(context) {
+        super(context);
+        this.fftSize = 2048;
+        this.smoothingTimeConstant = 0.8;
+        this.minDecibels = -100;
+        this.maxDecibels = -30;
+        this.level = 128;
+    }
+
+    get frequencyBinCount() {
+        return this.fftSize / 2;
+    }
+
+    getByteFrequencyData(array) {
+        array.fill(this.level);
+    }
+
+    getFloatFrequencyData(array) {
+        array.fill(this.minDecibels + (this.level / 255) * (this.maxDecibels - this.minDecibels));
+    }
+
+    getFloatTimeDomainData(array) {
+        for (let i = 0; i < array.length; i++) {
+            array[i] = (this.level / 255) * Math.sin((i / array.length) * Math.PI * 2);
+        }
+    }
+
+    getByteTimeDomainData(array) {
+        for (let i = 0; i < array.length; i++) {
+            array[i] = 128 + Math.round(127 * (this.level / 255) * Math.sin((i / array.length) * Math.PI * 2));
+        }
+    }
+}
+
+export class FakeAudioContext {
+    constructor() {
+        this.state = 'running';
+        this.sampleRate = 44100;
+        this.currentTime = 0;
+        this.destination = new FakeAudioNode(this);
+        this.analysers = [];
+        FakeAudioContext.instances.push(this);
+    }
+
+    createGain() {
+        return new FakeGainNode(this);
+    }
+
+    createAnalyser() {
+        const analyser = new FakeAnalyserNode(this);
+        this.analysers.push(analyser);
+        return analyser;
+    }
+
+    createChannelSplitter() {
+        return new FakeAudioNode(this);
+    }
+
+    createMediaStreamSource(stream) {
+        const source = new FakeAudioNode(this);
+        source.mediaStream = stream;
+        return source;
+    }
+
+    createMediaElementSource(element) {
+        const source = new FakeAudioNode(this);
+        source.mediaElement = element;
+        return source;
+    }
+
+    createMediaStreamDestination() {
+        const destination = new FakeAudioNode(this);
+        destination.stream = new FakeMediaStream();
+        return destination;
+    }
+
+    async resume() {
+        this.state = 'running';
+    }
+
+    async suspend() {
+        this.state = 'suspended';
+    }
+
+    async close() {
+        this.state = 'closed';
+    }
+}
+
+FakeAudioContext.instances = [];
+
+export class FakeMediaStreamTrack extends EventTarget {
+    constructor(kind = 'audio') {
+        super();
+        this.kind = kind;
+        this.readyState = 'live';
+    }
+
+    stop() {
+        this.readyState = 'ended';
+    }
+}
+
+export class FakeMediaStream {
+    constructor(tracks = [new FakeMediaStreamTrack()]) {
+        this.tracks = tracks;
+    }
+
+    getTracks() {
+        return this.tracks.slice();
+    }
+
+    getAudioTracks() {
+        return this.tracks.filter(track => track.kind === 'audio');
+    }
+
+    getVideoTracks() {
+        return this.tracks.filter(track => track.kind === 'video');
+    }
+
+    addTrack(track) {
+        this.tracks.push(track);
+    }
+}
+
+/**
+ * <audio> element for file playback: play() resolves at once and nothing
+ * is decoded, so duration stays NaN until a test sets it. Every one made is
+ * kept in `instances`.
+ */
+export class FakeAudioElement extends EventTarget {
+    constructor() {
+        super();
+        this.src = '';
+        this.preload = '';
+        this.loop = false;
+        this.paused = true;
+        this.currentTime = 0;
+        this.duration = NaN;
+        FakeAudioElement.instances.push(this);
+    }
+
+    async play() {
+        this.paused = false;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    load() {}
+
+    removeAttribute(name) {
+        if (name === 'src') this.src = '';
+    }
+}
+
+FakeAudioElement.instances = [];
+
+/**
+ * Install AudioContext, Audio and navigator.mediaDevices as globals. Every
+ * stream handed out is kept in `mediaDevices.streams`; set
+ * `mediaDevices.error` to make the next getUserMedia fail with it.
+ */
+export function installAudio() {
+    const mediaDevices = Object.assign(new EventTarget(), {
+        streams: [],
+        error: null,
+        async getUserMedia() {
+            if (this.error) {
+                const error = this.error;
+                this.error = null;
+                throw error;
+            }
+            const stream = new FakeMediaStream();
+            this.streams.push(stream);
+            return stream;
+        },
+        async enumerateDevices() {
+            return [{ kind: 'audioinput', deviceId: 'default', label: 'Default microphone' }];
+        }
+    });
+
+    FakeAudioContext.instances = [];
+    FakeAudioElement.instances = [];
+    globalThis.AudioContext = FakeAudioContext;
+    globalThis.Audio = FakeAudioElement;
+    Object.defineProperty(globalThis, 'navigator', {
+        value: { mediaDevices, userAgent: 'node' },
+        configurable: true,
+        writable: true
+    });
+    return mediaDevices;
+}
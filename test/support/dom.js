@@ -0,0 +1,574 @@
+import { setMaxListeners } from 'node:events';
+import { readFileSync } from 'node:fs';
+
+/**
+ * A small fake DOM for running the app under Node. The document is built
+ * from the real index.html, so ids, nesting and <option>s match the page.
+ * Elements cover what app.js uses: attributes, classList, dataset, style,
+ * events, <select>/<option> values and simple selectors (tag, .class,
+ * [attr="value"], :not(...) and comma lists, no combinators).
+ */
+
+const VOID_TAGS = new Set(['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+/**
+ * Canvas 2D context that accepts every drawing call and records them in
+ * `calls` as [name, ...args]; properties such as fillStyle just stick
+ */
+export function createContext2D(canvas) {
+    const calls = [];
+    const gradient = () => ({ addColorStop: () => {} });
+    const context = {
+        canvas,
+        calls,
+        createLinearGradient: gradient,
+        createRadialGradient: gradient,
+        createConicGradient: gradient,
+        createPattern: () => ({}),
+        createImageData: (width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4) }),
+        getImageData: (x, y, width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4) }),
+        measureText: (text) => ({ width: String(text).length * 8, actualBoundingBoxAscent: 8, actualBoundingBoxDescent: 2 })
+    };
+    context.type = '2d';
+    return new Proxy(context, {
+        get(target, name) {
+            if (name in target || typeof name === 'symbol') return target[name];
+            return (...args) => {
+                calls.push([name, ...args]);
+            };
+        }
+    });
+}
+
+/**
+ * Inline style: properties by camelCase name, custom properties via setProperty
+ */
+class Style {
+    setProperty(name, value) {
+        this[name] = String(value);
+    }
+
+    removeProperty(name) {
+        delete this[name];
+    }
+
+    getPropertyValue(name) {
+        return this[name] ?? '';
+    }
+}
+
+/**
+ * Just enough WebGL for butterchurn's stub to hold and lose: `lost` turns
+ * true once WEBGL_lose_context.loseContext() is called
+ */
+export function createWebGLContext(canvas) {
+    const gl = {
+        canvas,
+        type: 'webgl2',
+        lost: false,
+        getExtension: (name) => (name === 'WEBGL_lose_context' ? { loseContext: () => { gl.lost = true; } } : null),
+        isContextLost: () => gl.lost
+    };
+    return gl;
+}
+
+class ClassList {
+    constructor(element) {
+        this.element = element;
+    }
+
+    get names() {
+        return (this.element.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+    }
+
+    set names(names) {
+        this.element.setAttribute('class', names.join(' '));
+    }
+
+    contains(name) {
+        return this.names.includes(name);
+    }
+
+    add(...names) {
+        this.names = [...new Set([...this.names, ...names])];
+    }
+
+    remove(...names) {
+        this.names = this.names.filter(name => !names.includes(name));
+    }
+
+    toggle(name, force = !this.contains(name)) {
+        if (force) this.add(name);
+        else this.remove(name);
+        return force;
+    }
+}
+
+export class FakeElement extends EventTarget {
+    constructor(tagName, ownerDocument) {
+        super();
+        this.tagName = tagName.toUpperCase();
+        this.ownerDocument = ownerDocument;
+        this.attributes = new Map();
+        this.children = [];
+        this.parentNode = null;
+        this.style = new Style();
+        this.classList = new ClassList(this);
+        this.ownText = '';
+        this.ownValue = null; // Set value of inputs and selects
+        this.disabled = false;
+        this.selected = false;
+        this.checked = false;
+        this.files = [];
+        this.width = this.tagName === 'CANVAS' ? 300 : 0;
+        this.height = this.tagName === 'CANVAS' ? 150 : 0;
+        this.context = null;
+        this.dataset = new Proxy({}, {
+            get: (target, key) => this.getAttribute(dataAttribute(key)) ?? undefined,
+            set: (target, key, value) => {
+                this.setAttribute(dataAttribute(key), value);
+                return true;
+            },
+            deleteProperty: (target, key) => {
+                this.removeAttribute(dataAttribute(key));
+                return true;
+            }
+        });
+    }
+
+    get id() {
+        return this.getAttribute('id') || '';
+    }
+
+    set id(id) {
+        this.setAttribute('id', id);
+    }
+
+    get className() {
+        return this.getAttribute('class') || '';
+    }
+
+    set className(name) {
+        this.setAttribute('class', name);
+    }
+
+    getAttribute(name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    setAttribute(name, value) {
+        this.attributes.set(name, String(value));
+        if (name === 'style') {
+            String(value).split(';').forEach(rule => {
+                const [property, setting] = rule.split(':').map(part => part && part.trim());
+                if (property) this.style[property.replace(/-(\w)/g, (_, c) => c.toUpperCase())] = setting;
+            });
+        }
+    }
+
+    removeAttribute(name) {
+        this.attributes.delete(name);
+    }
+
+    hasAttribute(name) {
+        return this.attributes.has(name);
+    }
+
+    get textContent() {
+        return this.ownText + this.children.map(child => child.textContent).join('');
+    }
+
+    set textContent(text) {
+        this.children.forEach(child => { child.parentNode = null; });
+        this.children = [];
+        this.ownText = String(text);
+    }
+
+    set innerHTML(html) {
+        this.textContent = html;
+    }
+
+    get text() {
+        return this.textContent.trim();
+    }
+
+    set text(text) {
+        this.textContent = text;
+    }
+
+    get label() {
+        return this.getAttribute('label') || '';
+    }
+
+    set label(label) {
+        this.setAttribute('label', label);
+    }
+
+    get type() {
+        return this.getAttribute('type') || '';
+    }
+
+    set type(type) {
+        this.setAttribute('type', type);
+    }
+
+    get value() {
+        if (this.tagName === 'OPTION') {
+            return this.hasAttribute('value') ? this.getAttribute('value') : this.text;
+        }
+        if (this.tagName === 'SELECT') {
+            const option = this.options[this.selectedIndex];
+            return option ? option.value : '';
+        }
+        return this.ownValue ?? this.getAttribute('value') ?? '';
+    }
+
+    set value(value) {
+        if (this.tagName === 'OPTION') {
+            this.setAttribute('value', value);
+        } else if (this.tagName === 'SELECT') {
+            this.selectedIndex = this.options.findIndex(option => option.value === String(value));
+        } else {
+            this.ownValue = String(value);
+        }
+    }
+
+    get options() {
+        return this.querySelectorAll('option');
+    }
+
+    get selectedIndex() {
+        const options = this.options;
+        if (options.length === 0) return -1;
+        const index = options.findIndex(option => option.selected);
+        return index === -1 ? 0 : index;
+    }
+
+    set selectedIndex(index) {
+        this.options.forEach((option, i) => { option.selected = i === index; });
+    }
+
+    get firstChild() {
+        return this.children[0] || null;
+    }
+
+    get nextElementSibling() {
+        if (!this.parentNode) return null;
+        const siblings = this.parentNode.children.filter(node => !(node instanceof FakeText));
+        return siblings[siblings.indexOf(this) + 1] || null;
+    }
+
+    add(option) {
+        this.appendChild(option);
+    }
+
+    appendChild(child) {
+        if (child.parentNode) child.parentNode.removeChild(child);
+        child.parentNode = this;
+        this.children.push(child);
+        return child;
+    }
+
+    append(...children) {
+        children.forEach(child => this.appendChild(typeof child === 'string' ? this.ownerDocument.createTextNode(child) : child));
+    }
+
+    replaceChildren(...children) {
+        this.textContent = '';
+        this.append(...children);
+    }
+
+    removeChild(child) {
+        this.children = this.children.filter(node => node !== child);
+        child.parentNode = null;
+        return child;
+    }
+
+    replaceChild(newChild, oldChild) {
+        const index = this.children.indexOf(oldChild);
+        if (index === -1) throw new Error('Not a child of this element');
+        if (newChild.parentNode) newChild.parentNode.removeChild(newChild);
+        this.children[index] = newChild;
+        newChild.parentNode = this;
+        oldChild.parentNode = null;
+        return oldChild;
+    }
+
+    remove() {
+        if (this.parentNode) this.parentNode.removeChild(this);
+    }
+
+    contains(node) {
+        for (let current = node; current; current = current.parentNode) {
+            if (current === this) return true;
+        }
+        return false;
+    }
+
+    closest(selector) {
+        for (let current = this; current instanceof FakeElement; current = current.parentNode) {
+            if (current.matches(selector)) return current;
+        }
+        return null;
+    }
+
+    matches(selector) {
+        return splitSelectorList(selector).some(part => matchesCompound(this, part));
+    }
+
+    * descendants() {
+        for (const child of this.children) {
+            yield child;
+            yield* child.descendants();
+        }
+    }
+
+    querySelectorAll(selector) {
+        return Array.from(this.descendants()).filter(node => node.matches(selector));
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    /**
+     * Like a real canvas, the first kind of context asked for is the only one
+     */
+    getContext(type) {
+        if (!this.context) {
+            if (type === '2d') this.context = createContext2D(this);
+            else if (type === 'webgl2') this.context = createWebGLContext(this);
+            else return null;
+        }
+        return this.context.type === type ? this.context : null;
+    }
+
+    getBoundingClientRect() {
+        return { left: 0, top: 0, width: this.width, height: this.height, right: this.width, bottom: this.height };
+    }
+
+    click() {
+        this.dispatchEvent(new Event('click'));
+    }
+
+    focus() {
+        this.ownerDocument.activeElement = this;
+    }
+
+    blur() {
+        if (this.ownerDocument.activeElement === this) this.ownerDocument.activeElement = null;
+    }
+
+    select() {}
+}
+
+/**
+ * Text between tags; only here so append('text') works
+ */
+class FakeText extends FakeElement {
+    constructor(text, ownerDocument) {
+        super('#text', ownerDocument);
+        this.ownText = text;
+    }
+
+    matches() {
+        return false;
+    }
+}
+
+function dataAttribute(key) {
+    return `data-${String(key).replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`;
+}
+
+function splitSelectorList(selector) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < selector.length; i++) {
+        if (selector[i] === '(') depth++;
+        else if (selector[i] === ')') depth--;
+        else if (selector[i] === ',' && depth === 0) {
+            parts.push(selector.slice(start, i).trim());
+            start = i + 1;
+        }
+    }
+    parts.push(selector.slice(start).trim());
+    return parts;
+}
+
+function matchesCompound(element, selector) {
+    const pattern = /^(?:(\w+)|\.([\w-]+)|\[([\w-]+)(?:="([^"]*)")?\]|:not\(([^)]*\)?)\)|(\*))/;
+    let rest = selector;
+    while (rest) {
+        const match = rest.match(pattern);
+        if (!match) throw new Error(`Unsupported selector in fake DOM: ${selector}`);
+        const [token, tag, className, attribute, value, negated] = match;
+        if (tag && element.tagName !== tag.toUpperCase()) return false;
+        if (className && !element.classList.contains(className)) return false;
+        if (attribute && (!element.hasAttribute(attribute) || (value !== undefined && element.getAttribute(attribute) !== value))) return false;
+        if (negated && matchesCompound(element, negated)) return false;
+        rest = rest.slice(token.length);
+    }
+    return true;
+}
+
+export class FakeDocument extends EventTarget {
+    constructor() {
+        super();
+        this.documentElement = new FakeElement('html', this);
+        this.body = null;
+        this.hidden = false;
+        this.fullscreenElement = null;
+        this.activeElement = null;
+        this.title = '';
+    }
+
+    createElement(tagName) {
+        return new FakeElement(tagName, this);
+    }
+
+    createTextNode(text) {
+        return new FakeText(text, this);
+    }
+
+    getElementById(id) {
+        for (const node of this.documentElement.descendants()) {
+            if (node.id === id) return node;
+        }
+        return null;
+    }
+
+    querySelectorAll(selector) {
+        return this.documentElement.querySelectorAll(selector);
+    }
+
+    querySelector(selector) {
+        return this.documentElement.querySelector(selector);
+    }
+
+    /**
+     * Build the <body> from markup; good enough for our own index.html
+     */
+    loadHTML(html) {
+        const body = html.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+        this.body = new FakeElement('body', this);
+        this.documentElement.appendChild(this.body);
+
+        let current = this.body;
+        const tokens = /<!--[\s\S]*?-->|<\/(\w+)\s*>|<(\w+)((?:\s+[\w:-]+(?:="[^"]*")?)*)\s*(\/?)>|([^<]+)/g;
+        for (const [, closing, tag, attributes, selfClosing, text] of (body ? body[1] : html).matchAll(tokens)) {
+            if (closing) {
+                current = current.parentNode || this.body;
+            } else if (tag) {
+                const element = new FakeElement(tag, this);
+                for (const [, name, value = ''] of attributes.matchAll(/([\w:-]+)(?:="([^"]*)")?/g)) {
+                    // Like browsers, the first of a repeated attribute wins
+                    if (!element.hasAttribute(name)) element.setAttribute(name, value);
+                }
+                element.disabled = element.hasAttribute('disabled');
+                element.selected = element.hasAttribute('selected');
+                element.checked = element.hasAttribute('checked');
+                current.appendChild(element);
+                if (!selfClosing && !VOID_TAGS.has(tag.toLowerCase())) {
+                    current = element;
+                }
+            } else if (text && text.trim()) {
+                current.ownText += text.trim();
+            }
+        }
+    }
+}
+
+/**
+ * localStorage stand-in
+ */
+export class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+/**
+ * Install document, window and friends as globals. With `html` the
+ * document holds that page (index.html by default when `html` is true).
+ * Returns the document. Animation frames only run when `animationFrames.run()`
+ * is called, so tests step the render loop by hand.
+ */
+export function installDom({ html = false } = {}) {
+    const document = new FakeDocument();
+    if (html) {
+        document.loadHTML(html === true ? readFileSync(new URL('../../index.html', import.meta.url), 'utf8') : html);
+    }
+
+    const windowEvents = new EventTarget();
+    // Every Visualizer listens for resize, and tests make plenty of them
+    setMaxListeners(0, windowEvents);
+    Object.assign(globalThis, {
+        document,
+        window: globalThis,
+        innerWidth: 800,
+        innerHeight: 600,
+        devicePixelRatio: 1,
+        localStorage: new MemoryStorage(),
+        location: { search: '', origin: 'http://localhost', pathname: '/' },
+        history: { replaceState() {} },
+        addEventListener: windowEvents.addEventListener.bind(windowEvents),
+        removeEventListener: windowEvents.removeEventListener.bind(windowEvents),
+        dispatchEvent: windowEvents.dispatchEvent.bind(windowEvents),
+        Option: function Option(text = '', value) {
+            const option = document.createElement('option');
+            option.textContent = text;
+            if (value !== undefined) option.value = value;
+            return option;
+        },
+        requestAnimationFrame: (callback) => animationFrames.request(callback),
+        cancelAnimationFrame: (id) => animationFrames.cancel(id)
+    });
+    // Node has a real BroadcastChannel, which would keep the test process alive
+    delete globalThis.BroadcastChannel;
+    return document;
+}
+
+/**
+ * Queued requestAnimationFrame callbacks, run one frame at a time
+ */
+export const animationFrames = {
+    callbacks: new Map(),
+    nextId: 1,
+
+    request(callback) {
+        const id = this.nextId++;
+        this.callbacks.set(id, callback);
+        return id;
+    },
+
+    cancel(id) {
+        this.callbacks.delete(id);
+    },
+
+    get pending() {
+        return this.callbacks.size;
+    },
+
+    run(now = performance.now()) {
+        const callbacks = Array.from(this.callbacks.values());
+        this.callbacks.clear();
+        callbacks.forEach(callback => callback(now));
+    }
+};
@@ -0,0 +1,25 @@
+/**
+ * Module loader hooks for the tests. The sources are ES modules without
+ * "type": "module" (webpack bundles them), so load them as such, and swap
+ * the WebGL-only butterchurn packages for the stubs in test/stubs.
+ */
+const ROOT = new URL('../../', import.meta.url).href;
+const STUBS = {
+    butterchurn: new URL('../stubs/butterchurn.js', import.meta.url).href,
+    'butterchurn-presets': new URL('../stubs/butterchurn-presets.js', import.meta.url).href
+};
+
+export async function resolve(specifier, context, nextResolve) {
+    if (STUBS[specifier]) {
+        return { url: STUBS[specifier], shortCircuit: true };
+    }
+    return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+    const ours = url.startsWith(`${ROOT}src/`) || url.startsWith(`${ROOT}test/`);
+    if (ours && url.endsWith('.js')) {
+        return nextLoad(url, { ...context, format: 'module' });
+    }
+    return nextLoad(url, context);
+}
@@ -0,0 +1,4 @@
+// Preloaded by `npm test` (node --import) to install the loader hooks below
+import { register } from 'node:module';
+
+register('./loader.mjs', import.meta.url);
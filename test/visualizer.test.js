@@ -0,0 +1,469 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import butterchurn from 'butterchurn';
+import { installDom } from './support/dom.js';
+import { FakeAudioContext } from './support/audio.js';
+import Visualizer from '../src/visualizer.js';
+import ModeRenderer from '../src/mode-renderer.js';
+import Palette from '../src/palette.js';
+
+const document = installDom();
+
+/**
+ * A Visualizer on a canvas inside a container, like the page's
+ */
+function createVisualizer(type = 'bars') {
+    const container = document.createElement('div');
+    const canvas = document.createElement('canvas');
+    canvas.id = 'visualizer';
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', 'Audio visualization display');
+    container.appendChild(canvas);
+    return new Visualizer(canvas, null, null, { type });
+}
+
+/**
+ * A Visualizer showing Milkdrop on a fake audio context, butterchurn running
+ */
+function createMilkdrop(onPresetChange = null) {
+    const visualizer = createVisualizer('milkdrop');
+    visualizer.onPresetChange = onPresetChange;
+    const context = new FakeAudioContext();
+    visualizer.initButterchurn(context, context.createGain());
+    return visualizer;
+}
+
+function loadedPresets(visualizer) {
+    return visualizer.butterchurnVisualizer.presets.map(([preset]) => preset.name);
+}
+
+function rgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return `rgb(${value >> 16}, ${(value >> 8) & 255}, ${value & 255})`;
+}
+
+beforeEach(() => {
+    butterchurn.instances.length = 0;
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout'] });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+});
+
+describe('setType', () => {
+    it('draws 2D modes with a ModeRenderer on the canvas', () => {
+        const visualizer = createVisualizer('bars');
+
+        assert.equal(visualizer.renderTarget, '2d');
+        assert.ok(visualizer.modeRenderer instanceof ModeRenderer);
+        assert.equal(visualizer.modeRenderer.type, 'bars');
+        assert.equal(visualizer.ctx, visualizer.canvas.getContext('2d'));
+        assert.equal(visualizer.canvas.width, 800);
+        assert.equal(visualizer.canvas.height, 600);
+    });
+
+    it('keeps the canvas when switching between 2D modes', () => {
+        const visualizer = createVisualizer('bars');
+        const { canvas, modeRenderer } = visualizer;
+
+        visualizer.setType('oscilloscope');
+
+        assert.equal(visualizer.canvas, canvas);
+        assert.equal(visualizer.modeRenderer, modeRenderer);
+        assert.equal(modeRenderer.type, 'oscilloscope');
+    });
+
+    it('moves to a fresh canvas for Milkdrop and back', () => {
+        const visualizer = createVisualizer('bars');
+        const twoD = visualizer.canvas;
+
+        visualizer.setType('milkdrop');
+        const webgl = visualizer.canvas;
+        assert.notEqual(webgl, twoD);
+        assert.equal(visualizer.renderTarget, 'webgl');
+        assert.equal(visualizer.modeRenderer, null);
+        assert.equal(visualizer.ctx, null);
+        assert.equal(webgl.context, null, 'no 2D context on the WebGL canvas');
+
+        visualizer.setType('circular');
+        assert.notEqual(visualizer.canvas, webgl);
+        assert.equal(visualizer.renderTarget, '2d');
+        assert.equal(visualizer.modeRenderer.type, 'circular');
+        assert.equal(visualizer.ctx, visualizer.canvas.getContext('2d'));
+    });
+
+    it('creates butterchurn on the new canvas once there is audio', () => {
+        const visualizer = createVisualizer('bars');
+        const context = new FakeAudioContext();
+        const input = context.createGain();
+
+        visualizer.initButterchurn(context, input);
+        assert.equal(butterchurn.instances.length, 0, 'not while a 2D mode shows');
+
+        visualizer.setType('milkdrop');
+        assert.equal(butterchurn.instances.length, 1);
+        const instance = visualizer.butterchurnVisualizer;
+        assert.equal(instance.canvas, visualizer.canvas);
+        assert.equal(instance.audioContext, context);
+        assert.ok(instance.audioNodes.has(input));
+        assert.deepEqual(instance.size, { width: 800, height: 600 });
+        assert.equal(instance.presets.length, 1, 'loads a first preset');
+    });
+
+    it('drops butterchurn and its rotation when leaving Milkdrop', () => {
+        const visualizer = createMilkdrop();
+        assert.ok(visualizer.autoRotateInterval);
+
+        visualizer.setType('spectrum');
+
+        assert.equal(visualizer.butterchurnVisualizer, null);
+        assert.equal(visualizer.autoRotateInterval, null);
+    });
+
+    it('falls back to bars for modes that are not registered', () => {
+        const visualizer = createVisualizer('bars');
+
+        visualizer.setType('no-such-mode');
+
+        assert.equal(visualizer.modeRenderer.mode, Visualizer.getMode('bars'));
+    });
+});
+
+describe('recreateCanvas', () => {
+    it('swaps in a new canvas with the same id, attributes and size', () => {
+        const visualizer = createVisualizer('bars');
+        const old = visualizer.canvas;
+        const container = old.parentNode;
+
+        visualizer.recreateCanvas();
+
+        const { canvas } = visualizer;
+        assert.notEqual(canvas, old);
+        assert.equal(canvas.parentNode, container);
+        assert.equal(old.parentNode, null);
+        assert.deepEqual(container.children, [canvas]);
+        assert.equal(canvas.id, 'visualizer');
+        assert.equal(canvas.getAttribute('role'), 'img');
+        assert.equal(canvas.getAttribute('aria-label'), 'Audio visualization display');
+        assert.equal(canvas.width, old.width);
+        assert.equal(canvas.height, old.height);
+    });
+
+    it('disposes the mode renderer and forgets contexts', () => {
+        const visualizer = createVisualizer('spectrogram');
+        const dispose = mock.method(visualizer.modeRenderer, 'dispose');
+
+        visualizer.recreateCanvas();
+
+        assert.equal(dispose.mock.callCount(), 1);
+        assert.equal(visualizer.modeRenderer, null);
+        assert.equal(visualizer.ctx, null);
+        assert.equal(visualizer.canvasTransferred, false);
+        assert.equal(visualizer.butterchurnVisualizer, null);
+    });
+
+    it('works on a canvas outside the page', () => {
+        const canvas = document.createElement('canvas');
+        const visualizer = new Visualizer(canvas, null, null, { type: 'bars', width: 320, height: 180 });
+
+        visualizer.recreateCanvas();
+
+        assert.notEqual(visualizer.canvas, canvas);
+        assert.equal(visualizer.canvas.width, 320);
+        assert.equal(visualizer.canvas.height, 180);
+    });
+});
+
+describe('removePreset', () => {
+    it('takes a deleted preset out of history and the shuffle bag', () => {
+        const visualizer = createMilkdrop();
+        visualizer.addPresets({ Custom: { name: 'Custom' } });
+        visualizer.setPreset('Alpha');
+        visualizer.setPreset('Custom');
+        visualizer.setPreset('Bravo');
+        visualizer.pickNextPreset();
+
+        visualizer.removePreset('Custom');
+
+        assert.ok(!visualizer.history.includes('Custom'));
+        assert.ok(!visualizer.shuffleBag.includes('Custom'));
+        assert.equal(visualizer.history[visualizer.historyIndex], 'Bravo');
+        assert.ok(visualizer.previousPreset());
+        assert.equal(loadedPresets(visualizer).at(-1), 'Alpha', 'steps straight back past the deleted preset');
+    });
+
+    it('keeps the place in history when the deleted preset was stepped back to', () => {
+        const visualizer = createMilkdrop();
+        visualizer.addPresets({ Custom: { name: 'Custom' } });
+        visualizer.setPreset('Alpha');
+        visualizer.setPreset('Custom');
+        visualizer.setPreset('Bravo');
+        visualizer.previousPreset();
+
+        visualizer.removePreset('Custom');
+
+        assert.equal(visualizer.history[visualizer.historyIndex], 'Alpha');
+        assert.ok(visualizer.nextPreset());
+        assert.equal(loadedPresets(visualizer).at(-1), 'Bravo');
+    });
+});
+
+describe('setDisplaySize', () => {
+    it('renders at the display size and scale instead of the window', () => {
+        const visualizer = createMilkdrop();
+        visualizer.setRenderQuality({ scale: 0.5 });
+
+        visualizer.setDisplaySize({ width: 320, height: 240 });
+
+        assert.equal(visualizer.canvas.width, 160);
+        assert.equal(visualizer.canvas.height, 120);
+        assert.deepEqual(butterchurn.instances.at(-1).size, { width: 160, height: 120 });
+
+        visualizer.setDisplaySize(null);
+        assert.equal(visualizer.canvas.width, 400);
+        assert.equal(visualizer.canvas.height, 300);
+    });
+
+    it('leaves fixed-size canvases alone', () => {
+        const canvas = document.createElement('canvas');
+        const visualizer = new Visualizer(canvas, null, null, { type: 'bars', width: 640, height: 360 });
+
+        visualizer.setDisplaySize({ width: 320, height: 180 });
+
+        assert.equal(canvas.width, 640);
+        assert.equal(canvas.height, 360);
+    });
+});
+
+describe('dispose', () => {
+    it('loses the WebGL context and stops rotating', () => {
+        const visualizer = createMilkdrop();
+        const { gl } = visualizer.butterchurnVisualizer;
+
+        visualizer.dispose();
+
+        assert.equal(gl.lost, true);
+        assert.equal(visualizer.butterchurnVisualizer, null);
+        assert.equal(visualizer.autoRotateInterval, null);
+    });
+
+    it('disposes the 2D mode renderer', () => {
+        const visualizer = createVisualizer('spectrum');
+        const dispose = mock.method(visualizer.modeRenderer, 'dispose');
+
+        visualizer.dispose();
+
+        assert.equal(dispose.mock.callCount(), 1);
+        assert.equal(visualizer.modeRenderer, null);
+        assert.equal(visualizer.canvas.context.type, '2d', 'no WebGL context made just to lose it');
+    });
+});
+
+describe('auto-rotate', () => {
+    it('waits for a downbeat after each interval', () => {
+        const visualizer = createMilkdrop();
+        const first = loadedPresets(visualizer).length;
+
+        mock.timers.tick(15000);
+        assert.ok(visualizer.presetChangeTimeout, 'holding for a downbeat');
+        assert.equal(loadedPresets(visualizer).length, first);
+
+        visualizer.onBeat({ strength: 1, downbeat: false });
+        assert.equal(loadedPresets(visualizer).length, first);
+
+        visualizer.onBeat({ strength: 1, downbeat: true });
+        assert.equal(loadedPresets(visualizer).length, first + 1);
+        assert.equal(visualizer.presetChangeTimeout, null);
+    });
+
+    it('changes anyway when no downbeat comes within 4 seconds', () => {
+        const visualizer = createMilkdrop();
+        const first = loadedPresets(visualizer).length;
+
+        mock.timers.tick(15000);
+        mock.timers.tick(3999);
+        assert.equal(loadedPresets(visualizer).length, first);
+        mock.timers.tick(1);
+        assert.equal(loadedPresets(visualizer).length, first + 1);
+    });
+
+    it('rotates on the interval alone without beat sync', () => {
+        const visualizer = createMilkdrop();
+        visualizer.beatSync = false;
+        const first = loadedPresets(visualizer).length;
+
+        mock.timers.tick(45000);
+
+        assert.equal(loadedPresets(visualizer).length, first + 3);
+    });
+
+    it('restarts the timer when the interval changes', () => {
+        const visualizer = createMilkdrop();
+        visualizer.beatSync = false;
+        const first = loadedPresets(visualizer).length;
+
+        mock.timers.tick(10000);
+        visualizer.setAutoRotateSettings({ interval: 30 });
+        mock.timers.tick(29999);
+        assert.equal(loadedPresets(visualizer).length, first);
+        mock.timers.tick(1);
+        assert.equal(loadedPresets(visualizer).length, first + 1);
+    });
+
+    it('leaves a locked preset alone', () => {
+        const visualizer = createMilkdrop();
+        visualizer.beatSync = false;
+        const first = loadedPresets(visualizer).length;
+
+        visualizer.setPresetLocked(true);
+        mock.timers.tick(60000);
+        assert.equal(loadedPresets(visualizer).length, first);
+
+        visualizer.setPresetLocked(false);
+        mock.timers.tick(15000);
+        assert.equal(loadedPresets(visualizer).length, first + 1);
+    });
+
+    it('shows every preset before repeating one', () => {
+        const visualizer = createMilkdrop();
+        visualizer.beatSync = false;
+        const count = visualizer.presetKeys.length;
+
+        mock.timers.tick(15000 * (count - 1));
+
+        assert.equal(new Set(loadedPresets(visualizer)).size, count);
+    });
+
+    it('stops when the visualizer is cleared', () => {
+        const visualizer = createMilkdrop();
+
+        mock.timers.tick(15000);
+        visualizer.clear();
+
+        assert.equal(visualizer.autoRotateInterval, null);
+        assert.equal(visualizer.presetChangeTimeout, null);
+    });
+});
+
+describe('setPreset', () => {
+    it('loads a named preset and stops rotating', () => {
+        const changes = [];
+        const visualizer = createMilkdrop((name) => changes.push(name));
+
+        visualizer.setPreset('Charlie');
+
+        assert.equal(visualizer.isAutoRotating, false);
+        assert.equal(visualizer.autoRotateInterval, null);
+        assert.equal(loadedPresets(visualizer).at(-1), 'Charlie');
+        assert.equal(visualizer.presetKeys[visualizer.currentPresetIndex], 'Charlie');
+        assert.equal(changes.at(-1), 'Charlie');
+
+        mock.timers.tick(60000);
+        assert.equal(loadedPresets(visualizer).at(-1), 'Charlie');
+    });
+
+    it("resumes rotation from the current preset for 'auto'", () => {
+        const visualizer = createMilkdrop();
+        visualizer.beatSync = false;
+        visualizer.setPreset('Charlie');
+        const loaded = loadedPresets(visualizer).length;
+
+        visualizer.setPreset('auto');
+
+        assert.equal(visualizer.isAutoRotating, true);
+        assert.ok(visualizer.autoRotateInterval);
+        assert.equal(loadedPresets(visualizer).length, loaded, "'auto' is not a preset to load");
+        assert.equal(visualizer.presetKeys[visualizer.currentPresetIndex], 'Charlie');
+
+        mock.timers.tick(15000);
+        assert.equal(loadedPresets(visualizer).length, loaded + 1);
+        assert.notEqual(loadedPresets(visualizer).at(-1), 'Charlie');
+    });
+
+    it('opens on a preset picked before butterchurn starts', () => {
+        const visualizer = createVisualizer('milkdrop');
+        visualizer.setPreset('Bravo');
+
+        const context = new FakeAudioContext();
+        visualizer.initButterchurn(context, context.createGain());
+
+        assert.deepEqual(loadedPresets(visualizer), ['Bravo']);
+        assert.equal(visualizer.autoRotateInterval, null);
+    });
+});
+
+describe('addPresets', () => {
+    it('keeps custom presets to the visualizer they were added to', () => {
+        const first = createVisualizer('milkdrop');
+        const second = createVisualizer('milkdrop');
+        const builtIn = second.presetKeys.slice();
+
+        first.addPresets({ Custom: { name: 'Custom' } });
+
+        assert.equal(first.presets.Custom.name, 'Custom');
+        assert.ok(first.presetKeys.includes('Custom'));
+        assert.equal(second.presets.Custom, undefined);
+        assert.deepEqual(second.presetKeys, builtIn);
+        assert.equal(createVisualizer('milkdrop').presets.Custom, undefined, 'later visualizers start clean');
+    });
+});
+
+describe('getColor', () => {
+    for (const scheme of Palette.builtIns) {
+        it(`follows the ${scheme.name} palette`, () => {
+            const visualizer = createVisualizer('bars');
+            visualizer.setColorScheme(scheme.id);
+
+            assert.equal(visualizer.colorScheme, scheme.id);
+            assert.equal(visualizer.modeRenderer.palette, visualizer.palette);
+
+            const first = scheme.stops[0].color;
+            const last = scheme.stops.at(-1).color;
+            for (let index = 0; index < 64; index += 7) {
+                for (const intensity of [0, 0.25, 0.5, 1]) {
+                    assert.match(visualizer.getColor(index, 64, intensity), /^rgb\(\d{1,3}, \d{1,3}, \d{1,3}\)$/);
+                }
+            }
+            if (scheme.mapping === 'intensity') {
+                assert.equal(visualizer.getColor(0, 64, 0), rgb(first));
+                assert.equal(visualizer.getColor(63, 64, 1), rgb(last));
+                assert.equal(visualizer.getColor(10, 64, 0.5), visualizer.getColor(50, 64, 0.5), 'same color across the spectrum');
+            } else {
+                assert.equal(visualizer.getColor(0, 64, 0), rgb(first), 'quiet bins show the bare gradient');
+                assert.notEqual(visualizer.getColor(0, 64, 0), visualizer.getColor(32, 64, 0), 'hue moves across the spectrum');
+                assert.notEqual(visualizer.getColor(0, 64, 0), visualizer.getColor(0, 64, 1), 'loud bins lighten');
+            }
+        });
+    }
+
+    it('defaults intensity to full and clamps it', () => {
+        const visualizer = createVisualizer('bars');
+        visualizer.setColorScheme('fire');
+
+        assert.equal(visualizer.getColor(5, 10), visualizer.getColor(5, 10, 1));
+        assert.equal(visualizer.getColor(5, 10, 3), visualizer.getColor(5, 10, 1));
+        assert.equal(visualizer.getColor(5, 10, -1), visualizer.getColor(5, 10, 0));
+    });
+
+    it('takes user palettes as definitions', () => {
+        const visualizer = createVisualizer('bars');
+        visualizer.setColorScheme({
+            id: 'custom-1',
+            name: 'Mono',
+            mapping: 'index',
+            stops: [{ position: 0, color: '#000000' }, { position: 1, color: '#ffffff' }]
+        });
+
+        assert.equal(visualizer.colorScheme, 'custom-1');
+        assert.equal(visualizer.getColor(0, 128, 1), 'rgb(0, 0, 0)');
+        assert.equal(visualizer.getColor(64, 128, 0), visualizer.getColor(64, 128, 1), 'index mapping ignores intensity');
+    });
+
+    it('falls back to Classic Blue for unknown ids', () => {
+        const visualizer = createVisualizer('bars');
+        visualizer.setColorScheme('no-such-scheme');
+
+        assert.equal(visualizer.colorScheme, 'classic');
+    });
+});
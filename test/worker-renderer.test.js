@@ -0,0 +1,81 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import WorkerRenderer from '../src/worker-renderer.js';
+
+/**
+ * Worker that keeps what it's sent; `reply` answers as render-worker.js would
+ */
+class FakeWorker {
+    constructor(url) {
+        this.url = url;
+        this.messages = [];
+        this.listeners = [];
+    }
+
+    addEventListener(type, listener) {
+        this.listeners.push(listener);
+    }
+
+    postMessage(message) {
+        this.messages.push(message);
+    }
+
+    reply(data) {
+        this.listeners.forEach(listener => listener({ data }));
+    }
+
+    terminate() {}
+}
+
+function frames(worker) {
+    return worker.messages.filter(message => message.type === 'frame').map(message => message.audio);
+}
+
+describe('draw', () => {
+    let renderer;
+
+    beforeEach(() => {
+        globalThis.Worker = FakeWorker;
+        renderer = new WorkerRenderer({ transferControlToOffscreen: () => ({}) }, 320, 180);
+    });
+
+    afterEach(() => {
+        delete globalThis.Worker;
+    });
+
+    it('holds frames while the worker is drawing and sends the newest when it is done', () => {
+        renderer.draw({ pulse: 1, deltaTime: 0.01 });
+        renderer.draw({ pulse: 2, deltaTime: 0.02 });
+        renderer.draw({ pulse: 3, deltaTime: 0.03 });
+        assert.equal(frames(renderer.worker).length, 1);
+
+        renderer.worker.reply({ type: 'drawn' });
+
+        const sent = frames(renderer.worker);
+        assert.equal(sent.length, 2);
+        assert.equal(sent[1].pulse, 3);
+        assert.equal(sent[1].deltaTime, 0.05, 'keeps the time of the frame it replaced');
+        assert.equal(renderer.queuedFrame, null);
+    });
+
+    it("doesn't change the caller's frames", () => {
+        const second = { pulse: 2, deltaTime: 0.02 };
+        const third = { pulse: 3, deltaTime: 0.03 };
+        renderer.draw({ pulse: 1, deltaTime: 0.01 });
+        renderer.draw(second);
+        renderer.draw(third);
+
+        assert.equal(second.deltaTime, 0.02);
+        assert.equal(third.deltaTime, 0.03);
+    });
+
+    it('drops a held frame on clear', () => {
+        renderer.draw({ pulse: 1, deltaTime: 0.01 });
+        renderer.draw({ pulse: 2, deltaTime: 0.02 });
+
+        renderer.clear();
+        renderer.worker.reply({ type: 'drawn' });
+
+        assert.equal(frames(renderer.worker).length, 1);
+    });
+});